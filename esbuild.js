@@ -43,15 +43,30 @@ async function main() {
     console.warn('⚠ RDKit WASM file not found, RDKit rendering may not work');
   }
 
+  // Copy smiles-drawer to dist so the webviews load it locally instead of from a CDN
+  const drawerSrc = path.join(__dirname, 'node_modules', 'smiles-drawer', 'dist', 'smiles-drawer.min.js');
+  const drawerDest = path.join(distDir, 'smiles-drawer.min.js');
+
+  if (fs.existsSync(drawerSrc)) {
+    fs.copyFileSync(drawerSrc, drawerDest);
+    console.log('✓ Copied smiles-drawer to dist/');
+  } else {
+    console.warn('⚠ smiles-drawer not found, fallback rendering will not work');
+  }
+
   const ctx = await esbuild.context({
-    entryPoints: ['src/extension.js'],
+    entryPoints: {
+      extension: 'src/extension.js',
+      // Sandbox for evaluating .smiles.js files, loaded with new Worker()
+      evaluatorWorker: 'src/sandbox/evaluatorWorker.js',
+    },
     bundle: true,
     format: 'cjs',
     minify: production,
     sourcemap: !production,
     sourcesContent: false,
     platform: 'node',
-    outfile: 'dist/extension.js',
+    outdir: 'dist',
     external: ['vscode'],
     logLevel: 'silent',
     plugins: [
@@ -60,11 +75,28 @@ async function main() {
     ],
   });
 
+  // smiles-js as a plain script for the sandbox, which compiles it inside its
+  // vm context so that evaluated code never gets hold of an extension object
+  const sandboxCtx = await esbuild.context({
+    entryPoints: { smilesJsSandbox: 'smiles-js' },
+    bundle: true,
+    format: 'iife',
+    globalName: '__smilesJs__',
+    minify: production,
+    platform: 'browser',
+    outdir: 'dist',
+    logLevel: 'silent',
+    plugins: [esbuildProblemMatcherPlugin],
+  });
+
   if (watch) {
     await ctx.watch();
+    await sandboxCtx.watch();
   } else {
     await ctx.rebuild();
     await ctx.dispose();
+    await sandboxCtx.rebuild();
+    await sandboxCtx.dispose();
   }
 }
 
@@ -0,0 +1,61 @@
+/**
+ * `key: value` annotations written in the comment block directly above a
+ * definition, in either comment style:
+ *
+ *   // highlight: C(=O)O
+ *   # highlight: c1ccccc1 [OX2H]
+ *   # stereo: pure
+ *   [aspirin] = ...
+ */
+
+const COMMENT_PATTERN = /^\s*(?:\/\/|#)/;
+const ANNOTATION_PATTERN = /^\s*(?:\/\/|#)\s*([\w-]+)\s*:\s*(.*?)\s*$/;
+
+/**
+ * Read the annotations above a line
+ * @param {string[]} lines - Document lines
+ * @param {number} line - Line of the definition (0-based)
+ * @returns {Array<{key: string, value: string, line: number}>} In document order
+ */
+function getAnnotationsAbove(lines, line) {
+  const annotations = [];
+  let current = line - 1;
+
+  while (current >= 0 && COMMENT_PATTERN.test(lines[current])) {
+    const match = ANNOTATION_PATTERN.exec(lines[current]);
+    if (match) {
+      annotations.unshift({ key: match[1].toLowerCase(), value: match[2], line: current });
+    }
+    current -= 1;
+  }
+
+  return annotations;
+}
+
+/**
+ * Get the SMARTS patterns of `highlight:` annotations above a line
+ * Several patterns may share one annotation, separated by whitespace.
+ * @param {string[]} lines - Document lines
+ * @param {number} line - Line of the definition (0-based)
+ * @returns {string[]}
+ */
+function getHighlightPatterns(lines, line) {
+  return getAnnotationsAbove(lines, line)
+    .filter(({ key }) => key === 'highlight')
+    .flatMap(({ value }) => value.split(/\s+/))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a `stereo: pure` annotation above a line asks for every
+ * stereocenter and double bond to be defined
+ * @param {string[]} lines - Document lines
+ * @param {number} line - Line of the definition (0-based)
+ * @returns {boolean}
+ */
+function isStereoPure(lines, line) {
+  return getAnnotationsAbove(lines, line)
+    .some(({ key, value }) => key === 'stereo' && value.toLowerCase() === 'pure');
+}
+
+export { getAnnotationsAbove, getHighlightPatterns, isStereoPure };
@@ -0,0 +1,120 @@
+/**
+ * Find uses of the old smiles-js API and the edits that update them
+ */
+
+import { parse } from 'acorn';
+import { walk } from './sandbox/moduleTransform';
+
+// The old entry point, such as '../src/fragment.js'; not './fragments.smiles.js'
+const DEPRECATED_MODULE_PATTERN = /\/fragment(?:\.js)?$/;
+
+/**
+ * Find a deprecated `/fragment` module path
+ */
+function findDeprecatedImport(node) {
+  const { source } = node;
+  if (!source || typeof source.value !== 'string'
+    || !DEPRECATED_MODULE_PATTERN.test(source.value)) {
+    return null;
+  }
+
+  const quote = source.raw[0];
+  return {
+    code: 'deprecated-import',
+    start: node.start,
+    end: node.end,
+    message: `Deprecated import path: '${source.value}'. Use './index.js' or 'smiles-js' instead. The Fragment API has been updated.`,
+    edits: [{ start: source.start, end: source.end, text: `${quote}smiles-js${quote}` }],
+  };
+}
+
+/**
+ * Find a `.attachAt(...)` call, renamed to `.attach(...)`
+ */
+function findAttachAtCall(node) {
+  const { callee } = node;
+  if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'attachAt') {
+    return null;
+  }
+
+  const { start, end } = callee.property;
+  return {
+    code: 'deprecated-method',
+    start,
+    end,
+    message: 'Method .attachAt() has been replaced with .attach() in the new API',
+    edits: [{ start, end, text: 'attach' }],
+  };
+}
+
+/**
+ * Find a positional `Ring(atoms, size)` call, which now takes an options object
+ */
+function findPositionalRingCall(node) {
+  const { callee, arguments: args } = node;
+  if (callee.type !== 'Identifier' || callee.name !== 'Ring' || args.length !== 2
+    || args.some((arg) => arg.type === 'SpreadElement' || arg.type === 'ObjectExpression')) {
+    return null;
+  }
+
+  // Wrap the arguments in place so edits inside them stay valid
+  const [atoms, size] = args;
+  return {
+    code: 'deprecated-api',
+    start: node.start,
+    end: node.end,
+    message: 'Old Ring API: Use Ring({ atoms: \'c\', size: 6 }) instead of Ring(\'c\', 6)',
+    edits: [
+      { start: atoms.start, end: atoms.start, text: '{ atoms: ' },
+      { start: atoms.end, end: size.start, text: ', size: ' },
+      { start: size.end, end: size.end, text: ' }' },
+    ],
+  };
+}
+
+/**
+ * Find every use of the old smiles-js API in a module
+ * @param {string} source - ES module source
+ * @returns {Array<{code: string, start: number, end: number, message: string,
+ *   edits: Array<{start: number, end: number, text: string}>}>|null} Uses in source
+ *   order with the offsets to report them at, or null if the source does not parse
+ */
+function findLegacyApiUsages(source) {
+  let ast;
+  try {
+    ast = parse(source, { ecmaVersion: 'latest', sourceType: 'module' });
+  } catch {
+    return null;
+  }
+
+  const usages = [];
+  walk(ast, (node) => {
+    let usage = null;
+    if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type)) {
+      usage = findDeprecatedImport(node);
+    } else if (node.type === 'CallExpression') {
+      usage = findAttachAtCall(node) || findPositionalRingCall(node);
+    }
+    if (usage) {
+      usages.push(usage);
+    }
+  });
+  return usages.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Apply the edits of some usages to the source
+ * @param {string} source
+ * @param {Array<{edits: Array<{start: number, end: number, text: string}>}>} usages
+ * @returns {string}
+ */
+function applyMigration(source, usages) {
+  return usages
+    .flatMap(({ edits }) => edits)
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, { start, end, text: replacement }) => (
+      text.slice(0, start) + replacement + text.slice(end)
+    ), source);
+}
+
+export { findLegacyApiUsages, applyMigration };
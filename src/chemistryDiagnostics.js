@@ -0,0 +1,313 @@
+import * as vscode from 'vscode';
+import { validateSMILES } from './smilesValidation';
+import { findUndefinedStereo } from './stereochemistry';
+import { isStereoPure } from './annotations';
+import { findSmilesLiterals } from './javascriptMolecules';
+import { isReactionSmiles } from './reactionSmiles';
+import { validateReaction } from './reactionValidation';
+
+// Settings under smiles.validation, one per check reported by validateSMILES
+// or validateReaction
+const DEFAULT_SEVERITIES = {
+  valence: 'error',
+  kekulization: 'warning',
+  unclosedRing: 'error',
+  unmatchedBranch: 'error',
+  syntax: 'error',
+  undefinedStereocenter: 'warning',
+  undefinedDoubleBond: 'warning',
+  massBalance: 'warning',
+  atomMapping: 'warning',
+};
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+// Wait for typing to pause before sanitizing every molecule of a document
+const UPDATE_DELAY = 500;
+
+/**
+ * Read the configured severity of each check
+ * @returns {Object<string, vscode.DiagnosticSeverity|null>} null for checks turned off
+ */
+function getCheckSeverities() {
+  const config = vscode.workspace.getConfiguration('smiles.validation');
+  return Object.fromEntries(Object.entries(DEFAULT_SEVERITIES).map(([check, fallback]) => [
+    check,
+    SEVERITIES[config.get(check, fallback)] ?? null,
+  ]));
+}
+
+/**
+ * Sanitize a molecule and, if it must be stereo-pure, look for undefined stereochemistry
+ * @param {string} smiles
+ * @param {boolean} checkStereo
+ * @param {object} [stereoOptions] - Options of findUndefinedStereo
+ * @returns {Promise<object[]>} Problems in the format of validateSMILES
+ */
+async function validateMolecule(smiles, checkStereo, stereoOptions) {
+  const problems = await validateSMILES(smiles);
+  if (problems.length > 0 || !checkStereo) {
+    return problems;
+  }
+  return findUndefinedStereo(smiles, stereoOptions);
+}
+
+/**
+ * Map an index into a SMILES literal's value to its offset in the source,
+ * where every backslash is written as an escape sequence
+ */
+function toSourceOffset(smiles, start, index) {
+  return start + index + (smiles.slice(0, index).match(/\\/g) || []).length;
+}
+
+/**
+ * Validate the SMILES literals of a smiles-js document
+ * @param {vscode.TextDocument} document
+ * @param {boolean} requireDefinedStereo - Check the stereochemistry of every literal,
+ *   not only those annotated `stereo: pure`
+ * @returns {Promise<Array<{problem: object, range: vscode.Range}>>}
+ */
+async function validateSmilesJsDocument(document, requireDefinedStereo) {
+  const results = [];
+  const text = document.getText();
+  const lines = text.split('\n');
+  const literals = findSmilesLiterals(text);
+
+  await literals.reduce(async (previous, { smiles, start }) => {
+    await previous;
+    const checkStereo = requireDefinedStereo
+      || isStereoPure(lines, document.positionAt(start).line);
+    const problems = isReactionSmiles(smiles)
+      ? await validateReaction(smiles)
+      : await validateMolecule(smiles, checkStereo);
+    problems.forEach((problem) => {
+      results.push({
+        problem,
+        range: new vscode.Range(
+          document.positionAt(toSourceOffset(smiles, start, problem.start)),
+          document.positionAt(toSourceOffset(smiles, start, problem.end)),
+        ),
+      });
+    });
+  }, Promise.resolve());
+
+  return results;
+}
+
+/**
+ * Locate a problem of a decoded definition on the body tokens that
+ * contributed its atoms, or on the definition name if none did
+ * @returns {vscode.Range}
+ */
+function locateInDefinition(definitionToken, traced, problem) {
+  const tokens = Array.from(traced.entries())
+    .filter(([, atoms]) => atoms.some((atom) => problem.atoms.includes(atom)))
+    .map(([token]) => token);
+
+  if (tokens.length === 0) {
+    return new vscode.Range(
+      definitionToken.line,
+      definitionToken.start,
+      definitionToken.line,
+      definitionToken.end,
+    );
+  }
+  return new vscode.Range(
+    definitionToken.line,
+    Math.min(...tokens.map(({ start }) => start)),
+    definitionToken.line,
+    Math.max(...tokens.map(({ end }) => end)),
+  );
+}
+
+/**
+ * Locate a problem of a reaction on the molecule it was found in, or on the
+ * whole reaction body
+ * @returns {vscode.Range}
+ */
+function locateInReaction(reaction, molecules, problem) {
+  const found = molecules.find(({ start, end }) => problem.start >= start && problem.start < end);
+  if (!found) {
+    return new vscode.Range(reaction.line, reaction.bodyStart, reaction.line, reaction.bodyEnd);
+  }
+  return new vscode.Range(reaction.line, found.molecule.start, reaction.line, found.molecule.end);
+}
+
+/**
+ * Validate the decoded molecule of every definition in a .selfies document
+ * @param {vscode.TextDocument} document
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {boolean} requireDefinedStereo - Check the stereochemistry of every definition,
+ *   not only those annotated `stereo: pure`
+ * @returns {Promise<Array<{problem: object, range: vscode.Range}>>}
+ */
+async function validateSelfiesDocument(document, selfiesWorkspace, requireDefinedStereo) {
+  const results = [];
+  const lines = document.getText().split('\n');
+  const filePath = document.uri.fsPath;
+  const analysis = selfiesWorkspace.getAnalysis(filePath);
+  if (!analysis) {
+    return results;
+  }
+
+  const definitionTokens = analysis.tokens.filter((token) => token.kind === 'definition');
+  await definitionTokens.reduce(async (previous, definitionToken) => {
+    await previous;
+    const { smiles } = selfiesWorkspace.describe(filePath, definitionToken.name);
+    if (!smiles) {
+      // Resolution errors are reported by the main diagnostics provider
+      return;
+    }
+
+    // SELFIES decoding drops E/Z, so only stereocenters can be defined
+    const checkStereo = requireDefinedStereo || isStereoPure(lines, definitionToken.line);
+    const problems = await validateMolecule(smiles, checkStereo, { doubleBonds: false });
+    if (problems.length === 0) {
+      return;
+    }
+
+    const traced = selfiesWorkspace.traceDefinition(
+      filePath,
+      definitionToken.name,
+      definitionToken.line,
+    );
+    problems.forEach((problem) => {
+      results.push({
+        problem: { ...problem, message: `${problem.message} in decoded SMILES ${smiles}` },
+        range: locateInDefinition(definitionToken, traced, problem),
+      });
+    });
+  }, Promise.resolve());
+
+  await analysis.reactions.reduce(async (previous, reaction) => {
+    await previous;
+    const { smiles, molecules } = selfiesWorkspace.describeReaction(filePath, reaction.name);
+    if (!smiles) {
+      return;
+    }
+
+    const problems = await validateReaction(smiles);
+    problems.forEach((problem) => {
+      results.push({
+        problem: { ...problem, message: `${problem.message} in decoded reaction SMILES ${smiles}` },
+        range: locateInReaction(reaction, molecules, problem),
+      });
+    });
+  }, Promise.resolve());
+
+  return results;
+}
+
+/**
+ * Create a diagnostics provider that sanitizes every molecule with RDKit:
+ * decoded definitions and reactions in .selfies files and SMILES literals
+ * in .smiles.js files
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createChemistryDiagnosticsProvider(selfiesWorkspace) {
+  const diagnosticCollection = vscode.languages.createDiagnosticCollection('smiles-chemistry');
+  const pendingUpdates = new Map();
+  const versions = new Map();
+
+  const isSupportedFile = (document) => document.languageId === 'selfies'
+    || document.fileName.endsWith('.smiles.js');
+
+  const updateDiagnostics = async (document) => {
+    const key = document.uri.toString();
+    const version = (versions.get(key) || 0) + 1;
+    versions.set(key, version);
+
+    const severities = getCheckSeverities();
+    const requireDefinedStereo = vscode.workspace.getConfiguration('smiles.validation')
+      .get('requireDefinedStereo', false);
+    const results = document.languageId === 'selfies'
+      ? await validateSelfiesDocument(document, selfiesWorkspace, requireDefinedStereo)
+      : await validateSmilesJsDocument(document, requireDefinedStereo);
+
+    // A newer update started while RDKit was working
+    if (versions.get(key) !== version || document.isClosed) {
+      return;
+    }
+
+    const diagnostics = results
+      .filter(({ problem }) => severities[problem.check] !== null)
+      .map(({ problem, range }) => {
+        const diagnostic = new vscode.Diagnostic(
+          range,
+          problem.message,
+          severities[problem.check],
+        );
+        diagnostic.source = 'rdkit';
+        diagnostic.code = problem.check;
+        return diagnostic;
+      });
+
+    diagnosticCollection.set(document.uri, diagnostics);
+  };
+
+  const scheduleUpdate = (document, delay = UPDATE_DELAY) => {
+    if (!isSupportedFile(document)) {
+      return;
+    }
+
+    const key = document.uri.toString();
+    clearTimeout(pendingUpdates.get(key));
+    pendingUpdates.set(key, setTimeout(() => {
+      pendingUpdates.delete(key);
+      updateDiagnostics(document).catch(() => {
+        // RDKit failed to load; keep the previous diagnostics
+      });
+    }, delay));
+  };
+
+  const updateAll = () => vscode.workspace.textDocuments
+    .forEach((document) => scheduleUpdate(document, 0));
+
+  // Listen for document changes
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    scheduleUpdate(event.document);
+  });
+
+  // Listen for document open
+  const documentOpenListener = vscode.workspace.onDidOpenTextDocument((document) => {
+    scheduleUpdate(document, 0);
+  });
+
+  // Listen for document close
+  const documentCloseListener = vscode.workspace.onDidCloseTextDocument((document) => {
+    const key = document.uri.toString();
+    clearTimeout(pendingUpdates.get(key));
+    pendingUpdates.delete(key);
+    versions.delete(key);
+    diagnosticCollection.delete(document.uri);
+  });
+
+  // Re-check open documents with the new severities
+  const configurationChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('smiles.validation')) {
+      updateAll();
+    }
+  });
+
+  // Update all currently open documents
+  updateAll();
+
+  return {
+    dispose: () => {
+      pendingUpdates.forEach((timer) => clearTimeout(timer));
+      diagnosticCollection.dispose();
+      documentChangeListener.dispose();
+      documentOpenListener.dispose();
+      documentCloseListener.dispose();
+      configurationChangeListener.dispose();
+    },
+  };
+}
+
+export { createChemistryDiagnosticsProvider };
@@ -0,0 +1,181 @@
+/**
+ * Locate smiles-js constructor calls (Fragment, Ring, Linear, FusedRing,
+ * Molecule) in JavaScript source, skipping strings and comments.
+ */
+
+const CALL_PATTERN = /^(Fragment|Ring|Linear|FusedRing|Molecule)\s*\(/;
+
+/**
+ * If a string or comment starts at index, return the index just past it
+ * @param {string} text - Source text
+ * @param {number} index - Current index
+ * @returns {number} Index after the literal, or the same index if none starts here
+ */
+function skipLiteral(text, index) {
+  const char = text[index];
+  const next = text[index + 1];
+
+  if (char === '/' && next === '/') {
+    const end = text.indexOf('\n', index);
+    return end === -1 ? text.length : end;
+  }
+
+  if (char === '/' && next === '*') {
+    const end = text.indexOf('*/', index + 2);
+    return end === -1 ? text.length : end + 2;
+  }
+
+  if (char === '\'' || char === '"' || char === '`') {
+    let i = index + 1;
+    while (i < text.length && text[i] !== char) {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+  }
+
+  return index;
+}
+
+/**
+ * Find every complete constructor call in the source
+ * @param {string} text - JavaScript source
+ * @returns {Array<{name: string, start: number, end: number, text: string}>}
+ *   Calls with character offsets, in order of their closing parenthesis
+ */
+function findConstructorCalls(text) {
+  const calls = [];
+  const open = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const skipped = skipLiteral(text, i);
+    const match = skipped === i && !/[\w$.]/.test(text[i - 1] || '')
+      && CALL_PATTERN.exec(text.slice(i, i + 32));
+
+    if (skipped !== i) {
+      i = skipped;
+    } else if (match) {
+      depth += 1;
+      open.push({ name: match[1], start: i, depth });
+      i += match[0].length;
+    } else {
+      if (text[i] === '(') {
+        depth += 1;
+      } else if (text[i] === ')') {
+        const call = open[open.length - 1];
+        if (call && call.depth === depth) {
+          open.pop();
+          calls.push({
+            name: call.name,
+            start: call.start,
+            end: i + 1,
+            text: text.slice(call.start, i + 1),
+          });
+        }
+        depth -= 1;
+      }
+      i += 1;
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Find the innermost constructor call containing an offset
+ * @param {string} text - JavaScript source
+ * @param {number} offset - Character offset
+ * @returns {{name: string, start: number, end: number, text: string}|null}
+ */
+function findConstructorCallAt(text, offset) {
+  return findConstructorCalls(text)
+    .filter((call) => offset >= call.start && offset < call.end)
+    .reduce((innermost, call) => (!innermost || call.start > innermost.start
+      ? call : innermost), null);
+}
+
+/**
+ * Find the constructor call being written at an offset, which may still be
+ * missing its closing parenthesis
+ * @param {string} text - JavaScript source
+ * @param {number} offset - Character offset of the cursor
+ * @returns {{
+ *   name: string,
+ *   start: number,
+ *   argumentIndex: number,
+ *   nesting: Array<{bracket: string, parentKey: string|null, keys: string[], key: string|null}>,
+ *   string: {quote: string, start: number}|null,
+ * }|null} null outside constructor calls and inside comments.
+ *   nesting: brackets opened inside the call's arguments, outermost first. For
+ *   object literals, keys lists the properties written so far and key is the
+ *   property whose value the cursor is in. parentKey is the property of the
+ *   enclosing object the bracket is the value of.
+ *   string: the string literal the cursor is in
+ */
+function findOpenConstructorCall(text, offset) {
+  const stack = [];
+  let string = null;
+  let i = 0;
+
+  const top = () => stack[stack.length - 1];
+
+  while (i < offset && !string) {
+    const skipped = skipLiteral(text, i);
+    if (skipped > offset) {
+      if (text[i] === '/') {
+        return null;
+      }
+      string = { quote: text[i], start: i };
+    } else if (skipped !== i) {
+      i = skipped;
+    } else {
+      const char = text[i];
+      const frame = top();
+      if (char === '(' || char === '[' || char === '{') {
+        const callee = char === '(' && /(^|[^\w$.])([\w$]+)\s*$/.exec(text.slice(Math.max(0, i - 32), i));
+        stack.push({
+          bracket: char,
+          name: callee && CALL_PATTERN.test(`${callee[2]}(`) ? callee[2] : null,
+          start: i,
+          argumentIndex: 0,
+          segmentStart: i + 1,
+          parentKey: frame?.bracket === '{' ? frame.key : null,
+          keys: [],
+          key: null,
+        });
+      } else if (char === ')' || char === ']' || char === '}') {
+        stack.pop();
+      } else if (char === ',' && frame) {
+        frame.argumentIndex += 1;
+        frame.segmentStart = i + 1;
+        frame.key = null;
+      } else if (char === ':' && frame?.bracket === '{' && frame.key === null) {
+        frame.key = text.slice(frame.segmentStart, i).trim().replace(/^(['"])(.*)\1$/, '$2');
+        frame.keys.push(frame.key);
+      }
+      i += 1;
+    }
+  }
+
+  const callIndex = stack.map((frame) => Boolean(frame.name)).lastIndexOf(true);
+  if (callIndex === -1) {
+    return null;
+  }
+
+  const call = stack[callIndex];
+  return {
+    name: call.name,
+    // The callee starts where its name does
+    start: call.start - /[\w$]+\s*$/.exec(text.slice(0, call.start))[0].length,
+    argumentIndex: call.argumentIndex,
+    nesting: stack.slice(callIndex + 1).map(({
+      bracket, parentKey, keys, key,
+    }) => ({
+      bracket, parentKey, keys, key,
+    })),
+    string,
+  };
+}
+
+export { findConstructorCalls, findConstructorCallAt, findOpenConstructorCall };
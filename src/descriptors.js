@@ -0,0 +1,259 @@
+/**
+ * Drug-likeness descriptors computed with RDKit, plus the Lipinski, Veber
+ * and Ghose rules and the QED score of Bickerton et al. (Nat. Chem. 2012).
+ */
+
+import { initRDKit } from './rdkitRenderer';
+
+// Asymmetric double sigmoid parameters [A, B, C, D, E, F, DMAX] of each QED property
+const ADS_PARAMETERS = {
+  molecularWeight: [
+    2.817065973, 392.5754953, 290.7489764, 2.419764353,
+    49.22325677, 65.37051707, 104.9805561,
+  ],
+  clogp: [
+    3.172690585, 137.8624751, 2.534937431, 4.581497897,
+    0.822739154, 0.576295591, 131.3186604,
+  ],
+  hba: [
+    2.948620388, 160.4605972, 3.615294657, 4.435986202,
+    0.290141953, 1.300669958, 148.7763046,
+  ],
+  hbd: [
+    1.618662227, 1010.051101, 0.985094388, 0.000000001,
+    0.713820843, 0.920922555, 258.1632616,
+  ],
+  tpsa: [
+    1.876861559, 125.2232657, 62.90773554, 87.83366614,
+    12.01999824, 28.51324732, 104.5686167,
+  ],
+  rotatableBonds: [
+    0.010000000, 272.4121427, 2.558379970, 1.565547684,
+    1.271567166, 2.758063707, 105.4420403,
+  ],
+  aromaticRings: [
+    3.217788970, 957.7374108, 2.274627939, 0.000000001,
+    1.317690384, 0.375760881, 312.3372610,
+  ],
+  alerts: [
+    0.010000000, 1199.094025, -0.09002883, 0.000000001,
+    0.185904477, 0.875193782, 417.7253140,
+  ],
+};
+
+// Mean weights of the weighted QED
+const QED_WEIGHTS = {
+  molecularWeight: 0.66,
+  clogp: 0.46,
+  hba: 0.05,
+  hbd: 0.61,
+  tpsa: 0.06,
+  rotatableBonds: 0.65,
+  aromaticRings: 0.48,
+  alerts: 0.95,
+};
+
+// The 116 unwanted substructures counted by the QED alerts property, as
+// published and as in RDKit's QED module
+const STRUCTURAL_ALERTS = [
+  '*1[O,S,N]*1', '[S,C](=[O,S])[F,Br,Cl,I]', '[CX4][Cl,Br,I]', '[#6]S(=O)(=O)O[#6]',
+  '[$([CH]),$(CC)]#CC(=O)[#6]', '[$([CH]),$(CC)]#CC(=O)O[#6]', 'n[OH]',
+  '[$([CH]),$(CC)]#CS(=O)(=O)[#6]', 'C=C(C=O)C=O', 'n1c([F,Cl,Br,I])cccc1', '[CH1](=O)',
+  '[#8][#8]', '[C;!R]=[N;!R]', '[N!R]=[N!R]', '[#6](=O)[#6](=O)', '[#16][#16]', '[#7][NH2]',
+  'C(=O)N[NH2]', '[#6]=S',
+  '[$([CH2]),$([CH][CX4]),$(C([CX4])[CX4])]=[$([CH2]),$([CH][CX4]),$(C([CX4])[CX4])]',
+  'C1(=[O,N])C=CC(=[O,N])C=C1', 'C1(=[O,N])C(=[O,N])C=CC=C1', 'a21aa3a(aa1aaaa2)aaaa3',
+  'a31a(a2a(aa1)aaaa2)aaaa3', 'a1aa2a3a(a1)A=AA=A3=AA=A2', 'c1cc([NH2])ccc1',
+  '[Hg,Fe,As,Sb,Zn,Se,se,Te,B,Si,Na,Ca,Ge,Ag,Mg,K,Ba,Sr,Be,Ti,Mo,Mn,Ru,Pd,Ni,Cu,Au,Cd,Al,Ga,Sn,Rh,Tl,Bi,Nb,Li,Pb,Hf,Ho]',
+  'I', 'OS(=O)(=O)[O-]', '[N+](=O)[O-]', 'C(=O)N[OH]', 'C1NC(=O)NC(=O)1', '[SH]', '[S-]',
+  'c1ccc([Cl,Br,I,F])c([Cl,Br,I,F])c1[Cl,Br,I,F]', 'c1cc([Cl,Br,I,F])cc([Cl,Br,I,F])c1[Cl,Br,I,F]',
+  '[CR1]1[CR1][CR1][CR1][CR1][CR1][CR1]1', '[CR1]1[CR1][CR1]cc[CR1][CR1]1',
+  '[CR2]1[CR2][CR2][CR2][CR2][CR2][CR2][CR2]1', '[CR2]1[CR2][CR2]cc[CR2][CR2][CR2]1',
+  '[CH2R2]1N[CH2R2][CH2R2][CH2R2][CH2R2][CH2R2]1',
+  '[CH2R2]1N[CH2R2][CH2R2][CH2R2][CH2R2][CH2R2][CH2R2]1', 'C#C',
+  '[OR2,NR2]@[CR2]@[CR2]@[OR2,NR2]@[CR2]@[CR2]@[OR2,NR2]', '[$([N+R]),$([n+R]),$([N+]=C)][O-]',
+  '[#6]=N[OH]', '[#6]=NOC=O', '[#6](=O)[CX4,CR0X3,O][#6](=O)', 'c1ccc2c(c1)ccc(=O)o2',
+  '[O+,o+,S+,s+]', 'N=C=O', '[NX3,NX4][F,Cl,Br,I]', 'c1ccccc1OC(=O)[#6]', '[CR0]=[CR0][CR0]=[CR0]',
+  '[C+,c+,C-,c-]', 'N=[N+]=[N-]', 'C12C(NC(N1)=O)CSC2', 'c1c([OH])c([OH,NH2,NH])ccc1', 'P',
+  '[N,O,S]C#N', 'C=C=O', '[Si][F,Cl,Br,I]', '[SX2]O', '[SiR0,CR0](c1ccccc1)(c2ccccc2)(c3ccccc3)',
+  'O1CCCCC1OC2CCC3CCCCC3C2', 'N=[CR0][N,n,O,S]',
+  '[cR2]1[cR2][cR2]([Nv3X3,Nv4X4])[cR2][cR2][cR2]1[cR2]2[cR2][cR2][cR2]([Nv3X3,Nv4X4])[cR2][cR2]2',
+  'C=[C!r]C#N', '[cR2]1[cR2]c([N+0X3R0,nX3R0])c([N+0X3R0,nX3R0])[cR2][cR2]1',
+  '[cR2]1[cR2]c([N+0X3R0,nX3R0])[cR2]c([N+0X3R0,nX3R0])[cR2]1',
+  '[cR2]1[cR2]c([N+0X3R0,nX3R0])[cR2][cR2]c1([N+0X3R0,nX3R0])', '[OH]c1ccc([OH,NH2,NH])cc1',
+  'c1ccccc1OC(=O)O', '[SX2H0][N]', 'c12ccccc1(SC(S)=N2)', 'c12ccccc1(SC(=S)N2)', 'c1nnnn1C=O',
+  's1c(S)nnc1NC=O', 'S1C=CSC1=S', 'C(=O)Onnn', 'OS(=O)(=O)C(F)(F)F', 'N#CC[OH]', 'N#CC(=O)',
+  'S(=O)(=O)C#N', 'N[CH2]C#N', 'C1(=O)NCC1', 'S(=O)(=O)[O-,OH]', 'NC[F,Cl,Br,I]', 'C=[C!r]O',
+  '[NX2+0]=[O+0]', '[OR0,NR0][OR0,NR0]', 'C(=O)O[C,H1].C(=O)O[C,H1].C(=O)O[C,H1]',
+  '[CX2R0][NX3R0]', 'c1ccccc1[C;!R]=[C;!R]c2ccccc2',
+  '[NX3R0,NX4R0,OR0,SX2R0][CX4][NX3R0,NX4R0,OR0,SX2R0]',
+  '[s,S,c,C,n,N,o,O]~[n+,N+](~[s,S,c,C,n,N,o,O])(~[s,S,c,C,n,N,o,O])~[s,S,c,C,n,N,o,O]',
+  '[s,S,c,C,n,N,o,O]~[nX3+,NX3+](~[s,S,c,C,n,N])~[s,S,c,C,n,N]', '[*]=[N+]=[*]',
+  '[SX3](=O)[O-,OH]', 'N#N', 'F.F.F.F', '[R0;D2][R0;D2][R0;D2][R0;D2]',
+  '[cR,CR]~C(=O)NC(=O)~[cR,CR]', 'C=!@CC=[O,S]', '[#6,#8,#16][#6](=O)O[#6]', 'c[C;R0](=[O,S])[#6]',
+  'c[SX2][C;!R]', 'C=C=C', 'c1nc([F,Cl,Br,I,S])ncc1', 'c1ncnc([F,Cl,Br,I,S])c1',
+  'c1nc(c2c(n1)nc(n2)[F,Cl,Br,I])', '[#6]S(=O)(=O)c1ccc(cc1)F', '[15N]', '[13C]', '[18O]', '[34S]',
+];
+
+// Hydrogen bond acceptors of QED, which counts every match of each pattern
+const ACCEPTOR_PATTERNS = [
+  '[oH0;X2]', '[OH1;X2;v2]', '[OH0;X2;v2]', '[OH0;X1;v2]', '[O-;X1]', '[SH0;X2;v2]',
+  '[SH0;X1;v2]', '[S-;X1]', '[nH0;X2]', '[NH0;X1;v3]', '[$([N;+0;X3;v3]);!$(N[C,S]=O)]',
+];
+
+// Aliphatic ring atoms bonded to a non-aromatic atom; QED counts the rings left without them
+const ALIPHATIC_RING_ATOM = '[$([A;R][!a])]';
+
+/**
+ * Asymmetric double sigmoid desirability of a property value
+ * @returns {number} Between 0 and 1
+ */
+function desirability(value, [a, b, c, d, e, f, dmax]) {
+  const rise = 1 + Math.exp(-(value - c + d / 2) / e);
+  const fall = 1 - 1 / (1 + Math.exp(-(value - c - d / 2) / f));
+  return (a + (b / rise) * fall) / dmax;
+}
+
+/**
+ * Weighted quantitative estimate of drug-likeness
+ * @param {Object<string, number>} properties - Values keyed like ADS_PARAMETERS
+ * @returns {number} Between 0 and 1
+ */
+function computeQED(properties) {
+  const keys = Object.keys(ADS_PARAMETERS);
+  const weighted = keys.reduce((sum, key) => {
+    const value = Math.max(desirability(properties[key], ADS_PARAMETERS[key]), Number.EPSILON);
+    return sum + QED_WEIGHTS[key] * Math.log(value);
+  }, 0);
+  const totalWeight = keys.reduce((sum, key) => sum + QED_WEIGHTS[key], 0);
+  return Math.exp(weighted / totalWeight);
+}
+
+/**
+ * Find the matches of a SMARTS pattern
+ * @returns {Array<{atoms: number[], bonds: number[]}>}
+ */
+function findMatches(RDKit, mol, smarts) {
+  const query = RDKit.get_qmol(smarts);
+  if (!query) {
+    return [];
+  }
+  try {
+    // No match is written as {}
+    const matches = JSON.parse(mol.get_substruct_matches(query));
+    return Array.isArray(matches) ? matches : [];
+  } finally {
+    query.delete();
+  }
+}
+
+/**
+ * Count the structural alerts a molecule matches
+ */
+function countAlerts(RDKit, mol) {
+  return STRUCTURAL_ALERTS
+    .filter((smarts) => findMatches(RDKit, mol, smarts).length > 0)
+    .length;
+}
+
+/**
+ * Count hydrogen bond acceptors and aromatic rings the way QED does, which
+ * differs from RDKit's NumHBA and NumAromaticRings descriptors
+ * @param {object} molecule - Molecule of the RDKit JSON
+ * @returns {{hba: number, aromaticRings: number}}
+ */
+function countQEDProperties(RDKit, mol, molecule) {
+  const hba = ACCEPTOR_PATTERNS
+    .reduce((sum, smarts) => sum + findMatches(RDKit, mol, smarts).length, 0);
+
+  const aliphatic = new Set(findMatches(RDKit, mol, ALIPHATIC_RING_ATOM)
+    .map(({ atoms: [atom] }) => atom));
+  const rings = molecule.extensions?.find((extension) => extension.atomRings)?.atomRings || [];
+  const aromaticRings = rings.filter((ring) => ring.every((atom) => !aliphatic.has(atom))).length;
+
+  return { hba, aromaticRings };
+}
+
+/**
+ * Evaluate a rule made of upper or lower bounds
+ * @param {Array<{label: string, value: number, min?: number, max?: number}>} criteria
+ * @param {number} allowedViolations
+ * @returns {{pass: boolean, violations: string[]}}
+ */
+function evaluateRule(criteria, allowedViolations = 0) {
+  const violations = criteria
+    .filter(({ value, min = -Infinity, max = Infinity }) => value < min || value > max)
+    .map(({ label }) => label);
+  return { pass: violations.length <= allowedViolations, violations };
+}
+
+/**
+ * Compute drug-likeness descriptors of a molecule
+ * @param {string} smiles
+ * @returns {Promise<object|null>} Descriptors, QED and rule results, or null if RDKit
+ *   cannot parse the SMILES
+ */
+async function computeDescriptors(smiles) {
+  const RDKit = await initRDKit();
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) {
+    return null;
+  }
+
+  try {
+    const raw = JSON.parse(mol.get_descriptors());
+    const [molecule] = JSON.parse(mol.get_json()).molecules;
+    const descriptors = {
+      molecularWeight: raw.amw,
+      clogp: raw.CrippenClogP,
+      molarRefractivity: raw.CrippenMR,
+      tpsa: raw.tpsa,
+      hbd: raw.NumHBD,
+      hba: raw.NumHBA,
+      rotatableBonds: raw.NumRotatableBonds,
+      rings: raw.NumRings,
+      aromaticRings: raw.NumAromaticRings,
+      fractionCSP3: raw.FractionCSP3,
+      formalCharge: (molecule.atoms || []).reduce((sum, atom) => sum + (atom.chg || 0), 0),
+      heavyAtoms: raw.NumHeavyAtoms,
+      atoms: raw.NumAtoms,
+      alerts: countAlerts(RDKit, mol),
+    };
+
+    return {
+      ...descriptors,
+      qed: computeQED({ ...descriptors, ...countQEDProperties(RDKit, mol, molecule) }),
+      rules: {
+        // At most one violation of the rule of five
+        lipinski: evaluateRule([
+          { label: 'MW > 500', value: descriptors.molecularWeight, max: 500 },
+          { label: 'cLogP > 5', value: descriptors.clogp, max: 5 },
+          { label: 'HBD > 5', value: raw.lipinskiHBD, max: 5 },
+          { label: 'HBA > 10', value: raw.lipinskiHBA, max: 10 },
+        ], 1),
+        veber: evaluateRule([
+          { label: 'Rotatable bonds > 10', value: descriptors.rotatableBonds, max: 10 },
+          { label: 'TPSA > 140', value: descriptors.tpsa, max: 140 },
+        ]),
+        ghose: evaluateRule([
+          {
+            label: 'MW outside 160-480', value: descriptors.molecularWeight, min: 160, max: 480,
+          },
+          {
+            label: 'cLogP outside -0.4-5.6', value: descriptors.clogp, min: -0.4, max: 5.6,
+          },
+          {
+            label: 'MR outside 40-130', value: descriptors.molarRefractivity, min: 40, max: 130,
+          },
+          {
+            label: 'Atoms outside 20-70', value: descriptors.atoms, min: 20, max: 70,
+          },
+        ]),
+      },
+    };
+  } finally {
+    mol.delete();
+  }
+}
+
+export { computeDescriptors };
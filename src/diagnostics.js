@@ -1,98 +1,27 @@
 import * as vscode from 'vscode';
-import { loadWithImports } from 'selfies-js';
+import * as path from 'path';
+import { findLegacyApiUsages } from './apiMigration';
+import { getImportClosure } from './language/selfiesUsage';
 
 /**
- * Validate JavaScript imports in .smiles.js files
- * @param {string} text - File content
+ * Report uses of the old smiles-js API in .smiles.js files
+ * @param {vscode.TextDocument} document
  * @returns {vscode.Diagnostic[]}
  */
-function validateJavaScriptImports(text) {
-  const diagnostics = [];
-  const lines = text.split('\n');
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    const importMatch = line.match(/import\s+.*\s+from\s+['"](.+)['"]/);
-
-    if (importMatch) {
-      const importPath = importMatch[1];
-
-      // Check for old API usage
-      if (importPath.includes('/fragment')) {
-        const range = new vscode.Range(
-          new vscode.Position(i, 0),
-          new vscode.Position(i, line.length),
-        );
-
-        const diagnostic = new vscode.Diagnostic(
-          range,
-          `Deprecated import path: '${importPath}'. Use './index.js' or 'smiles-js' instead. The Fragment API has been updated.`,
-          vscode.DiagnosticSeverity.Error,
-        );
-
-        diagnostic.source = 'smiles-js';
-        diagnostic.code = 'deprecated-import';
-
-        // Suggest fix
-        diagnostic.relatedInformation = [
-          new vscode.DiagnosticRelatedInformation(
-            new vscode.Location(vscode.Uri.file(''), range),
-            "Replace with: import { parse, Ring, Linear, Fragment } from '../src/index.js';",
-          ),
-        ];
-
-        diagnostics.push(diagnostic);
-      }
-
-      // Check for attachAt usage (old API)
-      if (line.includes('.attachAt(')) {
-        const match = line.match(/\.attachAt\(/);
-        if (match) {
-          const col = match.index;
-          const range = new vscode.Range(
-            new vscode.Position(i, col),
-            new vscode.Position(i, col + 9),
-          );
-
-          const diagnostic = new vscode.Diagnostic(
-            range,
-            'Method .attachAt() has been replaced with .attach() in the new API',
-            vscode.DiagnosticSeverity.Error,
-          );
-
-          diagnostic.source = 'smiles-js';
-          diagnostic.code = 'deprecated-method';
-
-          diagnostics.push(diagnostic);
-        }
-      }
-    }
-
-    // Check for old Ring constructor usage
-    if (line.match(/Ring\(['"][a-z]['"],\s*\d+\)/)) {
-      const match = line.match(/Ring\(/);
-      if (match) {
-        const col = match.index;
-        const range = new vscode.Range(
-          new vscode.Position(i, col),
-          new vscode.Position(i, line.length),
-        );
-
-        const diagnostic = new vscode.Diagnostic(
-          range,
-          'Old Ring API: Use Ring({ atoms: \'c\', size: 6 }) instead of Ring(\'c\', 6)',
-          vscode.DiagnosticSeverity.Error,
-        );
-
-        diagnostic.source = 'smiles-js';
-        diagnostic.code = 'deprecated-api';
-
-        diagnostics.push(diagnostic);
-      }
-    }
-  }
-
-  return diagnostics;
+function validateJavaScriptImports(document) {
+  const usages = findLegacyApiUsages(document.getText()) || [];
+  return usages.map(({
+    code, start, end, message,
+  }) => {
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(document.positionAt(start), document.positionAt(end)),
+      message,
+      vscode.DiagnosticSeverity.Error,
+    );
+    diagnostic.source = 'smiles-js';
+    diagnostic.code = code;
+    return diagnostic;
+  });
 }
 
 /**
@@ -120,9 +49,10 @@ function getSeverity(type) {
 
 /**
  * Create a diagnostics provider for SELFIES files
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
  * @returns {vscode.Disposable}
  */
-function createDiagnosticsProvider() {
+function createDiagnosticsProvider(selfiesWorkspace) {
   const diagnosticCollection = vscode.languages.createDiagnosticCollection('smiles');
 
   // Helper function to check if file is supported
@@ -135,7 +65,6 @@ function createDiagnosticsProvider() {
       return;
     }
 
-    const text = document.getText();
     const { uri } = document;
     const diagnostics = [];
 
@@ -144,7 +73,7 @@ function createDiagnosticsProvider() {
       try {
         // Try to dynamically import the file to catch syntax/import errors
         // This is a basic validation - actual imports will be handled by Node.js
-        const importErrors = validateJavaScriptImports(text);
+        const importErrors = validateJavaScriptImports(document);
         if (importErrors.length > 0) {
           diagnostics.push(...importErrors);
         }
@@ -165,7 +94,7 @@ function createDiagnosticsProvider() {
 
     try {
       // Parse the document with imports support
-      const result = loadWithImports(text, uri.fsPath);
+      const result = selfiesWorkspace.getProgram(uri.fsPath);
 
       // Convert selfies-js errors to VS Code diagnostics
       if (result.errors && result.errors.length > 0) {
@@ -236,9 +165,19 @@ function createDiagnosticsProvider() {
     diagnosticCollection.set(uri, diagnostics);
   };
 
-  // Listen for document changes
-  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
-    updateDiagnostics(event.document);
+  // Listen for document changes; open files importing a changed one report
+  // its errors on their import statements, so they are checked again too
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument(({ document }) => {
+    updateDiagnostics(document);
+    if (document.languageId !== 'selfies') {
+      return;
+    }
+
+    const changedPath = path.resolve(document.uri.fsPath);
+    vscode.workspace.textDocuments
+      .filter((other) => other !== document && other.languageId === 'selfies'
+        && getImportClosure(selfiesWorkspace, other.uri.fsPath).includes(changedPath))
+      .forEach(updateDiagnostics);
   });
 
   // Listen for document open
@@ -251,6 +190,12 @@ function createDiagnosticsProvider() {
     diagnosticCollection.delete(document.uri);
   });
 
+  // Re-check open files when a file they may import is created or deleted
+  const watcher = vscode.workspace.createFileSystemWatcher('**/*.selfies', false, true, false);
+  const updateOpenDocuments = () => vscode.workspace.textDocuments.forEach(updateDiagnostics);
+  watcher.onDidCreate(updateOpenDocuments);
+  watcher.onDidDelete(updateOpenDocuments);
+
   // Update all currently open documents
   vscode.workspace.textDocuments.forEach(updateDiagnostics);
 
@@ -260,6 +205,7 @@ function createDiagnosticsProvider() {
       documentChangeListener.dispose();
       documentOpenListener.dispose();
       documentCloseListener.dispose();
+      watcher.dispose();
     },
   };
 }
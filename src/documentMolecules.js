@@ -0,0 +1,100 @@
+import * as vscode from 'vscode';
+import { evaluateDocument, formatEvaluationError } from './sandbox/evaluateDocument';
+
+/**
+ * Collect every molecule defined in a .selfies file (imported definitions excluded)
+ * @param {vscode.TextDocument} document
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {Array<object>}
+ */
+function collectSelfiesMolecules(document, selfiesWorkspace) {
+  const filePath = document.uri.fsPath;
+  const program = selfiesWorkspace.getProgram(filePath);
+
+  return Array.from(program.definitions.values())
+    .filter((definition) => !definition.importedFrom)
+    .map((definition) => {
+      const {
+        selfies, smiles, molecularWeight, formula, error,
+      } = selfiesWorkspace.describe(filePath, definition.name);
+      return {
+        name: definition.name,
+        // Parser lines are 1-based
+        line: definition.line - 1,
+        endLine: definition.line - 1,
+        selfies,
+        smiles,
+        molecularWeight,
+        formula,
+        error: smiles ? null : (error || 'Could not resolve definition'),
+      };
+    });
+}
+
+/**
+ * Collect every fragment declared in a .smiles.js file, exported or not
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<{molecules: Array<object>, error: string|null}>}
+ */
+async function collectSmilesJsMolecules(document) {
+  const { bindings, error } = await evaluateDocument(document);
+  if (error) {
+    return { molecules: [], error: formatEvaluationError(error) };
+  }
+
+  const molecules = bindings.map((binding) => ({
+    name: binding.name,
+    line: binding.line - 1,
+    endLine: binding.endLine - 1,
+    selfies: null,
+    smiles: binding.smiles,
+    molecularWeight: binding.molecularWeight,
+    formula: binding.formula,
+    error: null,
+  }));
+  return { molecules, error: null };
+}
+
+/**
+ * Collect every molecule defined in a .selfies or .smiles.js document
+ * @param {vscode.TextDocument} document
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {Promise<{molecules: Array<object>, error: string|null}>}
+ *   molecules: [{ name, line and endLine of the declaration (0-based), selfies, smiles,
+ *   molecularWeight, formula, error }]
+ *   sorted by line; error is set when the whole file could not be evaluated
+ */
+async function collectDocumentMolecules(document, selfiesWorkspace) {
+  const result = document.fileName.endsWith('.smiles.js')
+    ? await collectSmilesJsMolecules(document)
+    : { molecules: collectSelfiesMolecules(document, selfiesWorkspace), error: null };
+
+  result.molecules.sort((a, b) => a.line - b.line);
+  return result;
+}
+
+/**
+ * Get a .selfies or .smiles.js file as a document, preferring the open
+ * (possibly unsaved) one. Files that are not open are read from disk without
+ * opening them, so no editor events fire.
+ * @param {vscode.Uri} uri
+ * @returns {Promise<{uri: vscode.Uri, fileName: string, languageId: string,
+ *   getText: () => string}>} Enough of a vscode.TextDocument for collectDocumentMolecules
+ */
+async function loadMoleculeDocument(uri) {
+  const open = vscode.workspace.textDocuments
+    .find((document) => document.uri.toString() === uri.toString());
+  if (open) {
+    return open;
+  }
+
+  const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8');
+  return {
+    uri,
+    fileName: uri.fsPath,
+    languageId: uri.fsPath.endsWith('.selfies') ? 'selfies' : 'javascript',
+    getText: () => text,
+  };
+}
+
+export { collectDocumentMolecules, loadMoleculeDocument };
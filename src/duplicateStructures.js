@@ -0,0 +1,410 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { collectDocumentMolecules, loadMoleculeDocument } from './documentMolecules';
+import { getStructureKey, findDuplicates } from './structureIndex';
+import { findImportInsertPosition } from './refactorMolecule';
+import { getDeclaredNames } from './importMolecules';
+import { findSmilesLiterals, findDeclarations, findExportedNames } from './javascriptMolecules';
+import { stripComment, getImportPath } from './language/selfiesSource';
+
+const FILE_PATTERN = '**/*.{selfies,smiles.js}';
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+// Wait for typing to pause before re-indexing a document
+const UPDATE_DELAY = 1000;
+
+const isSupportedFile = (fileName) => /\.(selfies|smiles\.js)$/.test(fileName);
+// Identifiers only contain word characters and $
+const escapeRegExp = (text) => text.replace(/[$]/g, '\\$');
+
+/**
+ * Read the configured severity of duplicate structures
+ * @returns {vscode.DiagnosticSeverity|null} null when turned off
+ */
+function getSeverity() {
+  const setting = vscode.workspace.getConfiguration('smiles.validation')
+    .get('duplicateStructure', 'warning');
+  return SEVERITIES[setting] ?? null;
+}
+
+/**
+ * Whether a definition only refers to another one, like [b] = [a] or
+ * const b = a; such aliases are deliberate and never reported
+ */
+function isAlias(document, molecule, lines, selfiesWorkspace) {
+  const text = lines.slice(molecule.line, molecule.endLine + 1).join('\n');
+  if (document.languageId === 'selfies') {
+    const reference = /=\s*\[([^\]]+)\]\s*(?:#.*)?$/.exec(text);
+    return Boolean(reference) && selfiesWorkspace.getProgram(document.uri.fsPath)
+      .definitions.has(reference[1]);
+  }
+  return new RegExp(`(?:const|let|var)\\s+${escapeRegExp(molecule.name)}\\s*=\\s*[A-Za-z_$][\\w$]*\\s*;?\\s*(?://.*)?$`)
+    .test(text);
+}
+
+/**
+ * Read the molecules of a smiles-js source from its `Fragment('...')` declarations,
+ * without evaluating it
+ * @param {string} text
+ * @returns {Array<{name: string, line: number, endLine: number, smiles: string}>}
+ *   0-based lines of the declaration statements
+ */
+function collectLiteralMolecules(text) {
+  const declarations = findDeclarations(text) || [];
+  return findSmilesLiterals(text)
+    .filter(({ declaration }) => declaration)
+    .map(({ smiles, start, declaration }) => {
+      const line = text.slice(0, start).split('\n').length - 1;
+      const statement = declarations.find((candidate) => line >= candidate.line
+        && line <= candidate.endLine
+        && candidate.names.some(({ name }) => name === declaration.name));
+      return {
+        name: declaration.name,
+        line: statement ? statement.line : line,
+        endLine: statement ? statement.endLine : line,
+        smiles,
+      };
+    });
+}
+
+/**
+ * Collect the molecules of a document to index. smiles-js files that are not
+ * open are only read for their SMILES literals, so indexing the workspace
+ * never runs code from files the user has not opened.
+ */
+async function collectIndexedMolecules(document, selfiesWorkspace) {
+  if (document.fileName.endsWith('.smiles.js')
+    && !vscode.workspace.textDocuments.includes(document)) {
+    return collectLiteralMolecules(document.getText());
+  }
+  const { molecules } = await collectDocumentMolecules(document, selfiesWorkspace);
+  return molecules;
+}
+
+/**
+ * Index the molecules of a document by structure
+ * @returns {Promise<object[]>} Entries: { name, uri, line, endLine, range, key, exported }
+ */
+async function indexDocument(document, selfiesWorkspace) {
+  const molecules = await collectIndexedMolecules(document, selfiesWorkspace);
+  const text = document.getText();
+  const lines = text.split('\n');
+
+  const exportedNames = document.fileName.endsWith('.smiles.js')
+    ? findExportedNames(text)
+    : new Set();
+
+  const entries = await Promise.all(molecules
+    .filter((molecule) => molecule.smiles && !isAlias(document, molecule, lines, selfiesWorkspace))
+    .map(async (molecule) => {
+      const { name, line, endLine } = molecule;
+      const lineText = lines[line] || '';
+      const start = Math.max(lineText.indexOf(name), 0);
+      return {
+        name,
+        uri: document.uri,
+        line,
+        endLine,
+        range: new vscode.Range(line, start, line, start + name.length),
+        key: await getStructureKey(molecule.smiles),
+        exported: exportedNames.has(name),
+      };
+    }));
+  return entries;
+}
+
+/**
+ * Build the edit that turns a SELFIES definition into a reference to another one
+ * @returns {vscode.WorkspaceEdit|null} null if the other definition cannot be referenced
+ */
+function buildSelfiesFix(document, entry, other, selfiesWorkspace) {
+  if (!other.uri.fsPath.endsWith('.selfies')) {
+    return null;
+  }
+
+  const sameFile = other.uri.toString() === entry.uri.toString();
+  // No forward references
+  if (sameFile && other.line > entry.line) {
+    return null;
+  }
+
+  const otherPath = path.resolve(other.uri.fsPath);
+  const visible = selfiesWorkspace.getProgram(document.uri.fsPath).definitions.get(other.name);
+  const needsImport = !visible;
+  if (visible && path.resolve(visible.sourceFile) !== otherPath) {
+    // The name means something else here
+    return null;
+  }
+  if (needsImport && selfiesWorkspace.getProgram(otherPath).definitions.has(entry.name)) {
+    // The other file already depends on this one
+    return null;
+  }
+
+  const lineText = document.lineAt(entry.line).text;
+  const bodyStart = lineText.indexOf('=', entry.range.end.character) + 1;
+  const bodyEnd = bodyStart + stripComment(lineText.slice(bodyStart)).trimEnd().length;
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(
+    document.uri,
+    new vscode.Range(entry.line, bodyStart, entry.line, bodyEnd),
+    ` [${other.name}]`,
+  );
+  if (needsImport) {
+    const lines = document.getText().split('\n');
+    const lastImport = lines.map((line) => line.trim().startsWith('import ')).lastIndexOf(true);
+    edit.insert(
+      document.uri,
+      new vscode.Position(lastImport + 1, 0),
+      `import [${other.name}] from "${getImportPath(document.uri.fsPath, other.uri.fsPath)}"\n`,
+    );
+  }
+  return edit;
+}
+
+/**
+ * Build the edit that turns a smiles-js declaration into a reference to another one
+ * @returns {vscode.WorkspaceEdit|null} null if the other declaration cannot be referenced
+ */
+function buildSmilesJsFix(document, entry, other, selfiesWorkspace) {
+  if (!other.uri.fsPath.endsWith('.smiles.js')) {
+    return null;
+  }
+
+  const sameFile = other.uri.toString() === entry.uri.toString();
+  if (sameFile ? other.line > entry.line : !other.exported) {
+    return null;
+  }
+  if (!sameFile && getDeclaredNames(document, selfiesWorkspace).has(other.name)) {
+    return null;
+  }
+
+  const initializer = (findDeclarations(document.getText()) || [])
+    .filter(({ line }) => line === entry.line)
+    .flatMap(({ initializers }) => initializers)
+    .find(({ name }) => name === entry.name);
+  if (!initializer) {
+    // Destructuring and other declarations without a plain initializer
+    return null;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(
+    document.uri,
+    new vscode.Range(document.positionAt(initializer.start), document.positionAt(initializer.end)),
+    other.name,
+  );
+  if (!sameFile) {
+    edit.insert(
+      document.uri,
+      new vscode.Position(findImportInsertPosition(document.getText()), 0),
+      `import { ${other.name} } from '${getImportPath(document.uri.fsPath, other.uri.fsPath)}';\n`,
+    );
+  }
+  return edit;
+}
+
+/**
+ * Create a provider that indexes every molecule in the workspace by
+ * structure and reports definitions with the same structure under
+ * different names, with quick fixes that reference one from the other
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createDuplicateStructureProvider(selfiesWorkspace) {
+  const diagnosticCollection = vscode.languages.createDiagnosticCollection('smiles-duplicates');
+  // Entries of every indexed file, keyed by URI
+  const index = new Map();
+  const versions = new Map();
+  const pendingUpdates = new Map();
+  let duplicates = new Map();
+
+  const publish = () => {
+    const severity = getSeverity();
+    diagnosticCollection.clear();
+    duplicates = severity === null
+      ? new Map()
+      : findDuplicates(Array.from(index.values()).flat());
+
+    const diagnosticsByUri = new Map();
+    duplicates.forEach((others, entry) => {
+      const names = others.map((other) => (other.uri.toString() === entry.uri.toString()
+        ? other.name
+        : `${other.name} (${vscode.workspace.asRelativePath(other.uri)})`));
+      const diagnostic = new vscode.Diagnostic(
+        entry.range,
+        `Duplicate structure: ${entry.name} is the same molecule as ${names.join(', ')}`,
+        severity,
+      );
+      diagnostic.source = 'smiles';
+      diagnostic.code = 'duplicate-structure';
+      diagnostic.relatedInformation = others.map((other) => new vscode.DiagnosticRelatedInformation(
+        new vscode.Location(other.uri, other.range),
+        `${other.name} has the same structure`,
+      ));
+
+      const key = entry.uri.toString();
+      if (!diagnosticsByUri.has(key)) {
+        diagnosticsByUri.set(key, { uri: entry.uri, diagnostics: [] });
+      }
+      diagnosticsByUri.get(key).diagnostics.push(diagnostic);
+    });
+
+    diagnosticsByUri.forEach(({ uri, diagnostics }) => diagnosticCollection.set(uri, diagnostics));
+  };
+
+  const updateFile = async (uri) => {
+    const key = uri.toString();
+    const version = (versions.get(key) || 0) + 1;
+    versions.set(key, version);
+
+    let entries;
+    try {
+      entries = await indexDocument(await loadMoleculeDocument(uri), selfiesWorkspace);
+    } catch {
+      // Unreadable or deleted file
+      entries = [];
+    }
+
+    // A newer update of this file started in the meantime
+    if (versions.get(key) !== version) {
+      return;
+    }
+    index.set(key, entries);
+    publish();
+  };
+
+  const removeFile = (uri) => {
+    const key = uri.toString();
+    versions.set(key, (versions.get(key) || 0) + 1);
+    index.delete(key);
+    publish();
+  };
+
+  const scheduleUpdate = (uri, delay = UPDATE_DELAY) => {
+    if (!isSupportedFile(uri.fsPath) || getSeverity() === null) {
+      return;
+    }
+
+    const key = uri.toString();
+    clearTimeout(pendingUpdates.get(key));
+    pendingUpdates.set(key, setTimeout(() => {
+      pendingUpdates.delete(key);
+      updateFile(uri);
+    }, delay));
+  };
+
+  const indexWorkspace = async () => {
+    const uris = await vscode.workspace.findFiles(FILE_PATTERN, '**/node_modules/**');
+    vscode.workspace.textDocuments
+      .filter((document) => isSupportedFile(document.fileName) && document.uri.scheme === 'file')
+      .forEach((document) => {
+        if (!uris.some((uri) => uri.toString() === document.uri.toString())) {
+          uris.push(document.uri);
+        }
+      });
+
+    // One file at a time so RDKit and the sandbox are not flooded
+    await uris.reduce(async (previous, uri) => {
+      await previous;
+      await updateFile(uri);
+    }, Promise.resolve());
+  };
+
+  // Re-index edited documents
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    scheduleUpdate(event.document.uri);
+  });
+
+  // smiles-js files are evaluated once opened, finding molecules that are not literals
+  const documentOpenListener = vscode.workspace.onDidOpenTextDocument((document) => {
+    if (document.fileName.endsWith('.smiles.js') && document.uri.scheme === 'file') {
+      scheduleUpdate(document.uri);
+    }
+  });
+
+  // Follow files created, changed or deleted outside the editor
+  const watcher = vscode.workspace.createFileSystemWatcher(FILE_PATTERN);
+  watcher.onDidCreate((uri) => scheduleUpdate(uri));
+  watcher.onDidChange((uri) => scheduleUpdate(uri));
+  watcher.onDidDelete((uri) => {
+    clearTimeout(pendingUpdates.get(uri.toString()));
+    pendingUpdates.delete(uri.toString());
+    removeFile(uri);
+  });
+
+  // Turning the check on needs a full index; other severity changes only republish
+  const configurationChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (!event.affectsConfiguration('smiles.validation.duplicateStructure')) {
+      return;
+    }
+    if (getSeverity() === null) {
+      index.clear();
+      publish();
+    } else if (index.size === 0) {
+      indexWorkspace();
+    } else {
+      publish();
+    }
+  });
+
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      provideCodeActions(document, range, context) {
+        const entries = index.get(document.uri.toString()) || [];
+        const buildFix = document.languageId === 'selfies' ? buildSelfiesFix : buildSmilesJsFix;
+
+        return context.diagnostics
+          .filter(({ source, code }) => source === 'smiles' && code === 'duplicate-structure')
+          .flatMap((diagnostic) => {
+            const entry = entries.find(({ range: entryRange }) => entryRange
+              .isEqual(diagnostic.range));
+            return (duplicates.get(entry) || []).map((other) => {
+              const edit = buildFix(document, entry, other, selfiesWorkspace);
+              if (!edit) {
+                return null;
+              }
+              const sameFile = other.uri.toString() === entry.uri.toString();
+              const fix = new vscode.CodeAction(
+                `Replace ${entry.name} with a reference to ${other.name}${sameFile ? '' : ` from ${vscode.workspace.asRelativePath(other.uri)}`}`,
+                vscode.CodeActionKind.QuickFix,
+              );
+              fix.edit = edit;
+              fix.diagnostics = [diagnostic];
+              return fix;
+            });
+          })
+          .filter(Boolean);
+      },
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+  );
+
+  if (getSeverity() !== null) {
+    indexWorkspace();
+  }
+
+  return {
+    dispose: () => {
+      pendingUpdates.forEach((timeout) => clearTimeout(timeout));
+      diagnosticCollection.dispose();
+      documentChangeListener.dispose();
+      documentOpenListener.dispose();
+      watcher.dispose();
+      configurationChangeListener.dispose();
+      codeActionProvider.dispose();
+    },
+  };
+}
+
+export { createDuplicateStructureProvider };
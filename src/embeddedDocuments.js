@@ -0,0 +1,114 @@
+import * as vscode from 'vscode';
+import { findEmbeddedSmiles } from './embeddedSmiles';
+import { computeDescriptors } from './descriptors';
+import { createHoverContent } from './smilesJsHover';
+import { isReactionSmiles } from './reactionSmiles';
+
+/**
+ * Read the smiles.embedded settings
+ * @returns {{documents: vscode.DocumentFilter[], rules: object[]}}
+ */
+function getEmbeddedSettings() {
+  const config = vscode.workspace.getConfiguration('smiles.embedded');
+  return {
+    documents: config.get('documents', []),
+    rules: config.get('rules', []),
+  };
+}
+
+/**
+ * Whether a document is matched by smiles.embedded.documents. .selfies and
+ * .smiles.js files have their own support and never count as embedded.
+ * @param {vscode.TextDocument} document
+ * @returns {boolean}
+ */
+function isEmbeddedDocument(document) {
+  if (document.languageId === 'selfies' || document.fileName.endsWith('.smiles.js')) {
+    return false;
+  }
+  return vscode.languages.match(getEmbeddedSettings().documents, document) > 0;
+}
+
+/**
+ * Find the SMILES embedded in a document with the rules of its language
+ * @param {vscode.TextDocument} document
+ * @returns {Array<{smiles: string, start: number, end: number, escaped: boolean}>}
+ */
+function findDocumentSmiles(document) {
+  return findEmbeddedSmiles(document.getText(), document.languageId, getEmbeddedSettings().rules);
+}
+
+/**
+ * Find the embedded SMILES at a position
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Position} position
+ */
+function findDocumentSmilesAt(document, position) {
+  const offset = document.offsetAt(position);
+  return findDocumentSmiles(document)
+    .find(({ start, end }) => offset >= start && offset <= end) || null;
+}
+
+/**
+ * Create a hover provider showing structures for embedded SMILES. It is
+ * registered again when smiles.embedded.documents changes.
+ * @returns {vscode.Disposable}
+ */
+function createEmbeddedHoverProvider() {
+  const provider = {
+    async provideHover(document, position) {
+      const found = isEmbeddedDocument(document) && findDocumentSmilesAt(document, position);
+      if (!found) {
+        return null;
+      }
+
+      const range = new vscode.Range(
+        document.positionAt(found.start),
+        document.positionAt(found.end),
+      );
+      if (isReactionSmiles(found.smiles)) {
+        return new vscode.Hover(
+          await createHoverContent('Reaction', { smiles: found.smiles }),
+          range,
+        );
+      }
+
+      // Patterns may match strings that are not SMILES
+      const descriptors = await computeDescriptors(found.smiles);
+      if (!descriptors) {
+        return null;
+      }
+
+      const content = await createHoverContent('SMILES', {
+        smiles: found.smiles,
+        molecularWeight: descriptors.molecularWeight,
+      });
+      return new vscode.Hover(content, range);
+    },
+  };
+
+  let registration = vscode.languages.registerHoverProvider(
+    getEmbeddedSettings().documents,
+    provider,
+  );
+  const configListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('smiles.embedded.documents')) {
+      registration.dispose();
+      registration = vscode.languages.registerHoverProvider(
+        getEmbeddedSettings().documents,
+        provider,
+      );
+    }
+  });
+
+  return {
+    dispose: () => {
+      registration.dispose();
+      configListener.dispose();
+    },
+  };
+}
+
+export {
+  isEmbeddedDocument, findDocumentSmiles, findDocumentSmilesAt, createEmbeddedHoverProvider,
+};
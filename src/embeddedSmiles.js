@@ -0,0 +1,99 @@
+/**
+ * Find SMILES embedded in other languages, such as Python, TypeScript, JSON,
+ * YAML or Markdown, with configurable extraction rules
+ */
+
+const FENCE_PATTERN = /^([ \t]*)(`{3,}|~{3,})[ \t]*([\w-]*)[^\n]*$/;
+
+/**
+ * Find the SMILES matched by a pattern rule
+ * @param {string} text
+ * @param {{pattern: string, unescape?: boolean}} rule - The SMILES is the `smiles`
+ *   named group of pattern, or its first group
+ * @returns {Array<{smiles: string, start: number, end: number, escaped: boolean}>}
+ */
+function matchPattern(text, rule) {
+  let pattern;
+  try {
+    pattern = new RegExp(rule.pattern, 'gmd');
+  } catch {
+    // Settings may hold an invalid pattern
+    return [];
+  }
+
+  return Array.from(text.matchAll(pattern))
+    .map((match) => {
+      const [start, end] = match.indices.groups?.smiles || match.indices[1] || [];
+      return start === undefined ? null : { start, end };
+    })
+    .filter((range) => range && range.end > range.start)
+    .map(({ start, end }) => {
+      const written = text.slice(start, end);
+      return {
+        smiles: rule.unescape ? written.replace(/\\\\/g, '\\') : written,
+        start,
+        end,
+        escaped: Boolean(rule.unescape),
+      };
+    });
+}
+
+/**
+ * Find the lines of fenced code blocks, one SMILES per non-empty line
+ * @param {string} text
+ * @param {{fence: string}} rule - Info string of the blocks, such as `smiles`
+ * @returns {Array<{smiles: string, start: number, end: number, escaped: boolean}>}
+ */
+function matchFences(text, rule) {
+  const found = [];
+  let open = null;
+  let offset = 0;
+
+  text.split('\n').forEach((line) => {
+    const fence = FENCE_PATTERN.exec(line);
+    if (!open && fence) {
+      open = { marker: fence[2], matches: fence[3] === rule.fence };
+    } else if (open && fence && fence[2].startsWith(open.marker) && !fence[3]) {
+      open = null;
+    } else if (open?.matches && line.trim()) {
+      const start = offset + line.length - line.trimStart().length;
+      found.push({
+        smiles: line.trim(), start, end: start + line.trim().length, escaped: false,
+      });
+    }
+    offset += line.length + 1;
+  });
+
+  return found;
+}
+
+/**
+ * Find the SMILES of a document with the rules of its language
+ * @param {string} text - Document text
+ * @param {string} languageId
+ * @param {Array<{languages: string[], pattern?: string, fence?: string, unescape?: boolean}>} rules
+ *   A rule extracts with either a regular expression or fenced blocks. With unescape,
+ *   `\\` in the match is read as a single backslash, as in string literals.
+ * @returns {Array<{smiles: string, start: number, end: number, escaped: boolean}>}
+ *   In document order, with the offsets of the SMILES as written
+ */
+function findEmbeddedSmiles(text, languageId, rules) {
+  const found = new Map();
+  rules
+    .filter(({ languages }) => Array.isArray(languages) && languages.includes(languageId))
+    .flatMap((rule) => {
+      if (rule.fence) {
+        return matchFences(text, rule);
+      }
+      return typeof rule.pattern === 'string' ? matchPattern(text, rule) : [];
+    })
+    .forEach((smiles) => {
+      if (!found.has(smiles.start)) {
+        found.set(smiles.start, smiles);
+      }
+    });
+
+  return Array.from(found.values()).sort((a, b) => a.start - b.start);
+}
+
+export { findEmbeddedSmiles };
@@ -0,0 +1,126 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { collectDocumentMolecules, loadMoleculeDocument } from './documentMolecules';
+import { EXPORT_FORMATS, buildExportEntry, formatExport } from './exportTable';
+
+const isSupportedDocument = (document) => document.languageId === 'selfies'
+  || document.fileName.endsWith('.smiles.js');
+
+/**
+ * Ask which documents to export: the active file or every molecule file in the workspace
+ * @returns {Promise<vscode.TextDocument[]|null>} null if cancelled
+ */
+async function pickDocuments() {
+  const activeDocument = vscode.window.activeTextEditor?.document;
+  const scopes = [];
+  if (activeDocument && isSupportedDocument(activeDocument)) {
+    scopes.push({ label: 'Active File', description: path.basename(activeDocument.fileName), scope: 'file' });
+  }
+  if (vscode.workspace.workspaceFolders) {
+    scopes.push({ label: 'Workspace', description: 'All .selfies and .smiles.js files', scope: 'workspace' });
+  }
+
+  if (scopes.length === 0) {
+    vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file or a workspace first');
+    return null;
+  }
+
+  const picked = scopes.length === 1 ? scopes[0] : await vscode.window.showQuickPick(scopes, {
+    placeHolder: 'Export definitions from',
+  });
+  if (!picked) {
+    return null;
+  }
+  if (picked.scope === 'file') {
+    return [activeDocument];
+  }
+
+  const uris = await vscode.workspace.findFiles('**/*.{selfies,smiles.js}', '**/node_modules/**');
+  uris.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+  // Files are read without opening them, so no diagnostics run on files the user never opened
+  return Promise.all(uris.map((uri) => loadMoleculeDocument(uri)));
+}
+
+/**
+ * Export every definition of the active file or workspace to CSV, JSON or SDF
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ */
+async function exportDefinitions(selfiesWorkspace) {
+  const documents = await pickDocuments();
+  if (!documents) {
+    return;
+  }
+
+  const formatPick = await vscode.window.showQuickPick(
+    Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({ label, format })),
+    { placeHolder: 'Export format' },
+  );
+  if (!formatPick) {
+    return;
+  }
+  const { format } = formatPick;
+
+  const entries = [];
+  const failedFiles = [];
+  await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: 'Exporting definitions',
+  }, async (progress) => {
+    await documents.reduce(async (previous, document) => {
+      await previous;
+      const file = vscode.workspace.asRelativePath(document.uri);
+      progress.report({ message: file });
+
+      const { molecules, error } = await collectDocumentMolecules(document, selfiesWorkspace);
+      if (error) {
+        failedFiles.push(file);
+      }
+      await molecules.reduce(async (previousMolecule, molecule) => {
+        await previousMolecule;
+        entries.push(await buildExportEntry(molecule, file));
+      }, Promise.resolve());
+    }, Promise.resolve());
+  });
+
+  if (entries.length === 0) {
+    vscode.window.showWarningMessage('No definitions found to export');
+    return;
+  }
+
+  const baseName = documents.length === 1
+    ? path.basename(documents[0].fileName).replace(/\.(selfies|smiles\.js)$/, '')
+    : 'molecules';
+  const defaultDirectory = vscode.workspace.workspaceFolders?.[0].uri.fsPath
+    || path.dirname(documents[0].fileName);
+  const { extension, label } = EXPORT_FORMATS[format];
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(defaultDirectory, `${baseName}.${extension}`)),
+    filters: { [`${label} Files`]: [extension] },
+  });
+  if (!uri) {
+    return;
+  }
+
+  try {
+    const { text, skipped } = formatExport(format, entries);
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(text, 'utf-8'));
+
+    const notes = [];
+    if (skipped > 0) {
+      notes.push(`${skipped} without a valid structure skipped`);
+    }
+    if (failedFiles.length > 0) {
+      notes.push(`could not evaluate ${failedFiles.join(', ')}`);
+    }
+    const exported = entries.length - skipped;
+    vscode.window.showInformationMessage(
+      `Exported ${exported} definition${exported === 1 ? '' : 's'} to ${uri.fsPath}`
+      + `${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`,
+    );
+  } catch (err) {
+    vscode.window.showErrorMessage(`Failed to export definitions: ${err.message}`);
+  }
+}
+
+export { exportDefinitions };
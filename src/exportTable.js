@@ -0,0 +1,106 @@
+/**
+ * Property tables of molecule definitions in CSV, JSON and SDF
+ */
+
+import { getMolecularIdentifiers } from './rdkitRenderer';
+import { computeDescriptors } from './descriptors';
+
+// Columns of every exported record, in output order
+const EXPORT_COLUMNS = [
+  'name', 'file', 'line', 'selfies', 'smiles', 'canonicalSmiles', 'inchi', 'inchiKey',
+  'formula', 'molecularWeight', 'qed', 'clogp', 'tpsa', 'hbd', 'hba', 'rotatableBonds',
+  'rings', 'fractionCSP3', 'formalCharge', 'heavyAtoms', 'lipinski', 'veber', 'ghose', 'error',
+];
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv' },
+  json: { label: 'JSON', extension: 'json' },
+  sdf: { label: 'SDF', extension: 'sdf' },
+};
+
+/**
+ * Build the export entry of a collected molecule
+ * @param {object} molecule - Molecule from collectDocumentMolecules
+ * @param {string} file - Source file as shown in the table
+ * @returns {Promise<{record: object, molblock: string|null}>}
+ */
+async function buildExportEntry(molecule, file) {
+  const identifiers = molecule.smiles ? await getMolecularIdentifiers(molecule.smiles) : null;
+  const descriptors = identifiers ? await computeDescriptors(molecule.smiles) : null;
+
+  const record = {
+    name: molecule.name,
+    file,
+    line: molecule.line + 1,
+    selfies: molecule.selfies,
+    smiles: molecule.smiles,
+    canonicalSmiles: identifiers?.canonicalSmiles ?? null,
+    inchi: identifiers?.inchi ?? null,
+    inchiKey: identifiers?.inchiKey ?? null,
+    formula: molecule.formula,
+    molecularWeight: molecule.molecularWeight,
+    error: molecule.error,
+  };
+
+  if (descriptors) {
+    ['qed', 'clogp', 'tpsa', 'hbd', 'hba', 'rotatableBonds', 'rings', 'fractionCSP3',
+      'formalCharge', 'heavyAtoms'].forEach((key) => {
+      record[key] = descriptors[key];
+    });
+    Object.entries(descriptors.rules).forEach(([rule, { pass }]) => {
+      record[rule] = pass;
+    });
+  }
+  if (molecule.smiles && !identifiers && !record.error) {
+    record.error = 'RDKit could not parse the SMILES';
+  }
+
+  // Fixed key order so every record has every column
+  const ordered = Object.fromEntries(EXPORT_COLUMNS
+    .map((column) => [column, record[column] ?? null]));
+  return { record: ordered, molblock: identifiers?.molblock ?? null };
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function toCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format export entries
+ * @param {'csv'|'json'|'sdf'} format
+ * @param {Array<{record: object, molblock: string|null}>} entries
+ * @returns {{text: string, skipped: number}} skipped counts molecules without a structure,
+ *   which SDF cannot hold
+ */
+function formatExport(format, entries) {
+  if (format === 'json') {
+    return { text: `${JSON.stringify(entries.map(({ record }) => record), null, 2)}\n`, skipped: 0 };
+  }
+
+  if (format === 'csv') {
+    const rows = entries.map(({ record }) => EXPORT_COLUMNS
+      .map((column) => toCSVField(record[column])).join(','));
+    return { text: `${[EXPORT_COLUMNS.join(','), ...rows].join('\n')}\n`, skipped: 0 };
+  }
+
+  const withStructure = entries.filter(({ molblock }) => molblock);
+  const text = withStructure.map(({ record, molblock }) => {
+    // The first line of a MOL block is the molecule name
+    const block = molblock.replace(/^[^\n]*/, record.name);
+    const fields = EXPORT_COLUMNS
+      .filter((column) => column !== 'name' && record[column] !== null)
+      .map((column) => `> <${column}>\n${record[column]}\n`);
+    return `${block}${fields.join('\n')}\n$$$$\n`;
+  }).join('');
+
+  return { text, skipped: entries.length - withStructure.length };
+}
+
+export { EXPORT_FORMATS, buildExportEntry, formatExport };
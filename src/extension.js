@@ -1,10 +1,28 @@
 import * as vscode from 'vscode';
 import { createDiagnosticsProvider } from './diagnostics';
 import { createRoundTripDiagnosticsProvider } from './roundtripDiagnostics';
+import { createChemistryDiagnosticsProvider } from './chemistryDiagnostics';
 import { LineTracker } from './lineTracker';
 import { PreviewPanel } from './webview/panel';
+import { MoleculeGridPanel } from './webview/gridPanel';
+import { ImportGraphPanel } from './webview/graphPanel';
 import { initRDKit } from './rdkitRenderer';
 import { refactorMolecule } from './refactorMolecule';
+import { exportDefinitions } from './exportDefinitions';
+import { importMolecules } from './importMolecules';
+import { createSmilesJsHoverProvider } from './smilesJsHover';
+import { createSmilesJsCompletionProvider } from './smilesJsCompletion';
+import { isEmbeddedDocument, createEmbeddedHoverProvider } from './embeddedDocuments';
+import { createFormattingProvider } from './formattingProvider';
+import { createStereoisomerActionProvider } from './stereoisomerActions';
+import { migrateApi, createApiMigrationActionProvider } from './migrateApi';
+import { createDuplicateStructureProvider } from './duplicateStructures';
+import { createUsageDiagnosticsProvider } from './usageDiagnostics';
+import { createMoleculeExplorer } from './moleculeExplorer';
+import { ThumbnailCache } from './thumbnails';
+import { createSelfiesLanguageFeatures, createSelfiesWorkspace } from './language/selfiesLanguageFeatures';
+import { createSelfiesCompletionProvider } from './language/selfiesCompletion';
+import { affectsRendering } from './renderingOptions';
 
 /**
  * Activate the SMILES extension
@@ -16,16 +34,70 @@ export function activate(context) {
     vscode.window.showWarningMessage('SMILES: RDKit initialization failed, using fallback renderer');
   });
 
+  // Shared analysis of .selfies files used by every SELFIES feature
+  const selfiesWorkspace = createSelfiesWorkspace();
+
+  // Drawings of molecules for tree items and completion details
+  const thumbnails = new ThumbnailCache(context.globalStorageUri);
+
+  // Register hover, go-to-definition, references and rename for SELFIES
+  const selfiesLanguageFeatures = createSelfiesLanguageFeatures(selfiesWorkspace);
+  context.subscriptions.push(selfiesLanguageFeatures);
+
+  // Complete fragment names, SELFIES symbols and import paths
+  const selfiesCompletionProvider = createSelfiesCompletionProvider(selfiesWorkspace, thumbnails);
+  context.subscriptions.push(selfiesCompletionProvider);
+
+  // Show structure cards when hovering smiles-js constructor calls
+  const smilesJsHoverProvider = createSmilesJsHoverProvider();
+  context.subscriptions.push(smilesJsHoverProvider);
+
+  // Complete constructor options and show their signatures with a drawing of the result
+  const smilesJsCompletionProvider = createSmilesJsCompletionProvider(thumbnails);
+  context.subscriptions.push(smilesJsCompletionProvider);
+
+  // Show structure cards when hovering SMILES embedded in other languages
+  const embeddedHoverProvider = createEmbeddedHoverProvider();
+  context.subscriptions.push(embeddedHoverProvider);
+
+  // Canonicalize SMILES literals and align SELFIES definitions on Format Document
+  const formattingProvider = createFormattingProvider();
+  context.subscriptions.push(formattingProvider);
+
   // Create diagnostics provider
-  const diagnosticsProvider = createDiagnosticsProvider();
+  const diagnosticsProvider = createDiagnosticsProvider(selfiesWorkspace);
   context.subscriptions.push(diagnosticsProvider);
 
   // Create round-trip diagnostics provider for SMILES validation
   const roundTripDiagnosticsProvider = createRoundTripDiagnosticsProvider();
   context.subscriptions.push(roundTripDiagnosticsProvider);
 
+  // Sanitize decoded definitions and SMILES literals with RDKit
+  const chemistryDiagnosticsProvider = createChemistryDiagnosticsProvider(selfiesWorkspace);
+  context.subscriptions.push(chemistryDiagnosticsProvider);
+
+  // Offer to write out the stereoisomers of definitions with undefined stereochemistry
+  const stereoisomerActionProvider = createStereoisomerActionProvider(selfiesWorkspace);
+  context.subscriptions.push(stereoisomerActionProvider);
+
+  // Offer to rewrite uses of the old smiles-js API
+  const apiMigrationActionProvider = createApiMigrationActionProvider();
+  context.subscriptions.push(apiMigrationActionProvider);
+
+  // Report differently named definitions of the same molecule across the workspace
+  const duplicateStructureProvider = createDuplicateStructureProvider(selfiesWorkspace);
+  context.subscriptions.push(duplicateStructureProvider);
+
+  // Report unused definitions and imports and shadowed wildcard imports across the workspace
+  const usageDiagnosticsProvider = createUsageDiagnosticsProvider(selfiesWorkspace);
+  context.subscriptions.push(usageDiagnosticsProvider);
+
+  // List the molecules of every file in the Explorer
+  const moleculeExplorer = createMoleculeExplorer(selfiesWorkspace, thumbnails);
+  context.subscriptions.push(moleculeExplorer);
+
   // Create line tracker for cursor position
-  const lineTracker = new LineTracker();
+  const lineTracker = new LineTracker(selfiesWorkspace);
   context.subscriptions.push(lineTracker);
 
   // Create preview panel manager
@@ -43,8 +115,9 @@ export function activate(context) {
     'smiles.showMolecule',
     () => {
       const editor = vscode.window.activeTextEditor;
-      if (!isSupportedFile(editor)) {
-        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+      // The preview opens on its own only for .selfies and .smiles.js files
+      if (!isSupportedFile(editor) && !(editor && isEmbeddedDocument(editor.document))) {
+        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file, or a file with embedded SMILES, first');
         return;
       }
 
@@ -65,6 +138,56 @@ export function activate(context) {
     },
   );
 
+  // Create molecule grid panel manager
+  let gridPanel = null;
+
+  // Register command to show every molecule of the current file
+  const showAllMoleculesCommand = vscode.commands.registerCommand(
+    'smiles.showAllMolecules',
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!isSupportedFile(editor)) {
+        vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+        return;
+      }
+
+      if (!gridPanel) {
+        gridPanel = new MoleculeGridPanel(context.extensionUri, selfiesWorkspace);
+        gridPanel.onDidDispose(() => {
+          gridPanel = null;
+        });
+      }
+
+      gridPanel.reveal();
+      await gridPanel.show(editor.document);
+    },
+  );
+
+  // Create import graph panel manager
+  let graphPanel = null;
+
+  // Register command to show the import and definition dependency graph of a .selfies file
+  const showImportGraphCommand = vscode.commands.registerCommand(
+    'smiles.showImportGraph',
+    () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.document.languageId !== 'selfies') {
+        vscode.window.showErrorMessage('Please open a .selfies file first');
+        return;
+      }
+
+      if (!graphPanel) {
+        graphPanel = new ImportGraphPanel(context.extensionUri, selfiesWorkspace);
+        graphPanel.onDidDispose(() => {
+          graphPanel = null;
+        });
+      }
+
+      graphPanel.reveal();
+      graphPanel.show(editor.document.uri.fsPath);
+    },
+  );
+
   // Register command to toggle preview
   const togglePreviewCommand = vscode.commands.registerCommand(
     'smiles.togglePreview',
@@ -107,6 +230,14 @@ export function activate(context) {
     }
   });
 
+  // Redraw open panels when the rendering settings change
+  const configurationChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (affectsRendering(event)) {
+      previewPanel?.refresh();
+      gridPanel?.refresh();
+    }
+  });
+
   // Auto-open preview for currently active editor
   autoOpenPreview();
 
@@ -116,11 +247,41 @@ export function activate(context) {
     () => refactorMolecule(),
   );
 
+  // Register command to migrate files to the current smiles-js API
+  const migrateApiCommand = vscode.commands.registerCommand(
+    'smiles.migrateApi',
+    () => migrateApi(),
+  );
+
+  // Register command to export every definition to CSV, JSON or SDF
+  const exportDefinitionsCommand = vscode.commands.registerCommand(
+    'smiles.exportDefinitions',
+    () => exportDefinitions(selfiesWorkspace),
+  );
+
+  // Register command to import molecules from SDF, MOL or CSV files
+  const importMoleculesCommand = vscode.commands.registerCommand(
+    'smiles.importMolecules',
+    () => importMolecules(selfiesWorkspace),
+  );
+
   context.subscriptions.push(showMoleculeCommand);
   context.subscriptions.push(togglePreviewCommand);
+  context.subscriptions.push(showAllMoleculesCommand);
+  context.subscriptions.push(showImportGraphCommand);
   context.subscriptions.push(editorChangeListener);
   context.subscriptions.push(cursorChangeListener);
+  context.subscriptions.push(configurationChangeListener);
   context.subscriptions.push(refactorMoleculeCommand);
+  context.subscriptions.push(migrateApiCommand);
+  context.subscriptions.push(exportDefinitionsCommand);
+  context.subscriptions.push(importMoleculesCommand);
+  context.subscriptions.push({
+    dispose: () => {
+      gridPanel?.dispose();
+      graphPanel?.dispose();
+    },
+  });
 }
 
 /**
@@ -0,0 +1,82 @@
+import * as vscode from 'vscode';
+import { findSmilesLiterals } from './javascriptMolecules';
+import { formatSMILES, alignDefinitions } from './smilesFormatting';
+
+/**
+ * Read the smiles.format settings
+ */
+function getFormatOptions() {
+  const config = vscode.workspace.getConfiguration('smiles.format');
+  return {
+    canonical: config.get('canonical', true),
+    aromaticity: config.get('aromaticity', 'preserve'),
+    hydrogens: config.get('hydrogens', 'preserve'),
+    alignDefinitions: config.get('alignDefinitions', true),
+  };
+}
+
+/**
+ * Rewrite the SMILES literals of a smiles-js document
+ * @returns {Promise<vscode.TextEdit[]>}
+ */
+async function formatSmilesJsDocument(document, options) {
+  const literals = findSmilesLiterals(document.getText());
+  const edits = await Promise.all(literals.map(async ({ smiles, start, end }) => {
+    const formatted = await formatSMILES(smiles, options);
+    if (formatted === smiles) {
+      return null;
+    }
+    return vscode.TextEdit.replace(
+      new vscode.Range(document.positionAt(start), document.positionAt(end)),
+      formatted.replace(/\\/g, '\\\\'),
+    );
+  }));
+  return edits.filter(Boolean);
+}
+
+/**
+ * Align the definition blocks of a .selfies document
+ * @returns {vscode.TextEdit[]}
+ */
+function formatSelfiesDocument(document, options) {
+  if (!options.alignDefinitions) {
+    return [];
+  }
+
+  const lines = Array.from({ length: document.lineCount }, (_, line) => document.lineAt(line).text);
+  return alignDefinitions(lines)
+    .map((text, line) => (text === lines[line]
+      ? null
+      : vscode.TextEdit.replace(document.lineAt(line).range, text)))
+    .filter(Boolean);
+}
+
+/**
+ * Create a document formatter that rewrites SMILES literals in .smiles.js
+ * files and aligns definitions in .selfies files
+ * @returns {vscode.Disposable}
+ */
+function createFormattingProvider() {
+  return vscode.languages.registerDocumentFormattingEditProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      async provideDocumentFormattingEdits(document) {
+        const options = getFormatOptions();
+        if (document.languageId === 'selfies') {
+          return formatSelfiesDocument(document, options);
+        }
+        try {
+          return await formatSmilesJsDocument(document, options);
+        } catch (err) {
+          vscode.window.showErrorMessage(`Failed to format SMILES: ${err.message}`);
+          return [];
+        }
+      },
+    },
+  );
+}
+
+export { createFormattingProvider };
@@ -0,0 +1,52 @@
+/**
+ * Follow the imports between .selfies and .smiles.js files
+ */
+
+import * as path from 'path';
+
+// Relative module specifiers of import and re-export statements
+const RELATIVE_IMPORT_PATTERN = /\b(?:import|export)\s+(?:[^'"`;]*?\s+from\s+)?['"](\.{1,2}\/[^'"]+)['"]/g;
+
+/**
+ * Find the files a smiles-js module imports with relative paths
+ * @param {string} text - Module source
+ * @param {string} filePath - Absolute path of the module
+ * @returns {string[]} Absolute paths, in import order without duplicates
+ */
+function findSmilesJsImports(text, filePath) {
+  const directory = path.dirname(filePath);
+  const imports = Array.from(text.matchAll(RELATIVE_IMPORT_PATTERN))
+    .map(([, specifier]) => path.resolve(directory, specifier));
+  return Array.from(new Set(imports));
+}
+
+/**
+ * Find the files to show at the top of an import tree: those no other file
+ * imports, plus one file of each import cycle that no such file reaches
+ * @param {Map<string, string[]>} graph - Imported files of each file
+ * @returns {string[]} In graph order
+ */
+function getRootFiles(graph) {
+  const imported = new Set(Array.from(graph.values()).flat());
+  const roots = Array.from(graph.keys()).filter((file) => !imported.has(file));
+
+  const reached = new Set();
+  const visit = (file) => {
+    if (reached.has(file) || !graph.has(file)) {
+      return;
+    }
+    reached.add(file);
+    graph.get(file).forEach(visit);
+  };
+  roots.forEach(visit);
+
+  Array.from(graph.keys()).forEach((file) => {
+    if (!reached.has(file)) {
+      roots.push(file);
+      visit(file);
+    }
+  });
+  return roots;
+}
+
+export { findSmilesJsImports, getRootFiles };
@@ -0,0 +1,203 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import {
+  parseSDF, parseCSV, convertRecords,
+} from './importTable';
+import {
+  findImportInsertPosition, getExistingImports, generateImportStatement,
+} from './refactorMolecule';
+
+const ROW_NUMBER_OPTION = '(row number)';
+
+/**
+ * Ask for the SMILES and name columns of a CSV file
+ * @returns {Promise<{smilesColumn: number, nameColumn: number}|null>} nameColumn is -1
+ *   when rows are named by number; null if cancelled
+ */
+async function pickCSVColumns(headers) {
+  const guess = headers.findIndex((header) => /smiles/i.test(header));
+  const smilesItems = headers.map((header, index) => ({
+    label: header || `Column ${index + 1}`,
+    index,
+    picked: index === guess,
+  }));
+  // Offer the likely SMILES column first
+  if (guess > 0) {
+    smilesItems.unshift(...smilesItems.splice(guess, 1));
+  }
+
+  const smilesPick = await vscode.window.showQuickPick(smilesItems, {
+    placeHolder: 'Column containing SMILES',
+  });
+  if (!smilesPick) {
+    return null;
+  }
+
+  const nameItems = headers
+    .map((header, index) => ({ label: header || `Column ${index + 1}`, index }))
+    .filter(({ index }) => index !== smilesPick.index);
+  const nameGuess = nameItems.findIndex(({ label }) => /name|id|title/i.test(label));
+  if (nameGuess > 0) {
+    nameItems.unshift(...nameItems.splice(nameGuess, 1));
+  }
+  nameItems.push({ label: ROW_NUMBER_OPTION, index: -1 });
+
+  const namePick = await vscode.window.showQuickPick(nameItems, {
+    placeHolder: 'Column containing molecule names',
+  });
+  if (!namePick) {
+    return null;
+  }
+
+  return { smilesColumn: smilesPick.index, nameColumn: namePick.index };
+}
+
+/**
+ * Read the records of an SDF, MOL or CSV file
+ * @param {vscode.Uri} uri
+ * @returns {Promise<Array<object>|null>} Records for convertRecords, or null if cancelled
+ */
+async function readRecords(uri) {
+  const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf-8');
+  const extension = path.extname(uri.fsPath).toLowerCase();
+  const baseName = path.basename(uri.fsPath, extension);
+
+  if (extension === '.csv') {
+    const { headers, rows } = parseCSV(text);
+    const columns = await pickCSVColumns(headers);
+    if (!columns) {
+      return null;
+    }
+    return rows.map((row, index) => ({
+      name: (columns.nameColumn >= 0 && row[columns.nameColumn]) || `${baseName}_${index + 1}`,
+      // Data rows start on the second line, after the header
+      source: `row ${index + 2}`,
+      smiles: row[columns.smilesColumn] || '',
+    }));
+  }
+
+  const records = parseSDF(text);
+  return records.map((record, index) => ({
+    name: record.name || (records.length === 1 ? baseName : `${baseName}_${index + 1}`),
+    source: `record ${index + 1}`,
+    molblock: record.molblock,
+  }));
+}
+
+/**
+ * Names already declared in the document, which imported molecules must not reuse
+ * @returns {Set<string>}
+ */
+function getDeclaredNames(document, selfiesWorkspace) {
+  if (document.languageId === 'selfies') {
+    return new Set(selfiesWorkspace.getProgram(document.uri.fsPath).definitions.keys());
+  }
+  return new Set(Array.from(
+    document.getText().matchAll(/\b(?:const|let|var|function|class)\s+([A-Za-z_$][\w$]*)/g),
+    (match) => match[1],
+  ));
+}
+
+/**
+ * Show rows that failed or lost information in a new document
+ */
+async function showImportReport(fileName, failures, warnings) {
+  const lines = [`Import from ${fileName}`, ''];
+  if (failures.length > 0) {
+    lines.push('Not imported:');
+    failures.forEach(({ source, name, reason }) => lines.push(`  ${source} (${name}): ${reason}`));
+    lines.push('');
+  }
+  if (warnings.length > 0) {
+    lines.push('Imported with warnings:');
+    warnings.forEach(({ source, name, reason }) => lines.push(`  ${source} (${name}): ${reason}`));
+  }
+
+  const document = await vscode.workspace.openTextDocument({ content: lines.join('\n') });
+  await vscode.window.showTextDocument(document, {
+    preview: true,
+    viewColumn: vscode.ViewColumn.Beside,
+  });
+}
+
+/**
+ * Import molecules from an SDF, MOL or CSV file into the active document
+ * as SELFIES definitions or smiles-js Fragment declarations
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ */
+async function importMolecules(selfiesWorkspace) {
+  const editor = vscode.window.activeTextEditor;
+  const isSelfies = editor?.document.languageId === 'selfies';
+  if (!editor || (!isSelfies && !editor.document.fileName.endsWith('.smiles.js'))) {
+    vscode.window.showErrorMessage('Please open a .selfies or .smiles.js file first');
+    return;
+  }
+
+  const [uri] = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Import',
+    filters: { 'Molecule Files': ['sdf', 'mol', 'csv'] },
+  }) || [];
+  if (!uri) {
+    return;
+  }
+
+  let records;
+  try {
+    records = await readRecords(uri);
+  } catch (err) {
+    vscode.window.showErrorMessage(`Failed to read ${path.basename(uri.fsPath)}: ${err.message}`);
+    return;
+  }
+  if (!records) {
+    return;
+  }
+  if (records.length === 0) {
+    vscode.window.showWarningMessage(`No molecules found in ${path.basename(uri.fsPath)}`);
+    return;
+  }
+
+  const { document } = editor;
+  const { lines, failures, warnings } = await vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: `Importing ${records.length} molecules`,
+  }, () => convertRecords(
+    records,
+    isSelfies ? 'selfies' : 'smiles-js',
+    getDeclaredNames(document, selfiesWorkspace),
+  ));
+
+  if (lines.length > 0) {
+    const text = document.getText();
+    const importStatement = isSelfies
+      ? null
+      : generateImportStatement(['Fragment'], getExistingImports(text));
+    const { end } = document.lineAt(document.lineCount - 1).range;
+    const separator = text.trim() ? `${text.endsWith('\n') ? '' : '\n'}\n` : '';
+
+    await editor.edit((editBuilder) => {
+      if (importStatement) {
+        editBuilder.insert(new vscode.Position(findImportInsertPosition(text), 0), importStatement);
+      }
+      editBuilder.insert(end, `${separator}${lines.join('\n')}\n`);
+    });
+  }
+
+  const fileName = path.basename(uri.fsPath);
+  const summary = `Imported ${lines.length} of ${records.length} molecules from ${fileName}`;
+  if (failures.length === 0 && warnings.length === 0) {
+    vscode.window.showInformationMessage(summary);
+    return;
+  }
+
+  const details = [
+    failures.length > 0 ? `${failures.length} failed` : null,
+    warnings.length > 0 ? `${warnings.length} with warnings` : null,
+  ].filter(Boolean).join(', ');
+  const choice = await vscode.window.showWarningMessage(`${summary} (${details})`, 'Show Details');
+  if (choice === 'Show Details') {
+    await showImportReport(fileName, failures, warnings);
+  }
+}
+
+export { importMolecules, getDeclaredNames };
@@ -0,0 +1,226 @@
+/**
+ * Read compound lists from SDF, MOL and CSV files and turn them into
+ * SELFIES or smiles-js definitions
+ */
+
+import { encode, decode } from 'selfies-js';
+import { initRDKit } from './rdkitRenderer';
+import { isSelfiesSymbol } from './language/selfiesAlphabet';
+
+// Data fields used as the molecule name when an SDF record has no title
+const NAME_FIELD_PATTERN = /^(name|id|title|compound[ _-]?(name|id))$/i;
+
+const JS_RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'await', 'arguments', 'eval',
+]);
+
+/**
+ * Split an SDF file into records
+ * @param {string} text - SDF or MOL file content
+ * @returns {Array<{name: string, molblock: string, fields: Object<string, string>}>}
+ */
+function parseSDF(text) {
+  return text.replace(/\r\n/g, '\n')
+    .split(/^\$\$\$\$[^\n]*$/m)
+    .filter((record) => record.includes('M  END'))
+    .map((record) => {
+      const body = record.replace(/^\n/, '');
+      const end = body.indexOf('M  END') + 'M  END'.length;
+
+      // Data items: a "> <field>" header followed by value lines up to a blank line
+      const fields = {};
+      let field = null;
+      body.slice(end).split('\n').forEach((line) => {
+        const header = /^>.*<([^>]+)>/.exec(line);
+        if (header) {
+          [, field] = header;
+          fields[field] = '';
+        } else if (!line.trim()) {
+          field = null;
+        } else if (field) {
+          fields[field] = fields[field] ? `${fields[field]}\n${line}` : line;
+        }
+      });
+
+      const nameField = Object.keys(fields).find((key) => NAME_FIELD_PATTERN.test(key));
+      return {
+        name: body.split('\n')[0].trim() || (nameField ? fields[nameField] : ''),
+        molblock: `${body.slice(0, end)}\n`,
+        fields,
+      };
+    });
+}
+
+/**
+ * Parse CSV with quoted fields (RFC 4180)
+ * @param {string} text
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...dataRows] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+  return { headers: headers.map((header) => header.trim()), rows: dataRows };
+}
+
+/**
+ * Turn a compound name into a unique identifier usable as a SELFIES
+ * definition name and a JavaScript constant
+ * @param {string} name
+ * @param {Set<string>} usedNames - Names taken so far; the result is added
+ * @returns {string}
+ */
+function sanitizeName(name, usedNames) {
+  let base = name.trim()
+    .replace(/[^A-Za-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'molecule';
+  if (/^\d/.test(base) || JS_RESERVED_WORDS.has(base)) {
+    base = `_${base}`;
+  }
+  // Names such as C, NH3 or Ring1 would shadow SELFIES atom, ring and branch tokens
+  if (isSelfiesSymbol(base)) {
+    base = `${base}_`;
+  }
+
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate)) {
+    candidate = `${base}_${suffix}`;
+    suffix += 1;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+/**
+ * Canonical SMILES of a molecule without stereochemistry, for comparisons
+ */
+function getFlatSmiles(RDKit, smiles) {
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) {
+    return null;
+  }
+  try {
+    return mol.get_smiles(JSON.stringify({ doIsomericSmiles: false }));
+  } finally {
+    mol.delete();
+  }
+}
+
+/**
+ * Encode a molecule to SELFIES, keeping only encodings that decode back to
+ * the same structure
+ * @returns {{selfies: string|null, stereoDropped: boolean}}
+ */
+function encodeVerified(RDKit, mol) {
+  const expected = mol.get_smiles(JSON.stringify({ doIsomericSmiles: false }));
+  const candidates = [
+    mol.get_smiles(JSON.stringify({ doKekule: true, doIsomericSmiles: false })),
+    expected,
+  ];
+
+  const selfies = candidates.map((smiles) => {
+    try {
+      const encoded = encode(smiles);
+      return getFlatSmiles(RDKit, decode(encoded)) === expected ? encoded : null;
+    } catch {
+      return null;
+    }
+  }).find(Boolean) || null;
+
+  return { selfies, stereoDropped: mol.get_smiles() !== expected };
+}
+
+/**
+ * Convert imported records into definition lines
+ * @param {Array<{name: string, source: string, molblock?: string, smiles?: string}>} records
+ *   source describes where the record came from, such as "row 3"
+ * @param {'selfies'|'smiles-js'} target
+ * @param {Set<string>} usedNames - Names already defined in the target document
+ * @returns {Promise<{lines: string[], failures: Array<{source: string, name: string,
+ *   reason: string}>, warnings: Array<{source: string, name: string, reason: string}>}>}
+ */
+async function convertRecords(records, target, usedNames) {
+  const RDKit = await initRDKit();
+  const lines = [];
+  const failures = [];
+  const warnings = [];
+
+  records.forEach(({
+    name, source, molblock, smiles,
+  }) => {
+    const input = molblock || (smiles || '').trim();
+    const mol = input ? RDKit.get_mol(input) : null;
+    if (!mol) {
+      failures.push({ source, name, reason: input ? 'RDKit could not read the structure' : 'No structure' });
+      return;
+    }
+
+    try {
+      if (target === 'selfies') {
+        const { selfies, stereoDropped } = encodeVerified(RDKit, mol);
+        if (!selfies) {
+          failures.push({ source, name, reason: `SELFIES encoding does not round-trip for ${mol.get_smiles()}` });
+          return;
+        }
+        const identifier = sanitizeName(name, usedNames);
+        if (stereoDropped) {
+          warnings.push({ source, name: identifier, reason: 'Stereochemistry is not kept in SELFIES' });
+        }
+        lines.push(`[${identifier}] = ${selfies}`);
+      } else {
+        const escaped = mol.get_smiles().replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        lines.push(`export const ${sanitizeName(name, usedNames)} = Fragment('${escaped}');`);
+      }
+    } finally {
+      mol.delete();
+    }
+  });
+
+  return { lines, failures, warnings };
+}
+
+export {
+  parseSDF, parseCSV, sanitizeName, convertRecords,
+};
@@ -0,0 +1,195 @@
+/**
+ * Find molecules in smiles-js modules from their syntax tree: the SMILES
+ * strings passed to Fragment() or annotated with a smiles block comment, the
+ * variable declarations they may be bound to, and the constructors called.
+ */
+
+import { parse } from 'acorn';
+import { walk, collectPatternIdentifiers } from './sandbox/moduleTransform';
+
+const CONSTRUCTORS = ['Fragment', 'Ring', 'Linear', 'FusedRing', 'Molecule'];
+
+// A string preceded by /* smiles */ holds SMILES
+const SMILES_ANNOTATION = /^\s*smiles\s*$/i;
+
+/**
+ * Parse a module, keeping its comments
+ * @returns {{ast: object, comments: object[]}|null} null if the source does not parse
+ */
+function parseModule(source) {
+  const comments = [];
+  try {
+    const ast = parse(source, {
+      ecmaVersion: 'latest', sourceType: 'module', locations: true, onComment: comments,
+    });
+    return { ast, comments };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a string literal, or a template literal without substitutions
+ * @returns {{value: string, start: number, end: number}|null} start and end delimit
+ *   the text between the quotes. null for other nodes and for strings with escape
+ *   sequences other than `\\`, whose offsets could not be mapped back to the source.
+ */
+function getStringContent(node, source) {
+  let content = null;
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    content = { value: node.value, start: node.start + 1, end: node.end - 1 };
+  } else if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    const [quasi] = node.quasis;
+    content = { value: quasi.value.cooked, start: quasi.start, end: quasi.end };
+  }
+
+  const raw = content && source.slice(content.start, content.end);
+  return content && raw.replace(/\\\\/g, '\\') === content.value ? content : null;
+}
+
+/**
+ * Whether a node is a `Fragment(...)` call
+ */
+function isFragmentCall(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier'
+    && node.callee.name === 'Fragment' && node.arguments.length > 0;
+}
+
+/**
+ * Find the SMILES strings of a module: the first argument of every Fragment()
+ * call and every string annotated `/* smiles *\/`, in arrays, objects or anywhere else
+ * @param {string} source - JavaScript source
+ * @returns {Array<{smiles: string, start: number, end: number,
+ *   declaration: {name: string, exported: boolean}|null}>} SMILES with escapes resolved,
+ *   the offsets of the literal's text between its quotes, and the variable declared
+ *   as `Fragment(smiles)` if any. Empty if the source does not parse.
+ */
+function findSmilesLiterals(source) {
+  const parsed = parseModule(source);
+  if (!parsed) {
+    return [];
+  }
+
+  // Offset of the first token after each annotation
+  const annotated = new Set(parsed.comments
+    .filter(({ type, value }) => type === 'Block' && SMILES_ANNOTATION.test(value))
+    .map(({ end }) => end + /^\s*/.exec(source.slice(end))[0].length));
+  const exported = new Set(parsed.ast.body
+    .filter(({ type, declaration }) => type === 'ExportNamedDeclaration'
+      && declaration?.type === 'VariableDeclaration')
+    .flatMap(({ declaration }) => declaration.declarations));
+
+  const literals = new Map();
+  const addLiteral = (node, declaration) => {
+    const content = getStringContent(node, source);
+    if (content && (declaration || !literals.has(content.start))) {
+      literals.set(content.start, {
+        smiles: content.value, start: content.start, end: content.end, declaration,
+      });
+    }
+  };
+
+  walk(parsed.ast, (node, parent) => {
+    if (annotated.has(node.start)) {
+      addLiteral(node, null);
+    }
+    if (isFragmentCall(node)) {
+      const declared = parent?.type === 'VariableDeclarator' && parent.init === node
+        && parent.id.type === 'Identifier';
+      addLiteral(node.arguments[0], declared
+        ? { name: parent.id.name, exported: exported.has(parent) }
+        : null);
+    }
+  });
+
+  return Array.from(literals.values()).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find every variable declaration of a module, at any depth
+ * @param {string} source - JavaScript source
+ * @returns {Array<{
+ *   line: number, endLine: number, names: Array<{name: string, line: number}>,
+ *   initializers: Array<{name: string, start: number, end: number}>,
+ * }>|null} 0-based lines of each declaration statement and of each name it binds,
+ *   and the offsets of the value of each `name = value` declarator; null if the
+ *   source does not parse
+ */
+function findDeclarations(source) {
+  const parsed = parseModule(source);
+  if (!parsed) {
+    return null;
+  }
+
+  const declarations = [];
+  walk(parsed.ast, (node) => {
+    if (node.type === 'VariableDeclaration') {
+      declarations.push({
+        line: node.loc.start.line - 1,
+        endLine: node.loc.end.line - 1,
+        names: node.declarations
+          .flatMap(({ id }) => collectPatternIdentifiers(id))
+          .map(({ name, loc }) => ({ name, line: loc.start.line - 1 })),
+        initializers: node.declarations
+          .filter(({ id, init }) => id.type === 'Identifier' && init)
+          .map(({ id, init }) => ({ name: id.name, start: init.start, end: init.end })),
+      });
+    }
+  });
+  return declarations;
+}
+
+/**
+ * Find the names a module exports its own top-level bindings under, when
+ * that is the binding's name (`export { a as b }` does not export `a`)
+ * @param {string} source - JavaScript source
+ * @returns {Set<string>} Empty if the source does not parse
+ */
+function findExportedNames(source) {
+  const parsed = parseModule(source);
+  const names = new Set();
+  if (!parsed) {
+    return names;
+  }
+
+  parsed.ast.body
+    .filter((node) => node.type === 'ExportNamedDeclaration' && !node.source)
+    .forEach(({ declaration, specifiers }) => {
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations
+          .flatMap(({ id }) => collectPatternIdentifiers(id))
+          .forEach(({ name }) => names.add(name));
+      } else if (declaration?.id) {
+        names.add(declaration.id.name);
+      }
+      specifiers
+        .filter(({ local, exported }) => local.name === (exported.name ?? exported.value))
+        .forEach(({ local }) => names.add(local.name));
+    });
+  return names;
+}
+
+/**
+ * Find which smiles-js constructors a piece of code calls
+ * @param {string} source - JavaScript source
+ * @returns {string[]} Constructor names in the order of CONSTRUCTORS; empty if the
+ *   source does not parse
+ */
+function findConstructorNames(source) {
+  const parsed = parseModule(source);
+  if (!parsed) {
+    return [];
+  }
+
+  const called = new Set();
+  walk(parsed.ast, (node) => {
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      called.add(node.callee.name);
+    }
+  });
+  return CONSTRUCTORS.filter((name) => called.has(name));
+}
+
+export {
+  findSmilesLiterals, findDeclarations, findExportedNames, findConstructorNames,
+};
@@ -0,0 +1,102 @@
+import { getAlphabet, getSemanticAlphabet } from 'selfies-js';
+
+const ELEMENT_NAMES = {
+  B: 'Boron',
+  C: 'Carbon',
+  N: 'Nitrogen',
+  O: 'Oxygen',
+  F: 'Fluorine',
+  P: 'Phosphorus',
+  S: 'Sulfur',
+  Cl: 'Chlorine',
+  Br: 'Bromine',
+  I: 'Iodine',
+};
+
+const BOND_NAMES = {
+  '': 'single',
+  '=': 'double',
+  '#': 'triple',
+  '-/': 'single (/ direction)',
+  '\\/': 'single (\\ direction)',
+};
+
+// Stereocenters decode, but the alphabets of selfies-js do not list them
+const STEREO_SYMBOLS = ['[C@H1]', '[C@@H1]', '[C@]', '[C@@]'];
+
+const ATOM_PATTERN = /^\[([=#]?)([A-Z][a-z]?)(@@?)?(H\d)?\]$/;
+const BRANCH_PATTERN = /^\[([=#]?)Branch([1-3])\]$/;
+const RING_PATTERN = /^\[([=#]|-\/|\\\/)?Ring([1-3])\]$/;
+
+// Atoms with optional bond, isotope, chirality, hydrogens and charge; branches;
+// rings; and the special symbols. Other bracketed names must be definitions.
+const SELFIES_SYMBOL_PATTERN = /^(?:[-=#/\\]{0,2}(?:\d*[A-Z][a-z]?(?:@@?)?(?:H\d*)?(?:[+-]\d*)?|Branch[1-3]|Ring[1-3])|epsilon|nop)$/;
+
+/**
+ * Whether a bracketed name is a SELFIES symbol rather than a definition name
+ * @param {string} name - Token without brackets
+ * @returns {boolean}
+ */
+function isSelfiesSymbol(name) {
+  return SELFIES_SYMBOL_PATTERN.test(name);
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Explain what a SELFIES symbol does
+ * @param {string} symbol - Symbol with brackets, such as [=Branch1]
+ * @returns {{kind: 'atom'|'branch'|'ring', description: string}|null} null for
+ *   symbols that are not atoms, branches or rings
+ */
+function describeSelfiesSymbol(symbol) {
+  const branch = BRANCH_PATTERN.exec(symbol);
+  if (branch) {
+    const [, bond, size] = branch;
+    return {
+      kind: 'branch',
+      description: `Start a branch from the previous atom with a ${BOND_NAMES[bond]} bond. The next ${plural(Number(size), 'symbol')} give the length of the branch.`,
+    };
+  }
+
+  const ring = RING_PATTERN.exec(symbol);
+  if (ring) {
+    const [, bond = '', size] = ring;
+    return {
+      kind: 'ring',
+      description: `Close a ring from the previous atom with a ${BOND_NAMES[bond]} bond. The next ${plural(Number(size), 'symbol')} give how many atoms back the ring closes.`,
+    };
+  }
+
+  const atom = ATOM_PATTERN.exec(symbol);
+  if (atom) {
+    const [, bond, element, chirality, hydrogens] = atom;
+    const parts = [`${ELEMENT_NAMES[element] || element} atom, bonded to the previous atom with a ${BOND_NAMES[bond]} bond.`];
+    if (chirality) {
+      parts.push(`Stereocenter, neighbours listed ${chirality === '@@' ? 'clockwise' : 'anticlockwise'}.`);
+    }
+    if (hydrogens) {
+      parts.push(`${plural(Number(hydrogens.slice(1)), 'hydrogen')} attached.`);
+    }
+    return { kind: 'atom', description: parts.join(' ') };
+  }
+
+  return null;
+}
+
+/**
+ * List the SELFIES symbols worth suggesting: atoms with every bond order,
+ * stereocenters, branches and rings
+ * @returns {Array<{symbol: string, kind: 'atom'|'branch'|'ring', description: string}>}
+ *   Atoms first, then branches, then rings
+ */
+function listSelfiesSymbols() {
+  const kinds = ['atom', 'branch', 'ring'];
+  const symbols = new Set([...getSemanticAlphabet(), ...getAlphabet(), ...STEREO_SYMBOLS]);
+  return Array.from(symbols)
+    .map((symbol) => ({ symbol, ...describeSelfiesSymbol(symbol) }))
+    .filter(({ kind }) => kind)
+    .sort((a, b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind));
+}
+
+export { describeSelfiesSymbol, listSelfiesSymbols, isSelfiesSymbol };
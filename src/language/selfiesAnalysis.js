@@ -0,0 +1,277 @@
+import { parse, parseImports } from 'selfies-js';
+import { lex, TokenType } from 'selfies-js/dsl';
+import { findReactions, maskReactions } from './selfiesReactions';
+
+/**
+ * Create an empty program carrying a single parse error.
+ * Used when the selfies-js lexer throws instead of reporting diagnostics.
+ */
+function createFailedProgram(err) {
+  const match = err.message.match(/at line (\d+), column (\d+)/);
+  return {
+    definitions: new Map(),
+    errors: [{
+      message: err.message,
+      severity: 'error',
+      line: match ? parseInt(match[1], 10) : 1,
+      column: match ? parseInt(match[2], 10) : 1,
+    }],
+    warnings: [],
+  };
+}
+
+/**
+ * Parse the import statement on a single line, keeping positions
+ * @param {string} lineText - Line of source
+ * @param {number} line - Line number (0-based)
+ * @param {string} filePath - Path of the file containing the import
+ * @returns {object|null} Import with 0-based positions, or null if the line is not an import
+ */
+function analyzeImportLine(lineText, line, filePath) {
+  if (!lineText.trim().startsWith('import')) {
+    return null;
+  }
+
+  const { imports } = parseImports(lineText.trim(), filePath);
+  if (imports.length === 0) {
+    return null;
+  }
+
+  const [importSpec] = imports;
+  const pathStart = lineText.indexOf(importSpec.originalPath);
+
+  // Positions of names in selective imports: import [a, b] from "./x.selfies"
+  const nameRanges = [];
+  const listMatch = lineText.match(/import\s+\[([^\]]+)\]/);
+  if (listMatch) {
+    let searchFrom = lineText.indexOf('[') + 1;
+    importSpec.names.forEach((name) => {
+      const start = lineText.indexOf(name, searchFrom);
+      nameRanges.push({ name, start, end: start + name.length });
+      searchFrom = start + name.length;
+    });
+  }
+
+  return {
+    ...importSpec,
+    line,
+    pathStart,
+    pathEnd: pathStart + importSpec.originalPath.length,
+    nameRanges,
+  };
+}
+
+/**
+ * Collect positioned tokens for every definition name and body token.
+ * Names are reported without brackets; positions are 0-based.
+ */
+function collectTokens(lexTokens, importLines) {
+  const tokens = [];
+  let currentDefinition = null;
+  let expectName = true;
+
+  lexTokens.forEach((token, index) => {
+    const line = token.line - 1;
+    const start = token.column - 1;
+
+    if (token.type === TokenType.NEWLINE) {
+      currentDefinition = null;
+      expectName = true;
+      return;
+    }
+
+    if (importLines.has(line)) {
+      return;
+    }
+
+    if (token.type === TokenType.SELFIES_TOKEN) {
+      const isDefinition = expectName && lexTokens[index + 1]?.type === TokenType.EQUALS;
+      const name = token.value.slice(1, -1);
+      if (isDefinition) {
+        currentDefinition = name;
+      }
+      tokens.push({
+        kind: isDefinition ? 'definition' : 'reference',
+        name,
+        value: token.value,
+        definition: currentDefinition,
+        line,
+        start,
+        end: start + token.value.length,
+      });
+    } else if (token.type === TokenType.STRING && currentDefinition) {
+      // repeat('[C][methyl]', 3) - locate the tokens inside the pattern string
+      const pattern = token.value.slice(1, -1);
+      const tokenPattern = /\[[^\]]*\]/g;
+      let match = tokenPattern.exec(pattern);
+      while (match) {
+        const tokenStart = start + 1 + match.index;
+        tokens.push({
+          kind: 'reference',
+          name: match[0].slice(1, -1),
+          value: match[0],
+          definition: currentDefinition,
+          line,
+          start: tokenStart,
+          end: tokenStart + match[0].length,
+        });
+        match = tokenPattern.exec(pattern);
+      }
+    }
+
+    if (token.type !== TokenType.COMMENT) {
+      expectName = false;
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Collect positioned tokens for reaction names and the names and symbols of
+ * their molecules, and report reactions that are malformed or reuse a name
+ * @param {object[]} reactions - Results of findReactions
+ * @param {object} program - selfies-js program of the rest of the file
+ * @returns {object[]} Tokens; a reaction name has kind 'reaction'
+ */
+function collectReactionTokens(reactions, program) {
+  const tokens = [];
+  const names = new Set(program.definitions.keys());
+
+  reactions.forEach((reaction) => {
+    const { name, line } = reaction;
+    const errors = [...reaction.errors];
+    if (names.has(name)) {
+      errors.push({
+        message: `Duplicate definition of '${name}'`, start: reaction.start, end: reaction.end,
+      });
+    }
+    names.add(name);
+    errors.forEach(({ message, start, end }) => {
+      program.errors.push({
+        message, severity: 'error', line: line + 1, column: start + 1, endColumn: end + 1,
+      });
+    });
+
+    tokens.push({
+      kind: 'reaction',
+      name,
+      value: `[${name}]`,
+      definition: name,
+      line,
+      start: reaction.start,
+      end: reaction.end,
+    });
+    Object.values(reaction.sides).flat().flatMap((molecule) => molecule.tokens)
+      .forEach(({ value, start, end }) => {
+        tokens.push({
+          kind: 'reference', name: value.slice(1, -1), value, definition: name, line, start, end,
+        });
+      });
+  });
+
+  return tokens;
+}
+
+/**
+ * Analyze a single .selfies source without following its imports
+ * @param {string} source - DSL source code
+ * @param {string} filePath - Absolute path of the file
+ * @returns {object} Analysis with the selfies-js program, imports, reactions and
+ *   positioned tokens
+ */
+function analyzeSelfiesSource(source, filePath) {
+  const lines = source.split('\n');
+
+  const imports = [];
+  lines.forEach((lineText, line) => {
+    const importSpec = analyzeImportLine(lineText, line, filePath);
+    if (importSpec) {
+      imports.push(importSpec);
+    }
+  });
+
+  // selfies-js does not know the reaction syntax
+  const reactions = findReactions(source);
+  const definitionSource = maskReactions(source, reactions);
+  const { sourceWithoutImports } = parseImports(definitionSource, filePath);
+
+  // The lexer throws on unexpected characters; both calls fail together
+  let program;
+  let lexTokens = [];
+  try {
+    program = parse(sourceWithoutImports);
+    lexTokens = lex(definitionSource);
+  } catch (err) {
+    program = createFailedProgram(err);
+  }
+
+  const importLines = new Set(imports.map((importSpec) => importSpec.line));
+  const tokens = [
+    ...collectTokens(lexTokens, importLines),
+    ...collectReactionTokens(reactions, program),
+  ];
+
+  imports.forEach((importSpec) => {
+    importSpec.nameRanges.forEach(({ name, start, end }) => {
+      tokens.push({
+        kind: 'import',
+        name,
+        value: name,
+        definition: null,
+        line: importSpec.line,
+        start,
+        end,
+        importSpec,
+      });
+    });
+  });
+
+  return {
+    filePath,
+    source,
+    program,
+    imports,
+    reactions,
+    tokens,
+  };
+}
+
+/**
+ * Get the range of the bare name (without brackets) of a positioned token
+ * @param {object} token - Token from an analysis
+ * @returns {{line: number, start: number, end: number}}
+ */
+function getNameRange(token) {
+  if (token.kind === 'import') {
+    return { line: token.line, start: token.start, end: token.end };
+  }
+  return { line: token.line, start: token.start + 1, end: token.end - 1 };
+}
+
+/**
+ * Find the token or import path at a position
+ * @param {object} analysis - Result of analyzeSelfiesSource
+ * @param {number} line - Line number (0-based)
+ * @param {number} character - Column (0-based)
+ * @returns {{token?: object, importSpec?: object}|null}
+ */
+function findAt(analysis, line, character) {
+  const token = analysis.tokens.find((candidate) => candidate.line === line
+    && character >= candidate.start && character < candidate.end);
+  if (token) {
+    return { token };
+  }
+
+  const importSpec = analysis.imports.find((candidate) => candidate.line === line
+    && character >= candidate.pathStart && character < candidate.pathEnd);
+  if (importSpec) {
+    return { importSpec };
+  }
+
+  return null;
+}
+
+export {
+  analyzeSelfiesSource, findAt, getNameRange,
+};
@@ -0,0 +1,232 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { listSelfiesSymbols } from './selfiesAlphabet';
+import { findSelfiesFiles } from './selfiesLanguageFeatures';
+import { stripComment, getImportPath } from './selfiesSource';
+
+const SELFIES_SELECTOR = { language: 'selfies' };
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 160;
+
+// Ranking: local names, imported names, atoms, then branches and rings
+const SORT_GROUPS = {
+  local: '0',
+  imported: '1',
+  atom: '2',
+  branch: '3',
+  ring: '3',
+};
+
+const IMPORT_PATH_PATTERN = /^\s*import\s+(?:\[[^\]]*\]\s*from\s+)?"([^"]*)$/;
+const IMPORT_NAMES_PATTERN = /^\s*import\s+\[([^\]]*)$/;
+const OPEN_TOKEN_PATTERN = /\[([^\]\s[]*)$/;
+
+/**
+ * Suggest the other .selfies files of the workspace inside an import path
+ */
+async function createImportPathItems(filePath, range, closeQuote) {
+  const filePaths = await findSelfiesFiles();
+  return filePaths
+    .filter((other) => other !== filePath)
+    .map((other) => {
+      const importPath = getImportPath(filePath, other);
+      const item = new vscode.CompletionItem(importPath, vscode.CompletionItemKind.File);
+      item.range = range;
+      item.insertText = closeQuote ? `${importPath}"` : importPath;
+      item.detail = vscode.workspace.asRelativePath(other);
+      item.sortText = `${importPath.startsWith('./') ? '0' : '1'}_${importPath}`;
+      return item;
+    });
+}
+
+/**
+ * Suggest the definitions of the file a selective import names
+ */
+function createImportNameItems(selfiesWorkspace, filePath, listed, importPath) {
+  const importedPath = path.resolve(path.dirname(filePath), importPath);
+  if (!selfiesWorkspace.getAnalysis(importedPath)) {
+    return [];
+  }
+
+  const alreadyListed = listed.split(',').map((name) => name.trim());
+  return Array.from(selfiesWorkspace.getProgram(importedPath).definitions.keys())
+    .filter((name) => !alreadyListed.includes(name))
+    .map((name) => {
+      const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Constant);
+      item.detail = `from ${importPath}`;
+      item.definition = { filePath: importedPath, name };
+      return item;
+    });
+}
+
+/**
+ * Suggest the fragment names visible from a file, local ones first
+ * @param {{open: string, close: string, range?: vscode.Range}} format - Brackets to
+ *   insert around the name and the text it replaces
+ */
+function createNameItems(selfiesWorkspace, filePath, line, { open, close, range }) {
+  const analysis = selfiesWorkspace.getAnalysis(filePath);
+  const current = analysis?.tokens
+    .find((token) => token.kind === 'definition' && token.line === line)?.name;
+
+  return Array.from(selfiesWorkspace.getProgram(filePath).definitions.entries())
+    .filter(([name]) => name !== current)
+    .map(([name, definition]) => {
+      const scope = definition.importedFrom ? 'imported' : 'local';
+      const item = new vscode.CompletionItem(
+        { label: name, description: definition.importedFrom || undefined },
+        vscode.CompletionItemKind.Constant,
+      );
+      item.insertText = `${open}${name}${close}`;
+      item.filterText = `${open}${name}`;
+      item.range = range;
+      item.detail = definition.importedFrom
+        ? `Imported from ${definition.importedFrom}`
+        : `Defined on line ${definition.line}`;
+      item.sortText = `${SORT_GROUPS[scope]}_${name}`;
+      item.definition = { filePath, name };
+      return item;
+    });
+}
+
+/**
+ * Suggest SELFIES atoms, branches and rings with explanations
+ * @param {{open: string, close: string, range?: vscode.Range}} format
+ */
+function createSymbolItems({ open, close, range }) {
+  return listSelfiesSymbols().map(({ symbol, kind, description }, index) => {
+    const name = symbol.slice(1, -1);
+    const item = new vscode.CompletionItem(
+      `${open}${name}${open ? ']' : ''}`,
+      kind === 'atom' ? vscode.CompletionItemKind.Value : vscode.CompletionItemKind.Keyword,
+    );
+    item.insertText = `${open}${name}${close}`;
+    item.filterText = `${open}${name}`;
+    item.range = range;
+    item.detail = `SELFIES ${kind}`;
+    item.documentation = new vscode.MarkdownString(description);
+    // Keep alphabet order within each group
+    item.sortText = `${SORT_GROUPS[kind]}_${String(index).padStart(3, '0')}`;
+    return item;
+  });
+}
+
+/**
+ * Snippet for the repeat(tokens, count) macro
+ */
+function createRepeatItem() {
+  const item = new vscode.CompletionItem('repeat', vscode.CompletionItemKind.Snippet);
+  // eslint-disable-next-line no-template-curly-in-string
+  item.insertText = new vscode.SnippetString('repeat(${1:[C]}, ${2:2})');
+  item.detail = 'repeat(tokens, count)';
+  item.documentation = new vscode.MarkdownString(
+    'Repeat a sequence of tokens, which may include fragment names:\n\n`[polyethylene] = repeat([C][C], 4)`',
+  );
+  item.sortText = '4_repeat';
+  return item;
+}
+
+/**
+ * Register completion of fragment names, SELFIES symbols, import paths and
+ * the repeat macro in .selfies files
+ * @param {import('./selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {import('../thumbnails').ThumbnailCache} thumbnails
+ * @returns {vscode.Disposable}
+ */
+function createSelfiesCompletionProvider(selfiesWorkspace, thumbnails) {
+  return vscode.languages.registerCompletionItemProvider(SELFIES_SELECTOR, {
+    async provideCompletionItems(document, position) {
+      const filePath = path.resolve(document.uri.fsPath);
+      const lineText = document.lineAt(position.line).text;
+      const prefix = lineText.slice(0, position.character);
+      const suffix = lineText.slice(position.character);
+      if (stripComment(prefix) !== prefix) {
+        return [];
+      }
+
+      const importPath = IMPORT_PATH_PATTERN.exec(prefix);
+      if (importPath) {
+        const typed = importPath[1];
+        const range = new vscode.Range(
+          position.line,
+          position.character - typed.length,
+          position.line,
+          position.character,
+        );
+        return createImportPathItems(filePath, range, !suffix.startsWith('"'));
+      }
+
+      const importNames = IMPORT_NAMES_PATTERN.exec(prefix);
+      if (importNames) {
+        const from = /^[^\]]*\]\s*from\s+"([^"]+)"/.exec(suffix);
+        return from
+          ? createImportNameItems(selfiesWorkspace, filePath, importNames[1], from[1])
+          : [];
+      }
+      if (/^\s*import\b/.test(prefix)) {
+        return [];
+      }
+
+      const openToken = OPEN_TOKEN_PATTERN.exec(prefix);
+      if (openToken) {
+        const range = new vscode.Range(
+          position.line,
+          position.character - openToken[1].length,
+          position.line,
+          position.character,
+        );
+        const format = { open: '', close: suffix.startsWith(']') ? '' : ']', range };
+        return [
+          ...createNameItems(selfiesWorkspace, filePath, position.line, format),
+          ...createSymbolItems(format),
+        ];
+      }
+
+      // Definition bodies, after the =
+      if (!prefix.includes('=')) {
+        return [];
+      }
+      const format = { open: '[', close: ']' };
+      return [
+        ...createNameItems(selfiesWorkspace, filePath, position.line, format),
+        ...createSymbolItems(format),
+        createRepeatItem(),
+      ];
+    },
+
+    async resolveCompletionItem(item) {
+      if (!item.definition) {
+        return item;
+      }
+
+      const { filePath, name } = item.definition;
+      const info = selfiesWorkspace.describe(filePath, name);
+      const markdown = new vscode.MarkdownString();
+      if (info.error) {
+        markdown.appendText(info.error);
+      } else {
+        const image = info.smiles
+          ? await thumbnails.getImage(info.smiles, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+          : null;
+        if (image) {
+          markdown.appendMarkdown(`![${name}](${image.toString()})\n\n`);
+        }
+        markdown.appendMarkdown(`SELFIES: \`${info.selfies}\`\n\n`);
+        if (info.smiles) {
+          markdown.appendMarkdown(`SMILES: \`${info.smiles}\`\n\n`);
+        }
+        if (info.formula) {
+          markdown.appendMarkdown(`Formula: ${info.formula}\n\n`);
+        }
+        if (info.molecularWeight !== null && info.molecularWeight !== undefined) {
+          markdown.appendMarkdown(`MW: ${info.molecularWeight.toFixed(2)} g/mol`);
+        }
+      }
+      // eslint-disable-next-line no-param-reassign
+      item.documentation = markdown;
+      return item;
+    },
+  }, '[', '"', '/');
+}
+
+export { createSelfiesCompletionProvider };
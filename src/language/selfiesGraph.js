@@ -0,0 +1,175 @@
+import * as path from 'path';
+import { isSelfiesSymbol } from './selfiesAlphabet';
+import { definitionId } from './selfiesSource';
+
+/**
+ * Find the nodes of every cycle of a directed graph (Tarjan's strongly
+ * connected components)
+ * @param {string[]} nodes
+ * @param {(node: string) => string[]} successors
+ * @returns {Map<string, number>} Cycle number of each node that is on a cycle
+ */
+function findCycles(nodes, successors) {
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = new Map();
+  let cycleCount = 0;
+
+  const connect = (node) => {
+    indices.set(node, indices.size);
+    lowLinks.set(node, indices.get(node));
+    stack.push(node);
+    onStack.add(node);
+
+    successors(node).forEach((next) => {
+      if (!indices.has(next)) {
+        connect(next);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+      }
+    });
+
+    if (lowLinks.get(node) !== indices.get(node)) {
+      return;
+    }
+    const component = stack.splice(stack.indexOf(node));
+    component.forEach((member) => onStack.delete(member));
+    if (component.length > 1 || successors(node).includes(node)) {
+      component.forEach((member) => cycles.set(member, cycleCount));
+      cycleCount += 1;
+    }
+  };
+
+  nodes.filter((node) => !indices.has(node)).forEach(connect);
+  return cycles;
+}
+
+/**
+ * Build the dependency graph of a .selfies file and every file it imports,
+ * directly or not: which files import which, and which definitions
+ * reference which across those files.
+ *
+ * A definition is unused when it lives in an imported file and no
+ * definition references it and no selective import names it. The
+ * definitions of the file itself are its results and never unused.
+ *
+ * @param {import('./selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {string} filePath
+ * @returns {{
+ *   files: Array<{filePath: string, missing: boolean, cycle: boolean}>,
+ *   imports: Array<{from: string, to: string, line: number, cycle: boolean}>,
+ *   definitions: Array<{id: string, name: string, filePath: string, line: number,
+ *     unused: boolean, cycle: boolean}>,
+ *   references: Array<{from: string, to: string, line: number, start: number,
+ *     cycle: boolean}>,
+ *   unresolved: Array<{definition: string, name: string, filePath: string, line: number,
+ *     start: number, end: number}>,
+ * }} Files in import order starting with filePath; ids are `<filePath>#<name>`;
+ *   lines are 0-based
+ */
+function buildDependencyGraph(selfiesWorkspace, filePath) {
+  const entryPath = path.resolve(filePath);
+  const visited = [];
+  const importEdges = [];
+
+  const visitFile = (current) => {
+    if (visited.some((file) => file.filePath === current)) {
+      return;
+    }
+    const analysis = selfiesWorkspace.getAnalysis(current);
+    visited.push({ filePath: current, missing: !analysis });
+    (analysis?.imports || []).forEach((importSpec) => {
+      const importedPath = path.resolve(importSpec.filePath);
+      importEdges.push({ from: current, to: importedPath, line: importSpec.line });
+      visitFile(importedPath);
+    });
+  };
+  visitFile(entryPath);
+
+  const fileCycles = findCycles(
+    visited.map((file) => file.filePath),
+    (node) => importEdges.filter(({ from }) => from === node).map(({ to }) => to),
+  );
+  const inFileCycle = ({ from, to }) => fileCycles.has(from)
+    && fileCycles.get(from) === fileCycles.get(to);
+  const files = visited.map((file) => ({ ...file, cycle: fileCycles.has(file.filePath) }));
+  const imports = importEdges.map((edge) => ({ ...edge, cycle: inFileCycle(edge) }));
+
+  const definitionList = [];
+  const referenceEdges = [];
+  const unresolved = [];
+  const namedImports = new Set();
+
+  files.filter((file) => !file.missing).forEach((file) => {
+    const analysis = selfiesWorkspace.getAnalysis(file.filePath);
+    const program = selfiesWorkspace.getProgram(file.filePath);
+
+    analysis.program.definitions.forEach((definition, name) => {
+      definitionList.push({
+        id: definitionId(file.filePath, name),
+        name,
+        filePath: file.filePath,
+        // Parser lines are 1-based
+        line: definition.line - 1,
+      });
+    });
+
+    analysis.tokens.forEach((token) => {
+      if (token.kind === 'import') {
+        const origin = selfiesWorkspace.getProgram(token.importSpec.filePath)
+          .definitions.get(token.name)?.sourceFile;
+        if (origin) {
+          namedImports.add(definitionId(origin, token.name));
+        }
+        return;
+      }
+      if (token.kind !== 'reference' || !token.definition) {
+        return;
+      }
+
+      const from = definitionId(file.filePath, token.definition);
+      const target = program.definitions.get(token.name);
+      if (target) {
+        const to = definitionId(target.sourceFile, token.name);
+        if (!referenceEdges.some((edge) => edge.from === from && edge.to === to)) {
+          referenceEdges.push({
+            from, to, line: token.line, start: token.start,
+          });
+        }
+      } else if (!isSelfiesSymbol(token.name)) {
+        unresolved.push({
+          definition: from,
+          name: token.name,
+          filePath: file.filePath,
+          line: token.line,
+          start: token.start,
+          end: token.end,
+        });
+      }
+    });
+  });
+
+  const definitionCycles = findCycles(
+    definitionList.map(({ id }) => id),
+    (node) => referenceEdges.filter(({ from }) => from === node).map(({ to }) => to),
+  );
+  const inDefinitionCycle = ({ from, to }) => definitionCycles.has(from)
+    && definitionCycles.get(from) === definitionCycles.get(to);
+  const referenced = new Set(referenceEdges.map(({ to }) => to));
+  const definitions = definitionList.map((definition) => ({
+    ...definition,
+    unused: definition.filePath !== entryPath
+      && !referenced.has(definition.id) && !namedImports.has(definition.id),
+    cycle: definitionCycles.has(definition.id),
+  }));
+  const references = referenceEdges.map((edge) => ({ ...edge, cycle: inDefinitionCycle(edge) }));
+
+  return {
+    files, imports, definitions, references, unresolved,
+  };
+}
+
+export { buildDependencyGraph };
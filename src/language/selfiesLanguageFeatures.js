@@ -0,0 +1,235 @@
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { SelfiesWorkspace } from './selfiesWorkspace';
+import { findAt, getNameRange } from './selfiesAnalysis';
+
+const SELFIES_SELECTOR = { language: 'selfies' };
+
+/**
+ * Read a file, preferring the (possibly unsaved) text of an open document
+ */
+function readWorkspaceSource(filePath) {
+  const document = vscode.workspace.textDocuments.find(
+    (doc) => path.resolve(doc.uri.fsPath) === filePath,
+  );
+  if (document) {
+    return document.getText();
+  }
+
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the SelfiesWorkspace shared by all SELFIES features
+ * @returns {SelfiesWorkspace}
+ */
+function createSelfiesWorkspace() {
+  return new SelfiesWorkspace(readWorkspaceSource);
+}
+
+/**
+ * List every .selfies file in the workspace plus any open ones outside it
+ * @returns {Promise<string[]>}
+ */
+async function findSelfiesFiles() {
+  const uris = await vscode.workspace.findFiles('**/*.selfies', '**/node_modules/**');
+  const filePaths = new Set(uris.map((uri) => path.resolve(uri.fsPath)));
+
+  vscode.workspace.textDocuments
+    .filter((doc) => doc.languageId === 'selfies')
+    .forEach((doc) => filePaths.add(path.resolve(doc.uri.fsPath)));
+
+  return Array.from(filePaths);
+}
+
+/**
+ * Convert a positioned name to a VS Code range
+ */
+function toRange({ line, start, end }) {
+  return new vscode.Range(line, start, line, end);
+}
+
+/**
+ * Find the definition targeted by the token under the cursor
+ * @returns {{filePath: string, token: object, definition: object}|null}
+ */
+function resolveTarget(selfiesWorkspace, document, position) {
+  const filePath = path.resolve(document.uri.fsPath);
+  const analysis = selfiesWorkspace.getAnalysis(filePath);
+  const hit = analysis && findAt(analysis, position.line, position.character);
+  if (!hit?.token) {
+    return null;
+  }
+
+  const { token } = hit;
+  if (token.kind === 'definition') {
+    return selfiesWorkspace.resolveDefinition(filePath, token.name);
+  }
+  if (token.kind === 'import') {
+    return selfiesWorkspace.resolveDefinition(token.importSpec.filePath, token.name);
+  }
+  return selfiesWorkspace.resolveDefinition(filePath, token.name);
+}
+
+/**
+ * Build the hover card for a resolved definition
+ */
+function createHoverContent(selfiesWorkspace, filePath, target) {
+  const { name } = target.token;
+  const info = selfiesWorkspace.describe(filePath, name);
+  const markdown = new vscode.MarkdownString();
+
+  markdown.appendMarkdown(`**[${name}]**`);
+  if (target.filePath !== filePath) {
+    const relativePath = path.relative(path.dirname(filePath), target.filePath);
+    markdown.appendMarkdown(` — defined in \`${relativePath}:${target.token.line + 1}\``);
+  }
+  markdown.appendMarkdown('\n\n');
+
+  if (info.error) {
+    markdown.appendMarkdown(`$(error) ${info.error}`);
+    markdown.supportThemeIcons = true;
+    return markdown;
+  }
+
+  markdown.appendMarkdown(`SELFIES: \`${info.selfies}\`\n\n`);
+  if (info.smiles) {
+    markdown.appendMarkdown(`SMILES: \`${info.smiles}\`\n\n`);
+  }
+  if (info.formula) {
+    markdown.appendMarkdown(`Formula: ${info.formula}\n\n`);
+  }
+  if (info.molecularWeight !== null && info.molecularWeight !== undefined) {
+    markdown.appendMarkdown(`MW: ${info.molecularWeight.toFixed(2)} g/mol`);
+  }
+
+  return markdown;
+}
+
+/**
+ * Register hover, go-to-definition, find-references and rename for .selfies files
+ * @param {SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createSelfiesLanguageFeatures(selfiesWorkspace) {
+  const hoverProvider = vscode.languages.registerHoverProvider(SELFIES_SELECTOR, {
+    provideHover(document, position) {
+      const target = resolveTarget(selfiesWorkspace, document, position);
+      if (!target) {
+        return null;
+      }
+
+      const filePath = path.resolve(document.uri.fsPath);
+      const analysis = selfiesWorkspace.getAnalysis(filePath);
+      const { token } = findAt(analysis, position.line, position.character);
+
+      return new vscode.Hover(
+        createHoverContent(selfiesWorkspace, filePath, target),
+        toRange(token),
+      );
+    },
+  });
+
+  const definitionProvider = vscode.languages.registerDefinitionProvider(SELFIES_SELECTOR, {
+    provideDefinition(document, position) {
+      const filePath = path.resolve(document.uri.fsPath);
+      const analysis = selfiesWorkspace.getAnalysis(filePath);
+      const hit = analysis && findAt(analysis, position.line, position.character);
+
+      // import "./fragments.selfies" jumps to the imported file
+      if (hit?.importSpec) {
+        return new vscode.Location(
+          vscode.Uri.file(path.resolve(hit.importSpec.filePath)),
+          new vscode.Position(0, 0),
+        );
+      }
+
+      const target = resolveTarget(selfiesWorkspace, document, position);
+      if (!target) {
+        return null;
+      }
+
+      return new vscode.Location(
+        vscode.Uri.file(target.filePath),
+        toRange(getNameRange(target.token)),
+      );
+    },
+  });
+
+  const referenceProvider = vscode.languages.registerReferenceProvider(SELFIES_SELECTOR, {
+    async provideReferences(document, position, context) {
+      const target = resolveTarget(selfiesWorkspace, document, position);
+      if (!target) {
+        return [];
+      }
+
+      const filePaths = await findSelfiesFiles();
+      return selfiesWorkspace
+        .findReferences({ filePath: target.filePath, name: target.token.name }, filePaths)
+        .filter(({ token }) => context.includeDeclaration || token.kind !== 'definition')
+        .map(({ filePath, token }) => new vscode.Location(
+          vscode.Uri.file(filePath),
+          toRange(getNameRange(token)),
+        ));
+    },
+  });
+
+  const renameProvider = vscode.languages.registerRenameProvider(SELFIES_SELECTOR, {
+    prepareRename(document, position) {
+      const target = resolveTarget(selfiesWorkspace, document, position);
+      if (!target) {
+        throw new Error('Only fragment names can be renamed');
+      }
+
+      const analysis = selfiesWorkspace.getAnalysis(path.resolve(document.uri.fsPath));
+      const { token } = findAt(analysis, position.line, position.character);
+      return { range: toRange(getNameRange(token)), placeholder: token.name };
+    },
+
+    async provideRenameEdits(document, position, newName) {
+      if (!/^[^[\]\s,#]+$/.test(newName)) {
+        throw new Error(`'${newName}' is not a valid fragment name`);
+      }
+
+      const target = resolveTarget(selfiesWorkspace, document, position);
+      if (!target) {
+        return null;
+      }
+
+      const filePaths = await findSelfiesFiles();
+      const references = selfiesWorkspace
+        .findReferences({ filePath: target.filePath, name: target.token.name }, filePaths);
+
+      // The new name must be free in every file whose references are renamed
+      const clash = [target.filePath, ...references.map(({ filePath }) => filePath)]
+        .find((filePath) => selfiesWorkspace.getProgram(filePath).definitions.has(newName));
+      if (clash) {
+        throw new Error(clash === target.filePath
+          ? `A fragment named '${newName}' already exists`
+          : `A fragment named '${newName}' already exists in ${path.basename(clash)}`);
+      }
+
+      const edit = new vscode.WorkspaceEdit();
+      references.forEach(({ filePath, token }) => {
+        edit.replace(vscode.Uri.file(filePath), toRange(getNameRange(token)), newName);
+      });
+      return edit;
+    },
+  });
+
+  return {
+    dispose: () => {
+      hoverProvider.dispose();
+      definitionProvider.dispose();
+      referenceProvider.dispose();
+      renameProvider.dispose();
+    },
+  };
+}
+
+export { createSelfiesLanguageFeatures, createSelfiesWorkspace, findSelfiesFiles };
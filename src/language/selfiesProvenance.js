@@ -0,0 +1,134 @@
+import {
+  resolve, tokenize, decodeToAST,
+} from 'selfies-js';
+
+/**
+ * Expand a single body token to primitive SELFIES
+ */
+function expandToken(program, token) {
+  const name = token.slice(1, -1);
+  return program.definitions.has(name)
+    ? resolve(program, name, { validateValence: false })
+    : token;
+}
+
+/**
+ * Split a definition body into segments of primitive SELFIES, each
+ * attributed to the positioned token it came from. A repeat call yields
+ * one segment per pattern token per repetition.
+ * @param {object} program - Program with imports merged
+ * @param {object} definition - Definition from the program
+ * @param {object[]} bodyTokens - Positioned body tokens of the definition, in source order
+ * @returns {Array<{token: object, selfies: string}>|null} null if the parsed
+ *   definition does not line up with the source tokens (e.g. after a parse error)
+ */
+function splitIntoSegments(program, definition, bodyTokens) {
+  const segments = [];
+  let position = 0;
+  let aligned = true;
+
+  const take = (value) => {
+    const token = bodyTokens[position];
+    aligned = aligned && token?.value === value;
+    position += 1;
+    return token;
+  };
+
+  definition.tokens.forEach((token) => {
+    if (typeof token === 'object' && token.type === 'REPEAT_CALL') {
+      const patternTokens = token.pattern.match(/\[[^\]]*\]/g) || [];
+      const positioned = patternTokens.map(take);
+      for (let repetition = 0; repetition < token.count; repetition += 1) {
+        patternTokens.forEach((patternToken, index) => {
+          segments.push({ token: positioned[index], selfies: expandToken(program, patternToken) });
+        });
+      }
+    } else {
+      segments.push({ token: take(token), selfies: expandToken(program, token) });
+    }
+  });
+
+  return aligned && position === bodyTokens.length ? segments : null;
+}
+
+/**
+ * Order in which the selfies-js SMILES writer visits the atoms of an AST:
+ * depth first over bonds from atom 0. RDKit numbers the atoms of the
+ * decoded SMILES in this order.
+ * @returns {Map<number, number>} AST atom index -> SMILES atom index
+ */
+function getSmilesAtomOrder(ast) {
+  const neighbors = ast.atoms.map(() => []);
+  ast.bonds.forEach(({ from, to }) => {
+    neighbors[from].push(to);
+    neighbors[to].push(from);
+  });
+
+  const order = new Map();
+  const visit = (atom, parent) => {
+    if (order.has(atom)) {
+      return;
+    }
+    order.set(atom, order.size);
+    neighbors[atom]
+      .filter((neighbor) => !order.has(neighbor) && neighbor !== parent)
+      .forEach((neighbor) => visit(neighbor, atom));
+  };
+
+  if (ast.atoms.length > 0) {
+    visit(0, null);
+  }
+  return order;
+}
+
+/**
+ * Trace which atoms of a definition's molecule each body token contributes.
+ *
+ * The SELFIES derivation runs left to right, so the atoms created by the
+ * tokens of a segment are those the decoder adds between the prefix ending
+ * before the segment and the prefix ending after it.
+ *
+ * @param {object} program - Program with imports merged
+ * @param {string} name - Definition name
+ * @param {object[]} bodyTokens - Positioned body tokens of the definition, in source order
+ * @returns {Map<object, number[]>} Atom indices of the decoded SMILES per body token
+ */
+function traceTokenAtoms(program, name, bodyTokens) {
+  const traced = new Map();
+  const definition = program.definitions.get(name);
+  if (!definition || !definition.tokens) {
+    return traced;
+  }
+
+  try {
+    const segments = splitIntoSegments(program, definition, bodyTokens);
+    if (!segments) {
+      return traced;
+    }
+    const selfiesTokens = tokenize(segments.map((segment) => segment.selfies).join(''));
+    const smilesOrder = getSmilesAtomOrder(decodeToAST(selfiesTokens.join('')));
+
+    let tokenCount = 0;
+    let atomCount = 0;
+    segments.forEach((segment) => {
+      tokenCount += tokenize(segment.selfies).length;
+      const atomsAfter = decodeToAST(selfiesTokens.slice(0, tokenCount).join('')).atoms.length;
+
+      const atoms = traced.get(segment.token) || [];
+      for (let atom = atomCount; atom < atomsAfter; atom += 1) {
+        // Atoms the SMILES writer never reaches are not part of the molecule
+        if (smilesOrder.has(atom)) {
+          atoms.push(smilesOrder.get(atom));
+        }
+      }
+      traced.set(segment.token, atoms);
+      atomCount = atomsAfter;
+    });
+  } catch {
+    // Unresolvable definitions have no atoms to trace
+  }
+
+  return traced;
+}
+
+export { traceTokenAtoms };
@@ -0,0 +1,166 @@
+/**
+ * Reactions in the SELFIES DSL, written like reaction SMILES with named
+ * fragments as molecules:
+ *
+ *   [esterification] = [acetic_acid] + [ethanol] > [sulfuric_acid] > [ethyl_acetate] + [water]
+ *   [combustion] = [methane] + 2 [oxygen] >> [carbon_dioxide] + 2 [water]
+ *
+ * Each molecule is a sequence of names and SELFIES symbols with an optional
+ * count in front. selfies-js does not know this syntax, so reaction lines are
+ * blanked out before the rest of the file is parsed.
+ */
+
+import { stripComment } from './selfiesSource';
+
+const REACTION_LINE_PATTERN = /^(\s*)\[([^\]\s]+)\](\s*=\s*)(.*>.*)$/;
+
+const MOLECULE_PATTERN = /^(?:(\d+)\s*)?((?:\[[^\]]*\]\s*)+)$/;
+
+/**
+ * Split text at a separator outside bracketed tokens, since charged symbols
+ * such as [N+1] contain a +
+ * @returns {string[]}
+ */
+function splitOutsideBrackets(text, separator) {
+  const pieces = [''];
+  let inBracket = false;
+  Array.from(text).forEach((char) => {
+    if (char === '[' || char === ']') {
+      inBracket = char === '[';
+    }
+    if (!inBracket && char === separator) {
+      pieces.push('');
+    } else {
+      pieces[pieces.length - 1] += char;
+    }
+  });
+  return pieces;
+}
+
+/**
+ * Read one molecule of a reaction side
+ * @param {string} text - Molecule as written, trimmed
+ * @param {number} start - Column of the text
+ * @returns {{count: number, tokens: Array<{value: string, start: number, end: number}>,
+ *   start: number, end: number}|null} null if the text is not a molecule
+ */
+function parseMolecule(text, start) {
+  const match = MOLECULE_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const tokensStart = start + text.indexOf(match[2]);
+  const tokens = Array.from(match[2].matchAll(/\[[^\]]*\]/g), (token) => ({
+    value: token[0],
+    start: tokensStart + token.index,
+    end: tokensStart + token.index + token[0].length,
+  }));
+  return {
+    count: match[1] ? Number(match[1]) : 1, tokens, start, end: start + text.length,
+  };
+}
+
+/**
+ * Parse the reaction defined on a line of a .selfies file
+ * @param {string} lineText
+ * @param {number} line - Line number (0-based)
+ * @returns {{
+ *   name: string, line: number, start: number, end: number,
+ *   sides: {reactants: object[], agents: object[], products: object[]},
+ *   bodyStart: number, bodyEnd: number,
+ *   errors: Array<{message: string, start: number, end: number}>,
+ * }|null} Reaction with 0-based columns; start and end delimit the bracketed name.
+ *   null if the line does not define a reaction.
+ */
+function parseReactionLine(lineText, line) {
+  const code = stripComment(lineText);
+  const match = REACTION_LINE_PATTERN.exec(code.trimEnd());
+  if (!match) {
+    return null;
+  }
+
+  const [, indent, name, equals, body] = match;
+  const start = indent.length;
+  const bodyStart = start + name.length + 2 + equals.length;
+  const errors = [];
+
+  let offset = bodyStart;
+  const sides = body.split('>').map((side) => {
+    const molecules = [];
+    let moleculeOffset = offset;
+    const texts = splitOutsideBrackets(side, '+');
+    texts.forEach((text) => {
+      const trimmed = text.trim();
+      const moleculeStart = moleculeOffset + text.length - text.trimStart().length;
+      const molecule = parseMolecule(trimmed, moleculeStart);
+      if (molecule) {
+        molecules.push(molecule);
+      } else if (trimmed || texts.length > 1) {
+        errors.push({
+          message: trimmed
+            ? `Invalid reaction molecule '${trimmed}': expected fragment names or SELFIES symbols, optionally preceded by a count`
+            : 'Missing molecule between +',
+          start: trimmed ? moleculeStart : moleculeOffset,
+          end: trimmed ? moleculeStart + trimmed.length : moleculeOffset + text.length,
+        });
+      }
+      moleculeOffset += text.length + 1;
+    });
+    offset += side.length + 1;
+    return molecules;
+  });
+
+  const bodyEnd = bodyStart + body.length;
+  if (sides.length !== 3) {
+    errors.push({
+      message: 'A reaction needs reactants, agents and products: [reactant] > [agent] > [product], or [reactant] >> [product]',
+      start: bodyStart,
+      end: bodyEnd,
+    });
+  } else if (errors.length === 0 && (sides[0].length === 0 || sides[2].length === 0)) {
+    errors.push({
+      message: 'A reaction needs at least one reactant and one product',
+      start: bodyStart,
+      end: bodyEnd,
+    });
+  }
+
+  const [reactants = [], agents = [], products = []] = sides;
+  return {
+    name,
+    line,
+    start,
+    end: start + name.length + 2,
+    sides: { reactants, agents, products },
+    bodyStart,
+    bodyEnd,
+    errors,
+  };
+}
+
+/**
+ * Find every reaction of a .selfies source
+ * @param {string} source
+ * @returns {object[]} Results of parseReactionLine
+ */
+function findReactions(source) {
+  return source.split('\n')
+    .map((lineText, line) => parseReactionLine(lineText, line))
+    .filter(Boolean);
+}
+
+/**
+ * Blank out reaction lines, keeping line numbers, so selfies-js can parse the rest
+ * @param {string} source
+ * @param {object[]} reactions - Results of findReactions
+ * @returns {string}
+ */
+function maskReactions(source, reactions) {
+  const lines = new Set(reactions.map(({ line }) => line));
+  return source.split('\n')
+    .map((lineText, line) => (lines.has(line) ? '' : lineText))
+    .join('\n');
+}
+
+export { parseReactionLine, findReactions, maskReactions };
@@ -0,0 +1,42 @@
+/**
+ * Small helpers for reading .selfies sources and referring to what they
+ * define, shared by the language features and the workspace diagnostics
+ */
+
+import * as path from 'path';
+
+// A bracketed token, possibly still being typed, or a # outside one
+const TOKEN_OR_COMMENT_PATTERN = /\[[^\]]*(?:\]|$)|#/g;
+
+/**
+ * Drop the comment of a line. A # starts a comment only outside a token;
+ * [#C] is a triple-bonded carbon.
+ * @param {string} lineText
+ * @returns {string} The text before the comment, or the whole line
+ */
+function stripComment(lineText) {
+  const comment = Array.from(lineText.matchAll(TOKEN_OR_COMMENT_PATTERN))
+    .find(([text]) => text === '#');
+  return comment ? lineText.slice(0, comment.index) : lineText;
+}
+
+/**
+ * Identify a definition across files as `<filePath>#<name>`
+ * @param {string} filePath - Absolute path of the defining file
+ * @param {string} name
+ * @returns {string}
+ */
+const definitionId = (filePath, name) => `${filePath}#${name}`;
+
+/**
+ * Path of a file relative to another one, as written in an import
+ * @param {string} fromPath - Importing file
+ * @param {string} toPath - Imported file
+ * @returns {string}
+ */
+function getImportPath(fromPath, toPath) {
+  const relativePath = path.relative(path.dirname(fromPath), toPath).split(path.sep).join('/');
+  return relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+}
+
+export { stripComment, definitionId, getImportPath };
@@ -0,0 +1,95 @@
+import * as path from 'path';
+import { definitionId } from './selfiesSource';
+
+/**
+ * Find every file a .selfies file imports, directly or not
+ * @param {import('./selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {string} filePath
+ * @returns {string[]} Absolute paths, without filePath itself
+ */
+function getImportClosure(selfiesWorkspace, filePath) {
+  const entryPath = path.resolve(filePath);
+  const closure = [];
+  const visit = (current) => {
+    (selfiesWorkspace.getAnalysis(current)?.imports || []).forEach((importSpec) => {
+      const importedPath = path.resolve(importSpec.filePath);
+      if (importedPath !== entryPath && !closure.includes(importedPath)) {
+        closure.push(importedPath);
+        visit(importedPath);
+      }
+    });
+  };
+  visit(entryPath);
+  return closure;
+}
+
+/**
+ * Analyze what a .selfies file uses of its own definitions and of the files
+ * it imports. Definitions are identified as `<filePath>#<name>`.
+ * @param {import('./selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {string} filePath
+ * @returns {{
+ *   references: Set<string>,
+ *   named: Set<string>,
+ *   imports: Array<{importSpec: object, provides: Map<string, string>}>,
+ *   shadowed: Array<{importSpec: object, name: string, line: number}>,
+ * }} references: definitions referenced in definition bodies (self-references excluded);
+ *   named: definitions named by selective imports;
+ *   imports: the definitions each import makes visible, by name, empty for missing files;
+ *   shadowed: names of wildcard imports hidden by a local definition on line (0-based)
+ */
+function analyzeUsage(selfiesWorkspace, filePath) {
+  const normalizedPath = path.resolve(filePath);
+  const analysis = selfiesWorkspace.getAnalysis(normalizedPath);
+  const usage = {
+    references: new Set(), named: new Set(), imports: [], shadowed: [],
+  };
+  if (!analysis) {
+    return usage;
+  }
+
+  const program = selfiesWorkspace.getProgram(normalizedPath);
+  analysis.tokens.forEach((token) => {
+    if (token.kind === 'import') {
+      const target = selfiesWorkspace.getProgram(token.importSpec.filePath)
+        .definitions.get(token.name);
+      if (target) {
+        usage.named.add(definitionId(target.sourceFile, token.name));
+      }
+      return;
+    }
+
+    const target = token.kind === 'reference' && token.definition
+      ? program.definitions.get(token.name)
+      : null;
+    const selfReference = target?.sourceFile === normalizedPath && token.name === token.definition;
+    if (target && !selfReference) {
+      usage.references.add(definitionId(target.sourceFile, token.name));
+    }
+  });
+
+  analysis.imports.forEach((importSpec) => {
+    const imported = selfiesWorkspace.getAnalysis(importSpec.filePath)
+      ? selfiesWorkspace.getProgram(importSpec.filePath).definitions
+      : new Map();
+    const names = importSpec.names === '*' ? Array.from(imported.keys()) : importSpec.names;
+    const provides = new Map(names
+      .filter((name) => imported.has(name))
+      .map((name) => [name, definitionId(imported.get(name).sourceFile, name)]));
+    usage.imports.push({ importSpec, provides });
+
+    if (importSpec.names === '*') {
+      provides.forEach((id, name) => {
+        const local = analysis.program.definitions.get(name);
+        if (local && id !== definitionId(normalizedPath, name)) {
+          // Parser lines are 1-based
+          usage.shadowed.push({ importSpec, name, line: local.line - 1 });
+        }
+      });
+    }
+  });
+
+  return usage;
+}
+
+export { analyzeUsage, getImportClosure };
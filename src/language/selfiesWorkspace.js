@@ -0,0 +1,380 @@
+/* eslint-disable no-underscore-dangle */
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  resolve, decode, getMolecularWeight, getFormula,
+} from 'selfies-js';
+import { analyzeSelfiesSource, findAt } from './selfiesAnalysis';
+import { traceTokenAtoms } from './selfiesProvenance';
+import { isSelfiesSymbol } from './selfiesAlphabet';
+
+const REACTION_SIDES = ['reactants', 'agents', 'products'];
+
+/**
+ * Read a file from disk, returning null if it does not exist
+ */
+function readSourceFromDisk(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a diagnostic anchored on an import statement
+ * @param {string} [code] - Diagnostic code, for problems quick fixes can address
+ */
+function createImportDiagnostic(importSpec, message, code) {
+  return {
+    message,
+    severity: 'error',
+    line: importSpec.line + 1,
+    column: importSpec.pathStart + 1,
+    endColumn: importSpec.pathEnd + 1,
+    ...(code ? { code } : {}),
+  };
+}
+
+/**
+ * Shared, cached view of every .selfies file the extension knows about.
+ *
+ * Each file is analyzed once per distinct source text; imports are merged on
+ * top of those cached analyses, mirroring selfies-js's loadWithImports but
+ * keeping track of which file every definition came from.
+ */
+class SelfiesWorkspace {
+  /**
+   * @param {(filePath: string) => string|null} readSource - Returns the current text of a file
+   */
+  constructor(readSource = readSourceFromDisk) {
+    this._readSource = readSource;
+    this._analyses = new Map();
+  }
+
+  /**
+   * Get the analysis of a single file (imports not followed)
+   * @param {string} filePath
+   * @returns {object|null} Analysis, or null if the file cannot be read
+   */
+  getAnalysis(filePath) {
+    const normalizedPath = path.resolve(filePath);
+    const source = this._readSource(normalizedPath);
+    if (source === null || source === undefined) {
+      this._analyses.delete(normalizedPath);
+      return null;
+    }
+
+    const cached = this._analyses.get(normalizedPath);
+    if (cached && cached.source === source) {
+      return cached;
+    }
+
+    const analysis = analyzeSelfiesSource(source, normalizedPath);
+    this._analyses.set(normalizedPath, analysis);
+    return analysis;
+  }
+
+  /**
+   * Get the program for a file with all imported definitions merged in.
+   * Definitions carry `sourceFile` (absolute path) and, when imported, `importedFrom`.
+   * @param {string} filePath
+   * @returns {{definitions: Map, errors: object[], warnings: object[]}}
+   */
+  getProgram(filePath) {
+    return this._loadProgram(path.resolve(filePath), []);
+  }
+
+  _loadProgram(filePath, importStack) {
+    const analysis = this.getAnalysis(filePath);
+    if (!analysis) {
+      return {
+        definitions: new Map(),
+        errors: [{
+          message: `File not found: ${filePath}`, severity: 'error', line: 1, column: 1,
+        }],
+        warnings: [],
+      };
+    }
+
+    const program = {
+      definitions: new Map(),
+      errors: [...analysis.program.errors],
+      warnings: [...analysis.program.warnings],
+    };
+    analysis.program.definitions.forEach((definition, name) => {
+      program.definitions.set(name, { ...definition, sourceFile: filePath });
+    });
+
+    const stack = [...importStack, filePath];
+
+    analysis.imports.forEach((importSpec) => {
+      const importedPath = path.resolve(importSpec.filePath);
+
+      if (stack.includes(importedPath)) {
+        program.errors.push(createImportDiagnostic(
+          importSpec,
+          `Circular import detected: ${importSpec.originalPath}`,
+        ));
+        return;
+      }
+
+      if (!this.getAnalysis(importedPath)) {
+        program.errors.push(createImportDiagnostic(
+          importSpec,
+          `Import file not found: ${importSpec.originalPath} (resolved to ${importedPath})`,
+          'missing-import',
+        ));
+        return;
+      }
+
+      const imported = this._loadProgram(importedPath, stack);
+
+      imported.errors.forEach((error) => {
+        program.errors.push(createImportDiagnostic(
+          importSpec,
+          `In ${importSpec.originalPath}: ${error.message}`,
+        ));
+      });
+
+      const names = importSpec.names === '*'
+        ? Array.from(imported.definitions.keys())
+        : importSpec.names;
+
+      names.forEach((name) => {
+        const definition = imported.definitions.get(name);
+        if (!definition) {
+          program.errors.push(createImportDiagnostic(
+            importSpec,
+            `Cannot import '${name}': not found in ${importSpec.originalPath}`,
+          ));
+          return;
+        }
+        if (!program.definitions.has(name)) {
+          program.definitions.set(name, {
+            ...definition,
+            importedFrom: definition.importedFrom || importSpec.originalPath,
+          });
+        }
+      });
+    });
+
+    // Reaction molecules may use imported names, so they are checked last
+    analysis.reactions.forEach(({ line, sides }) => {
+      Object.values(sides).flat().flatMap((molecule) => molecule.tokens)
+        .filter(({ value }) => !program.definitions.has(value.slice(1, -1))
+          && !isSelfiesSymbol(value.slice(1, -1)))
+        .forEach(({ value, start, end }) => {
+          program.errors.push({
+            message: `Undefined definition: ${value.slice(1, -1)}`,
+            severity: 'error',
+            line: line + 1,
+            column: start + 1,
+            endColumn: end + 1,
+          });
+        });
+    });
+
+    return program;
+  }
+
+  /**
+   * Find where a name visible from a file is defined
+   * @param {string} filePath - File the name is used in
+   * @param {string} name - Fragment name without brackets
+   * @returns {{filePath: string, token: object, definition: object}|null}
+   */
+  resolveDefinition(filePath, name) {
+    const definition = this.getProgram(filePath).definitions.get(name);
+    if (!definition) {
+      return null;
+    }
+
+    const analysis = this.getAnalysis(definition.sourceFile);
+    const token = analysis?.tokens.find((candidate) => candidate.kind === 'definition'
+      && candidate.name === name && candidate.line === definition.line - 1);
+
+    return token ? { filePath: definition.sourceFile, token, definition } : null;
+  }
+
+  /**
+   * Find every occurrence of a definition across a set of files: the definition
+   * itself, references in definition bodies and selective import lists.
+   * @param {{filePath: string, name: string}} target - Definition site
+   * @param {string[]} filePaths - Files to search
+   * @returns {{filePath: string, token: object}[]}
+   */
+  findReferences(target, filePaths) {
+    const targetPath = path.resolve(target.filePath);
+    const searched = new Set(filePaths.map((filePath) => path.resolve(filePath)));
+    searched.add(targetPath);
+
+    const results = [];
+    searched.forEach((filePath) => {
+      const analysis = this.getAnalysis(filePath);
+      if (!analysis || !analysis.tokens.some((token) => token.name === target.name)) {
+        return;
+      }
+
+      const program = this.getProgram(filePath);
+      analysis.tokens
+        .filter((token) => token.name === target.name)
+        .forEach((token) => {
+          let origin;
+          if (token.kind === 'definition') {
+            origin = filePath;
+          } else if (token.kind === 'import') {
+            origin = this.getProgram(token.importSpec.filePath)
+              .definitions.get(token.name)?.sourceFile;
+          } else {
+            origin = program.definitions.get(token.name)?.sourceFile;
+          }
+
+          if (origin === targetPath) {
+            results.push({ filePath, token });
+          }
+        });
+    });
+
+    return results;
+  }
+
+  /**
+   * Trace the atoms each body token of a definition contributes
+   * @param {string} filePath
+   * @param {string} name - Definition name
+   * @param {number} line - Line of the definition (0-based)
+   * @returns {Map<object, number[]>} Positioned body token -> atom indices of the SMILES
+   *   returned by describe(); empty if the definition cannot be traced
+   */
+  traceDefinition(filePath, name, line) {
+    const analysis = this.getAnalysis(filePath);
+    if (!analysis) {
+      return new Map();
+    }
+
+    const bodyTokens = analysis.tokens.filter((token) => token.kind === 'reference'
+      && token.definition === name && token.line === line);
+    return traceTokenAtoms(this.getProgram(filePath), name, bodyTokens);
+  }
+
+  /**
+   * Find the atoms contributed by the definition body token at a position
+   * @param {string} filePath
+   * @param {number} line - Line number (0-based)
+   * @param {number} character - Column (0-based)
+   * @returns {{definition: string, token: object, atoms: number[]}|null}
+   *   Atom indices refer to the SMILES returned by describe()
+   */
+  traceAtomsAt(filePath, line, character) {
+    const analysis = this.getAnalysis(filePath);
+    const token = analysis && findAt(analysis, line, character)?.token;
+    if (!token || token.kind !== 'reference' || !token.definition) {
+      return null;
+    }
+
+    const traced = this.traceDefinition(filePath, token.definition, token.line);
+    if (!traced.has(token)) {
+      return null;
+    }
+
+    return { definition: token.definition, token, atoms: traced.get(token) };
+  }
+
+  /**
+   * Resolve a definition to SELFIES, SMILES and molecular properties
+   * @param {string} filePath - File the name is visible from
+   * @param {string} name - Fragment name
+   * @returns {{selfies, smiles, molecularWeight, formula, error}}
+   */
+  describe(filePath, name) {
+    const program = this.getProgram(filePath);
+    const info = {
+      selfies: null, smiles: null, molecularWeight: null, formula: null, error: null,
+    };
+
+    try {
+      info.selfies = resolve(program, name, { validateValence: false });
+    } catch (err) {
+      info.error = err.message;
+      return info;
+    }
+
+    try {
+      info.smiles = decode(info.selfies);
+      info.molecularWeight = getMolecularWeight(info.selfies);
+      info.formula = getFormula(info.selfies);
+    } catch (err) {
+      info.error = info.smiles ? null : err.message;
+    }
+
+    return info;
+  }
+
+  /**
+   * Resolve a reaction of a file to reaction SMILES. Each molecule is decoded
+   * from its names and symbols, and repeated as many times as its count.
+   * @param {string} filePath - File defining the reaction
+   * @param {string} name - Reaction name
+   * @returns {{smiles: string|null, molecules: Array<{start: number, end: number,
+   *   molecule: object}>, error: string|null}} molecules maps offsets in the reaction
+   *   SMILES to the molecules of the reaction as written
+   */
+  describeReaction(filePath, name) {
+    const info = { smiles: null, molecules: [], error: null };
+    const reaction = this.getAnalysis(filePath)?.reactions
+      .find((candidate) => candidate.name === name);
+    if (!reaction || reaction.errors.length > 0) {
+      info.error = reaction ? reaction.errors[0].message : `Undefined reaction: ${name}`;
+      return info;
+    }
+
+    const program = this.getProgram(filePath);
+    const resolveToken = ({ value }) => {
+      const tokenName = value.slice(1, -1);
+      if (program.definitions.has(tokenName)) {
+        return resolve(program, tokenName, { validateValence: false });
+      }
+      if (isSelfiesSymbol(tokenName)) {
+        return value;
+      }
+      throw new Error(`Undefined definition: ${tokenName}`);
+    };
+
+    try {
+      const sides = REACTION_SIDES.map((side) => reaction.sides[side].flatMap((molecule) => {
+        const smiles = decode(molecule.tokens.map(resolveToken).join(''));
+        if (!smiles) {
+          throw new Error(`${molecule.tokens.map(({ value }) => value).join('')} decodes to no atoms`);
+        }
+        return Array.from({ length: molecule.count }, () => ({ smiles, molecule }));
+      }));
+
+      let smiles = '';
+      sides.forEach((side, sideIndex) => {
+        if (sideIndex > 0) {
+          smiles += '>';
+        }
+        side.forEach((written, index) => {
+          if (index > 0) {
+            smiles += '.';
+          }
+          info.molecules.push({
+            start: smiles.length,
+            end: smiles.length + written.smiles.length,
+            molecule: written.molecule,
+          });
+          smiles += written.smiles;
+        });
+      });
+      info.smiles = smiles;
+    } catch (err) {
+      info.error = err.message;
+      info.molecules = [];
+    }
+
+    return info;
+  }
+}
+
+export { SelfiesWorkspace, readSourceFromDisk };
@@ -1,22 +1,36 @@
 /* eslint-disable no-underscore-dangle, class-methods-use-this */
 import * as vscode from 'vscode';
-import {
-  loadWithImports, resolve, decode, getMolecularWeight, getFormula,
-} from 'selfies-js';
-import * as fs from 'fs';
-import { pathToFileURL } from 'url';
+import * as path from 'path';
+import { evaluateDocument, formatEvaluationError, findBindingAtLine } from './sandbox/evaluateDocument';
+import { findDeclarations, findSmilesLiterals } from './javascriptMolecules';
+import { isReactionSmiles } from './reactionSmiles';
+import { isEmbeddedDocument, findDocumentSmiles } from './embeddedDocuments';
+import { getHighlightPatterns } from './annotations';
+import { findAt } from './language/selfiesAnalysis';
+
+// Wait for typing to pause before evaluating a smiles-js document again
+const EVALUATION_DELAY = 300;
 
 /**
  * Tracks the current cursor position and provides information about the current line
  */
 class LineTracker {
-  constructor() {
+  /**
+     * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+     */
+  constructor(selfiesWorkspace) {
+    this._selfiesWorkspace = selfiesWorkspace;
+
     this._onDidChangeCurrentLine = new vscode.EventEmitter();
     this.onDidChangeCurrentLine = this._onDidChangeCurrentLine.event;
 
     this._currentLine = null;
+    this._currentCharacter = 0;
     this._currentDocument = null;
-    this._parseResult = null;
+
+    // Body token under the cursor in a .selfies file, as "line:start", or
+    // offset of the embedded SMILES under the cursor in other files
+    this._currentFocusKey = null;
 
     // Listen for cursor position changes
     this._selectionChangeListener = vscode.window.onDidChangeTextEditorSelection((event) => {
@@ -33,23 +47,23 @@ class LineTracker {
 
     // Helper function to check if file is supported
     this._isSupportedFile = (document) => document.languageId === 'selfies'
-                   || document.fileName.endsWith('.smiles.js');
+                   || document.fileName.endsWith('.smiles.js')
+                   || isEmbeddedDocument(document);
 
-    // Cache for loaded smiles-js modules
-    this._smilesModuleCache = new Map();
+    // Last sandbox evaluation of a smiles-js document, the one in flight, and
+    // the timer that waits for typing to pause
+    this._lastEvaluation = null;
+    this._pendingEvaluation = null;
+    this._evaluationTimer = null;
 
     // Listen for active editor changes
     this._editorChangeListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
       if (editor && this._isSupportedFile(editor.document)) {
-        // Check if document changed before updating
-        const documentChanged = this._currentDocument !== editor.document;
-        if (documentChanged) {
-          this._parseResult = null;
-          this._currentDocument = editor.document;
-        }
+        this._currentDocument = editor.document;
         // Always update on editor change, even if line number is the same
         const position = editor.selections[0].active;
         this._currentLine = position.line;
+        this._currentCharacter = position.character;
         this._updateLineInfo();
       }
     });
@@ -76,11 +90,33 @@ class LineTracker {
 
     const position = event.selections[0].active;
     const lineNumber = position.line;
+    this._currentCharacter = position.character;
 
     if (this._currentLine !== lineNumber) {
       this._currentLine = lineNumber;
       this._updateLineInfo();
+    } else if (this._getFocusKey() !== this._currentFocusKey) {
+      // Moving onto another token of a SELFIES definition changes its highlighted atoms
+      this._updateLineInfo();
+    }
+  }
+
+  /**
+     * Identify the SELFIES body token, or the embedded SMILES, under the cursor
+     * @returns {string|null}
+     */
+  _getFocusKey() {
+    if (this._currentDocument && isEmbeddedDocument(this._currentDocument)) {
+      const found = this._findEmbeddedSmilesOnLine();
+      return found ? String(found.start) : null;
+    }
+    if (!this._currentDocument || this._currentDocument.languageId !== 'selfies') {
+      return null;
     }
+
+    const analysis = this._selfiesWorkspace.getAnalysis(this._currentDocument.uri.fsPath);
+    const token = analysis && findAt(analysis, this._currentLine, this._currentCharacter)?.token;
+    return token && token.kind === 'reference' ? `${token.line}:${token.start}` : null;
   }
 
   /**
@@ -91,8 +127,14 @@ class LineTracker {
       return;
     }
 
-    // Reparse the document
-    this._parseResult = null;
+    // Every evaluation of a smiles-js document starts a worker
+    if (document.fileName.endsWith('.smiles.js')) {
+      clearTimeout(this._evaluationTimer);
+      this._evaluationTimer = setTimeout(() => this._updateLineInfo(), EVALUATION_DELAY);
+      return;
+    }
+
+    // The shared SelfiesWorkspace re-analyzes the new text on demand
     this._updateLineInfo();
   }
 
@@ -112,68 +154,56 @@ class LineTracker {
   }
 
   /**
-     * Load and get exports from a smiles-js file
-     * Returns { module, error } object
+     * Evaluate a smiles-js document in the sandbox
+     * Reuses the result of an unchanged version and shares the evaluation in
+     * flight; the evaluation of an older version is terminated.
+     * @returns {Promise<object|null>} null if the document changed before the result came
      */
-  async _loadSmilesModule(filePath) {
-    // Check cache first
-    const cacheKey = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
-    if (this._smilesModuleCache.has(cacheKey)) {
-      return { module: this._smilesModuleCache.get(cacheKey), error: null };
+  async _evaluateSmilesDocument(document) {
+    const key = document.uri.toString();
+    const { version } = document;
+    if (this._lastEvaluation?.key === key && this._lastEvaluation.version === version) {
+      return this._lastEvaluation.result;
     }
 
-    try {
-      // Clear require cache to get fresh module
-      delete require.cache[require.resolve(filePath)];
-
-      // Use dynamic import for ES modules
-      const fileUrl = pathToFileURL(filePath).href;
-      const module = await import(`${fileUrl}?t=${Date.now()}`);
-
-      // Cache the result
-      this._smilesModuleCache.clear(); // Clear old cache
-      this._smilesModuleCache.set(cacheKey, module);
-
-      return { module, error: null };
-    } catch (err) {
-      // Failed to load module, return the error with line number if available
-      this._smilesModuleCache.clear(); // Clear cache on error
-
-      // Try to extract line number from error stack or message
-      let errorMessage = err.message;
-      const lineMatch = err.stack?.match(/:(\d+):\d+/) || err.message?.match(/:(\d+):\d+/);
-      if (lineMatch) {
-        errorMessage = `Line ${lineMatch[1]}: ${err.message}`;
-      }
+    if (this._pendingEvaluation?.key !== key || this._pendingEvaluation.version !== version) {
+      this._pendingEvaluation?.controller.abort();
+      const controller = new AbortController();
+      this._pendingEvaluation = {
+        key,
+        version,
+        controller,
+        promise: evaluateDocument(document, { signal: controller.signal }),
+      };
+    }
 
-      return { module: null, error: errorMessage };
+    const pending = this._pendingEvaluation;
+    const result = await pending.promise;
+    if (this._pendingEvaluation === pending) {
+      this._pendingEvaluation = null;
     }
+    if (result.cancelled || document.version !== version) {
+      return null;
+    }
+
+    this._lastEvaluation = { key, version, result };
+    return result;
   }
 
   /**
-     * Find the const declaration at a specific line
-     * Returns { name, needsExport, constPosition } or null
+     * Find the embedded SMILES under the cursor, or else the first one on the current line
+     * @returns {{smiles: string, start: number, end: number}|null}
      */
-  _findConstAtLine(text, lineNumber) {
-    const lines = text.split('\n');
-    const line = lines[lineNumber];
-
-    if (!line) return null;
-
-    // Match: export const NAME = ...
-    const exportMatch = line.match(/export\s+const\s+(\w+)\s*=/);
-    if (exportMatch) {
-      return { name: exportMatch[1], needsExport: false, constPosition: null };
-    }
-
-    // Match: const NAME = ... (without export)
-    const constMatch = line.match(/^(\s*)const\s+(\w+)\s*=/);
-    if (constMatch) {
-      const leadingWhitespace = constMatch[1].length;
-      return { name: constMatch[2], needsExport: true, constPosition: leadingWhitespace };
-    }
-
-    return null;
+  _findEmbeddedSmilesOnLine() {
+    const document = this._currentDocument;
+    const cursor = document.offsetAt(
+      new vscode.Position(this._currentLine, this._currentCharacter),
+    );
+    const onLine = findDocumentSmiles(document).filter(({ start, end }) => (
+      document.positionAt(start).line <= this._currentLine
+        && document.positionAt(end).line >= this._currentLine
+    ));
+    return onLine.find(({ start, end }) => cursor >= start && cursor <= end) || onLine[0] || null;
   }
 
   /**
@@ -185,71 +215,88 @@ class LineTracker {
     }
 
     const isSmilesJS = this._currentDocument.fileName.endsWith('.smiles.js');
+    this._currentFocusKey = this._getFocusKey();
 
     try {
       const lineText = this._currentDocument.lineAt(this._currentLine).text.trim();
 
+      // Handle SMILES embedded in other files
+      if (isEmbeddedDocument(this._currentDocument)) {
+        const found = this._findEmbeddedSmilesOnLine();
+        this._onDidChangeCurrentLine.fire(found && {
+          line: this._currentLine,
+          name: isReactionSmiles(found.smiles) ? 'Reaction' : 'SMILES',
+          expression: lineText,
+          selfies: null,
+          smiles: found.smiles,
+          molecularWeight: null,
+          formula: null,
+          highlights: this._getHighlightPatterns(this._currentLine),
+          error: null,
+        });
+        return;
+      }
+
       // Handle smiles-js files
       if (isSmilesJS) {
-        // Skip empty lines and comments
-        if (!lineText || lineText.startsWith('//') || lineText.startsWith('/*')) {
+        // Only variable declarations bind fragments. A source that does not
+        // parse is still evaluated, so its syntax error is shown.
+        const declarations = findDeclarations(this._currentDocument.getText());
+        const declaration = declarations?.find(({ line, endLine }) => this._currentLine >= line
+          && this._currentLine <= endLine);
+        if (!lineText || (declarations && !declaration)) {
           this._onDidChangeCurrentLine.fire(null);
           return;
         }
 
-        // Find the const declaration at this line
-        const text = this._currentDocument.getText();
-        const constInfo = this._findConstAtLine(text, this._currentLine);
-
-        if (!constInfo) {
-          this._onDidChangeCurrentLine.fire(null);
+        // Reaction SMILES are plain strings, so they are shown without evaluating the module
+        const reaction = findSmilesLiterals(this._currentDocument.getText())
+          .find(({ smiles, start }) => isReactionSmiles(smiles)
+            && this._currentDocument.positionAt(start).line === this._currentLine);
+        if (reaction) {
+          this._onDidChangeCurrentLine.fire({
+            line: this._currentLine,
+            name: declaration?.names[0]?.name || 'Reaction',
+            expression: lineText,
+            selfies: null,
+            smiles: reaction.smiles,
+            molecularWeight: null,
+            formula: null,
+            highlights: [],
+            error: null,
+          });
           return;
         }
 
-        const { name: exportName, needsExport, constPosition } = constInfo;
-
-        // If export is missing, add it automatically
-        if (needsExport) {
-          const editor = vscode.window.activeTextEditor;
-          if (editor && editor.document === this._currentDocument) {
-            const insertPos = new vscode.Position(this._currentLine, constPosition);
-            await editor.edit((editBuilder) => {
-              editBuilder.insert(insertPos, 'export ');
-            });
-            await this._currentDocument.save();
-          }
+        // Evaluate the unsaved buffer in the sandbox; every declaration is
+        // reported, so nothing has to be exported (and the file is never edited)
+        const document = this._currentDocument;
+        const evaluation = await this._evaluateSmilesDocument(document);
+        if (!evaluation || this._currentDocument !== document) {
+          // A newer version or another document is shown instead
+          return;
         }
-
-        // Load the module and get the export
-        const { module, error: loadError } = await this._loadSmilesModule(
-          this._currentDocument.fileName,
-        );
+        const { bindings, error: loadError } = evaluation;
 
         if (loadError) {
           this._onDidChangeCurrentLine.fire({
             line: this._currentLine,
-            name: exportName,
+            name: declaration?.names[0]?.name || path.basename(document.fileName),
             expression: lineText,
-            error: loadError,
+            error: formatEvaluationError(loadError),
           });
           return;
         }
 
-        if (!module || !module[exportName]) {
-          this._onDidChangeCurrentLine.fire(null);
-          return;
-        }
-
-        const fragment = module[exportName];
-
-        // Check if it has the .smiles property (it's a Fragment)
-        if (!fragment.smiles) {
+        // Find the fragment declared on this line (only values with .smiles are returned)
+        const fragment = findBindingAtLine(bindings, this._currentLine, declarations);
+        if (!fragment) {
           this._onDidChangeCurrentLine.fire(null);
           return;
         }
 
         // console.log('[LineTracker] Extracted fragment from smiles-js:', {
-        //     exportName,
+        //     name: fragment.name,
         //     smiles: fragment.smiles,
         //     formula: fragment.formula,
         //     molecularWeight: fragment.molecularWeight
@@ -257,12 +304,13 @@ class LineTracker {
 
         const lineInfo = {
           line: this._currentLine,
-          name: exportName,
+          name: fragment.name,
           expression: lineText,
           selfies: null,
           smiles: fragment.smiles,
           molecularWeight: fragment.molecularWeight,
           formula: fragment.formula,
+          highlights: this._getHighlightPatterns(fragment.line - 1),
           error: null,
         };
 
@@ -270,12 +318,6 @@ class LineTracker {
         return;
       }
 
-      // Parse the document if not already parsed (for selfies files)
-      if (!this._parseResult) {
-        const text = this._currentDocument.getText();
-        this._parseResult = loadWithImports(text, this._currentDocument.uri.fsPath);
-      }
-
       // Skip empty lines and comments (for selfies files)
       if (!lineText || lineText.startsWith('#')) {
         this._onDidChangeCurrentLine.fire(null);
@@ -284,64 +326,66 @@ class LineTracker {
 
       // Find the definition on this line
       // Note: VS Code uses 0-based line numbers, parser uses 1-based
-      const definitions = this._parseResult.definitions || new Map();
-      const definitionsArray = Array.from(definitions.values());
-      const definition = definitionsArray.find((def) => def.line === this._currentLine + 1);
+      const filePath = this._currentDocument.uri.fsPath;
+
+      // Reactions resolve to reaction SMILES rather than SELFIES
+      const reaction = this._selfiesWorkspace.getAnalysis(filePath)?.reactions
+        .find(({ line }) => line === this._currentLine);
+      if (reaction) {
+        const { smiles, error } = this._selfiesWorkspace.describeReaction(filePath, reaction.name);
+        const expression = this._currentDocument.lineAt(this._currentLine).text
+          .slice(reaction.bodyStart, reaction.bodyEnd).trim();
+        this._onDidChangeCurrentLine.fire(error ? {
+          line: this._currentLine, name: reaction.name, expression, error,
+        } : {
+          line: this._currentLine,
+          name: reaction.name,
+          expression,
+          selfies: null,
+          smiles,
+          molecularWeight: null,
+          formula: null,
+          highlights: [],
+          error: null,
+        });
+        return;
+      }
+
+      const program = this._selfiesWorkspace.getProgram(filePath);
+      const definitionsArray = Array.from(program.definitions.values());
+      const definition = definitionsArray.find((def) => !def.importedFrom
+        && def.line === this._currentLine + 1);
 
       if (!definition) {
         this._onDidChangeCurrentLine.fire(null);
         return;
       }
 
-      // Resolve the definition to get the full SELFIES string
-      let selfies = null;
-      let smiles = null;
-      let error = null;
-
-      try {
-        selfies = resolve(this._parseResult, definition.name, { validateValence: false });
-      } catch (err) {
-        error = err.message;
-      }
+      const expression = definition.tokens ? this._formatTokens(definition.tokens) : '';
+      const {
+        selfies, smiles, molecularWeight, formula, error,
+      } = this._selfiesWorkspace.describe(filePath, definition.name);
 
       if (!selfies) {
         this._onDidChangeCurrentLine.fire({
           line: this._currentLine,
           name: definition.name,
-          expression: definition.tokens ? this._formatTokens(definition.tokens) : '',
+          expression,
           error: error || 'Could not resolve definition',
         });
         return;
       }
 
-      // Decode to SMILES
-      try {
-        smiles = decode(selfies);
-      } catch (err) {
-        error = err.message;
-      }
-
-      // Get molecular properties
-      let molecularWeight = null;
-      let formula = null;
-
-      if (selfies && !error) {
-        try {
-          molecularWeight = getMolecularWeight(selfies);
-          formula = getFormula(selfies);
-        } catch (err) {
-          // Properties might not be available
-        }
-      }
-
       const lineInfo = {
         line: this._currentLine,
         name: definition.name,
-        expression: definition.tokens ? this._formatTokens(definition.tokens) : '',
+        expression,
         selfies,
         smiles,
         molecularWeight,
         formula,
+        highlights: this._getHighlightPatterns(definition.line - 1),
+        focus: this._getFocus(filePath, definition.name),
         error,
       };
 
@@ -355,6 +399,30 @@ class LineTracker {
     }
   }
 
+  /**
+     * Get the atoms contributed by the body token under the cursor
+     * @returns {{token: string, atoms: number[]}|null}
+     */
+  _getFocus(filePath, definitionName) {
+    const traced = this._selfiesWorkspace.traceAtomsAt(
+      filePath,
+      this._currentLine,
+      this._currentCharacter,
+    );
+    if (!traced || traced.definition !== definitionName) {
+      return null;
+    }
+    return { token: traced.token.value, atoms: traced.atoms };
+  }
+
+  /**
+     * Get the SMARTS of `highlight:` annotations above a definition
+     * @param {number} line - Line of the definition (0-based)
+     */
+  _getHighlightPatterns(line) {
+    return getHighlightPatterns(this._currentDocument.getText().split('\n'), line);
+  }
+
   /**
      * Get information about the current line
      */
@@ -365,6 +433,8 @@ class LineTracker {
   }
 
   dispose() {
+    clearTimeout(this._evaluationTimer);
+    this._pendingEvaluation?.controller.abort();
     this._selectionChangeListener.dispose();
     this._documentChangeListener.dispose();
     this._editorChangeListener.dispose();
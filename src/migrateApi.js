@@ -0,0 +1,166 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { findLegacyApiUsages } from './apiMigration';
+import { loadMoleculeDocument } from './documentMolecules';
+
+const MIGRATION_CODES = ['deprecated-import', 'deprecated-method', 'deprecated-api'];
+
+/**
+ * Add the edits of some usages to a workspace edit
+ * @param {vscode.WorkspaceEdit} edit
+ * @param {{uri: vscode.Uri, positionAt: (offset: number) => vscode.Position}} document
+ * @param {Array<{edits: Array<{start: number, end: number, text: string}>}>} usages
+ * @param {vscode.WorkspaceEditEntryMetadata} [metadata] - Groups changes in the refactor preview
+ */
+function addMigrationEdits(edit, document, usages, metadata) {
+  usages.flatMap(({ edits }) => edits).forEach(({ start, end, text }) => {
+    edit.replace(
+      document.uri,
+      new vscode.Range(document.positionAt(start), document.positionAt(end)),
+      text,
+      metadata,
+    );
+  });
+}
+
+/**
+ * Map offsets of a text to positions, for files that are read without opening them
+ * @param {string} text
+ * @returns {(offset: number) => vscode.Position}
+ */
+function createPositionAt(text) {
+  const lineStarts = [0];
+  Array.from(text.matchAll(/\n/g)).forEach(({ index }) => lineStarts.push(index + 1));
+  return (offset) => {
+    const line = lineStarts.filter((start) => start <= offset).length - 1;
+    return new vscode.Position(line, offset - lineStarts[line]);
+  };
+}
+
+/**
+ * Ask which .smiles.js files to migrate: the active file or the whole workspace
+ * @returns {Promise<vscode.Uri[]|null>} null if cancelled
+ */
+async function pickFiles() {
+  const activeDocument = vscode.window.activeTextEditor?.document;
+  const scopes = [];
+  if (activeDocument?.fileName.endsWith('.smiles.js')) {
+    scopes.push({ label: 'Active File', description: path.basename(activeDocument.fileName), scope: 'file' });
+  }
+  if (vscode.workspace.workspaceFolders) {
+    scopes.push({ label: 'Workspace', description: 'All .smiles.js files', scope: 'workspace' });
+  }
+
+  if (scopes.length === 0) {
+    vscode.window.showErrorMessage('Please open a .smiles.js file or a workspace first');
+    return null;
+  }
+
+  const picked = scopes.length === 1 ? scopes[0] : await vscode.window.showQuickPick(scopes, {
+    placeHolder: 'Migrate to the current smiles-js API in',
+  });
+  if (!picked) {
+    return null;
+  }
+  if (picked.scope === 'file') {
+    return [activeDocument.uri];
+  }
+
+  const uris = await vscode.workspace.findFiles('**/*.smiles.js', '**/node_modules/**');
+  return uris.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+}
+
+/**
+ * Rewrite /fragment imports, .attachAt() calls and positional Ring() calls in
+ * one file or the whole workspace, previewing the changes before applying them
+ */
+async function migrateApi() {
+  const uris = await pickFiles();
+  if (!uris) {
+    return;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  const unparsed = [];
+  let count = 0;
+  await Promise.all(uris.map(async (uri) => {
+    // Opening every file would run all open-document providers on it
+    const text = (await loadMoleculeDocument(uri)).getText();
+    const usages = findLegacyApiUsages(text);
+    if (!usages) {
+      unparsed.push(vscode.workspace.asRelativePath(uri));
+      return;
+    }
+
+    count += usages.length;
+    addMigrationEdits(edit, { uri, positionAt: createPositionAt(text) }, usages, {
+      label: vscode.workspace.asRelativePath(uri),
+      needsConfirmation: true,
+    });
+  }));
+
+  if (unparsed.length > 0) {
+    vscode.window.showWarningMessage(`Skipped files with syntax errors: ${unparsed.join(', ')}`);
+  }
+  if (count === 0) {
+    vscode.window.showInformationMessage('No uses of the old smiles-js API found');
+    return;
+  }
+
+  await vscode.workspace.applyEdit(edit, { isRefactoring: true });
+}
+
+/**
+ * Create quick fixes for the old smiles-js API diagnostics: update one use,
+ * or every use in the file
+ * @returns {vscode.Disposable}
+ */
+function createApiMigrationActionProvider() {
+  return vscode.languages.registerCodeActionsProvider(
+    { language: 'javascript', pattern: '**/*.smiles.js' },
+    {
+      provideCodeActions(document, range, context) {
+        const diagnostics = context.diagnostics
+          .filter(({ source, code }) => source === 'smiles-js' && MIGRATION_CODES.includes(code));
+        const usages = diagnostics.length > 0 ? findLegacyApiUsages(document.getText()) : null;
+        if (!usages) {
+          return [];
+        }
+
+        const actions = diagnostics.map((diagnostic) => {
+          const offset = document.offsetAt(diagnostic.range.start);
+          const usage = usages
+            .find(({ code, start }) => code === diagnostic.code && start === offset);
+          if (!usage) {
+            return null;
+          }
+
+          const action = new vscode.CodeAction(
+            'Update to the current smiles-js API',
+            vscode.CodeActionKind.QuickFix,
+          );
+          action.edit = new vscode.WorkspaceEdit();
+          addMigrationEdits(action.edit, document, [usage]);
+          action.diagnostics = [diagnostic];
+          action.isPreferred = true;
+          return action;
+        }).filter(Boolean);
+
+        if (usages.length > 1) {
+          const action = new vscode.CodeAction(
+            'Migrate this file to the current smiles-js API',
+            vscode.CodeActionKind.QuickFix,
+          );
+          action.edit = new vscode.WorkspaceEdit();
+          addMigrationEdits(action.edit, document, usages);
+          action.diagnostics = diagnostics;
+          actions.push(action);
+        }
+        return actions;
+      },
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+  );
+}
+
+export { migrateApi, createApiMigrationActionProvider };
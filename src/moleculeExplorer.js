@@ -0,0 +1,296 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { collectDocumentMolecules, loadMoleculeDocument } from './documentMolecules';
+import { affectsRendering } from './renderingOptions';
+import { findSmilesJsImports, getRootFiles } from './importGraph';
+
+const VIEW_ID = 'smilesMolecules';
+const FILE_PATTERN = '**/*.{selfies,smiles.js}';
+const REFRESH_DELAY_MS = 1000;
+const THUMBNAIL_SIZE = 64;
+const TOOLTIP_WIDTH = 240;
+const TOOLTIP_HEIGHT = 160;
+
+const isSupportedFile = (fileName) => /\.(selfies|smiles\.js)$/.test(fileName);
+
+/**
+ * Read the smiles.explorer settings
+ * @returns {{groupBy: 'file'|'dependency', showThumbnails: boolean}}
+ */
+function getExplorerOptions() {
+  const config = vscode.workspace.getConfiguration('smiles.explorer');
+  return {
+    groupBy: config.get('groupBy', 'file'),
+    showThumbnails: config.get('showThumbnails', true),
+  };
+}
+
+/**
+ * Tree of every .selfies and .smiles.js file in the workspace and the
+ * molecules they define. Files are read when the tree is first shown and
+ * their molecules when a file is expanded.
+ */
+class MoleculeExplorerProvider {
+  constructor(selfiesWorkspace, thumbnails) {
+    this._selfiesWorkspace = selfiesWorkspace;
+    this._thumbnails = thumbnails;
+    // Imported files of each file, keyed by path; null until first shown
+    this._files = null;
+    this._molecules = new Map();
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  /**
+   * Forget everything read so far and redraw the tree
+   */
+  refresh() {
+    this._files = null;
+    this._molecules.clear();
+    this._onDidChangeTreeData.fire();
+  }
+
+  /**
+   * Redraw the tree without re-reading files, e.g. after a settings change
+   */
+  redraw() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  async getChildren(node) {
+    if (!node) {
+      const files = await this._getFiles();
+      const roots = getExplorerOptions().groupBy === 'dependency'
+        ? getRootFiles(files)
+        : Array.from(files.keys());
+      return roots.map((filePath) => ({ type: 'file', filePath, ancestors: [] }));
+    }
+    if (node.type !== 'file') {
+      return [];
+    }
+
+    const children = [];
+    if (getExplorerOptions().groupBy === 'dependency') {
+      const files = await this._getFiles();
+      const ancestors = [...node.ancestors, node.filePath];
+      (files.get(node.filePath) || [])
+        .filter((filePath) => files.has(filePath) && !ancestors.includes(filePath))
+        .forEach((filePath) => children.push({ type: 'file', filePath, ancestors }));
+    }
+
+    const { molecules, error } = await this._getMolecules(node.filePath);
+    if (error) {
+      children.push({ type: 'message', filePath: node.filePath, message: error });
+    }
+    molecules.forEach((molecule) => children.push({
+      type: 'molecule',
+      filePath: node.filePath,
+      molecule,
+    }));
+    return children;
+  }
+
+  async getTreeItem(node) {
+    if (node.type === 'file') {
+      const uri = vscode.Uri.file(node.filePath);
+      const item = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.Collapsed);
+      item.id = [...node.ancestors, node.filePath].join('>');
+      item.description = vscode.workspace.asRelativePath(path.dirname(node.filePath));
+      item.contextValue = 'moleculeFile';
+      return item;
+    }
+
+    if (node.type === 'message') {
+      const item = new vscode.TreeItem(node.message);
+      item.iconPath = new vscode.ThemeIcon('error');
+      return item;
+    }
+
+    const { molecule } = node;
+    const item = new vscode.TreeItem(molecule.name);
+    if (molecule.error) {
+      item.description = molecule.error;
+      item.iconPath = new vscode.ThemeIcon('error');
+      item.contextValue = 'invalidMolecule';
+    } else {
+      item.description = [
+        molecule.formula,
+        molecule.molecularWeight ? `${molecule.molecularWeight.toFixed(2)} g/mol` : null,
+      ].filter(Boolean).join(' · ');
+      const thumbnail = getExplorerOptions().showThumbnails
+        ? await this._thumbnails.getImage(molecule.smiles, THUMBNAIL_SIZE, THUMBNAIL_SIZE)
+        : null;
+      item.iconPath = thumbnail || new vscode.ThemeIcon('symbol-constant');
+      item.contextValue = molecule.selfies ? 'selfiesMolecule' : 'molecule';
+    }
+    item.command = {
+      command: 'smiles.explorer.reveal',
+      title: 'Reveal in File',
+      arguments: [node],
+    };
+    return item;
+  }
+
+  async resolveTreeItem(item, node) {
+    if (node.type !== 'molecule' || !node.molecule.smiles) {
+      return item;
+    }
+
+    const { name, smiles, selfies } = node.molecule;
+    const tooltip = new vscode.MarkdownString();
+    const image = await this._thumbnails.getImage(smiles, TOOLTIP_WIDTH, TOOLTIP_HEIGHT);
+    if (image) {
+      tooltip.appendMarkdown(`![${name}](${image.toString()})\n\n`);
+    }
+    tooltip.appendMarkdown(`**${name}**\n\n`);
+    tooltip.appendCodeblock(smiles, 'smiles');
+    if (selfies) {
+      tooltip.appendCodeblock(selfies, 'selfies');
+    }
+    // eslint-disable-next-line no-param-reassign
+    item.tooltip = tooltip;
+    return item;
+  }
+
+  /**
+   * Find every molecule file and the files it imports
+   * @returns {Promise<Map<string, string[]>>} Sorted by path
+   */
+  async _getFiles() {
+    if (!this._files) {
+      this._files = (async () => {
+        const uris = await vscode.workspace.findFiles(FILE_PATTERN, '**/node_modules/**');
+        const filePaths = uris.map((uri) => uri.fsPath).sort();
+        const imports = await Promise.all(filePaths.map((filePath) => this._getImports(filePath)));
+        return new Map(filePaths.map((filePath, index) => [filePath, imports[index]]));
+      })();
+    }
+    return this._files;
+  }
+
+  /**
+   * @returns {Promise<string[]>} Absolute paths of the files a file imports
+   */
+  async _getImports(filePath) {
+    try {
+      if (filePath.endsWith('.selfies')) {
+        const analysis = this._selfiesWorkspace.getAnalysis(filePath);
+        return (analysis?.imports || []).map((importSpec) => importSpec.filePath);
+      }
+      const document = await loadMoleculeDocument(vscode.Uri.file(filePath));
+      return findSmilesJsImports(document.getText(), filePath);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @returns {Promise<{molecules: Array<object>, error: string|null}>}
+   */
+  _getMolecules(filePath) {
+    if (!this._molecules.has(filePath)) {
+      this._molecules.set(filePath, (async () => {
+        try {
+          const document = await loadMoleculeDocument(vscode.Uri.file(filePath));
+          return await collectDocumentMolecules(document, this._selfiesWorkspace);
+        } catch (err) {
+          return { molecules: [], error: err.message };
+        }
+      })());
+    }
+    return this._molecules.get(filePath);
+  }
+
+  dispose() {
+    this._onDidChangeTreeData.dispose();
+  }
+}
+
+/**
+ * Open the file of a tree node at its molecule
+ */
+async function revealNode(node) {
+  const document = await vscode.workspace.openTextDocument(vscode.Uri.file(node.filePath));
+  const position = new vscode.Position(node.molecule?.line ?? 0, 0);
+  await vscode.window.showTextDocument(document, {
+    selection: new vscode.Range(position, position),
+  });
+}
+
+/**
+ * Create the Molecules view of the Explorer and the commands of its items
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @param {import('./thumbnails').ThumbnailCache} thumbnails
+ * @returns {vscode.Disposable}
+ */
+function createMoleculeExplorer(selfiesWorkspace, thumbnails) {
+  const provider = new MoleculeExplorerProvider(selfiesWorkspace, thumbnails);
+  const treeView = vscode.window.createTreeView(VIEW_ID, {
+    treeDataProvider: provider,
+    showCollapseAll: true,
+  });
+
+  let refreshTimer = null;
+  const scheduleRefresh = (uri) => {
+    if (!isSupportedFile(uri.fsPath)) {
+      return;
+    }
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => provider.refresh(), REFRESH_DELAY_MS);
+  };
+
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    scheduleRefresh(event.document.uri);
+  });
+
+  const watcher = vscode.workspace.createFileSystemWatcher(FILE_PATTERN);
+  watcher.onDidCreate(scheduleRefresh);
+  watcher.onDidChange(scheduleRefresh);
+  watcher.onDidDelete(scheduleRefresh);
+
+  const configurationChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('smiles.explorer') || affectsRendering(event)) {
+      provider.redraw();
+    }
+  });
+
+  const commands = [
+    vscode.commands.registerCommand('smiles.explorer.refresh', () => provider.refresh()),
+    vscode.commands.registerCommand('smiles.explorer.toggleGrouping', () => {
+      const { groupBy } = getExplorerOptions();
+      vscode.workspace.getConfiguration('smiles.explorer').update(
+        'groupBy',
+        groupBy === 'dependency' ? 'file' : 'dependency',
+        vscode.ConfigurationTarget.Global,
+      );
+    }),
+    vscode.commands.registerCommand('smiles.explorer.reveal', revealNode),
+    vscode.commands.registerCommand('smiles.explorer.preview', async (node) => {
+      await revealNode(node);
+      await vscode.commands.executeCommand('smiles.showMolecule');
+    }),
+    vscode.commands.registerCommand('smiles.explorer.copySmiles', async (node) => {
+      await vscode.env.clipboard.writeText(node.molecule.smiles);
+      vscode.window.setStatusBarMessage(`Copied SMILES of ${node.molecule.name}`, 3000);
+    }),
+    vscode.commands.registerCommand('smiles.explorer.copySelfies', async (node) => {
+      await vscode.env.clipboard.writeText(node.molecule.selfies);
+      vscode.window.setStatusBarMessage(`Copied SELFIES of ${node.molecule.name}`, 3000);
+    }),
+  ];
+
+  return {
+    dispose: () => {
+      clearTimeout(refreshTimer);
+      treeView.dispose();
+      provider.dispose();
+      documentChangeListener.dispose();
+      watcher.dispose();
+      configurationChangeListener.dispose();
+      commands.forEach((command) => command.dispose());
+    },
+  };
+}
+
+export { createMoleculeExplorer };
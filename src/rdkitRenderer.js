@@ -1,7 +1,11 @@
 import initRDKitModule from '@rdkit/rdkit';
+import { isReactionSmiles } from './reactionSmiles';
 
 let RDKitModule = null;
 
+// Highest atomic number RDKit knows; used to build an all-black atom palette
+const MAX_ATOMIC_NUMBER = 118;
+
 /**
  * Initialize RDKit module
  */
@@ -12,21 +16,131 @@ export async function initRDKit() {
   return RDKitModule;
 }
 
+/**
+ * Convert '#rrggbb' to the [r, g, b] fractions RDKit expects
+ */
+function hexToRGB(color) {
+  return [1, 3, 5].map((start) => parseInt(color.slice(start, start + 2), 16) / 255);
+}
+
+/**
+ * Atom palette drawing every element in black
+ */
+function getMonochromePalette() {
+  return Object.fromEntries(
+    Array.from({ length: MAX_ATOMIC_NUMBER + 1 }, (_, atomicNumber) => [atomicNumber, [0, 0, 0]]),
+  );
+}
+
+/**
+ * Get the indices of the bonds joining two atoms of a set
+ * @param {object} mol - RDKit molecule
+ * @param {number[]} atoms - Atom indices
+ * @returns {number[]}
+ */
+function getBondsBetween(mol, atoms) {
+  const atomSet = new Set(atoms);
+  const [molecule] = JSON.parse(mol.get_json()).molecules;
+  return molecule.bonds
+    .map((bond, index) => (bond.atoms.every((atom) => atomSet.has(atom)) ? index : -1))
+    .filter((index) => index >= 0);
+}
+
+/**
+ * Generate SVG of a reaction scheme, reactants and products joined by an
+ * arrow with the agents above it, using RDKit
+ * @param {string} smiles - Reaction SMILES, reactants>agents>products
+ * @param {object} options - Rendering options of generateSVG, without highlights
+ * @param {boolean} options.highlightByReactant - Color each reactant's atoms, and
+ *   the product atoms mapped to them, alike. Atom map numbers are always drawn.
+ * @returns {string} SVG string
+ */
+export async function generateReactionSVG(smiles, options = {}) {
+  const rdkit = await initRDKit();
+
+  const {
+    width = 700,
+    height = 250,
+    addStereoAnnotation = true,
+    addAtomIndices = false,
+    monochrome = false,
+    bondLineWidth = 2,
+    highlightByReactant = true,
+  } = options;
+
+  const details = {
+    width,
+    height,
+    addStereoAnnotation,
+    addAtomIndices,
+    bondLineWidth,
+    highlightByReactant,
+  };
+  if (monochrome) {
+    details.atomColourPalette = getMonochromePalette();
+  }
+
+  let rxn = null;
+  try {
+    rxn = rdkit.get_rxn(smiles, JSON.stringify({ useSmiles: true }));
+    if (!rxn) {
+      throw new Error(`Invalid reaction SMILES: ${smiles}`);
+    }
+    return rxn.get_svg_with_highlights(JSON.stringify(details));
+  } catch (err) {
+    throw new Error(`Failed to generate SVG for "${smiles}": ${err.message}`);
+  } finally {
+    if (rxn) {
+      rxn.delete();
+    }
+  }
+}
+
 /**
  * Generate SVG from SMILES using RDKit
  * @param {string} smiles - SMILES string
  * @param {object} options - Rendering options
- * @returns {string} SVG string
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {boolean} options.addStereoAnnotation - Draw CIP labels (R/S, E/Z)
+ * @param {boolean} options.addAtomIndices - Number every atom
+ * @param {boolean} options.explicitHydrogens - Add and draw all hydrogens
+ * @param {boolean} options.monochrome - Draw every atom in black
+ * @param {number} options.bondLineWidth - Bond line width in pixels
+ * @param {Array<{atoms: number[], bonds?: number[], color: string}>} options.highlights
+ *   Atoms and bonds to highlight with a '#rrggbb' color; later entries win on overlap.
+ *   Without `bonds`, the bonds between the given atoms are highlighted.
+ * @returns {string} SVG string; reaction SMILES are drawn by generateReactionSVG
  */
 export async function generateSVG(smiles, options = {}) {
+  if (isReactionSmiles(smiles)) {
+    return generateReactionSVG(smiles, options);
+  }
+
   const rdkit = await initRDKit();
 
   const {
     width = 500,
     height = 300,
     addStereoAnnotation = true,
+    addAtomIndices = false,
+    explicitHydrogens = false,
+    monochrome = false,
+    bondLineWidth = 2,
+    highlights = [],
   } = options;
 
+  const details = {
+    width,
+    height,
+    addStereoAnnotation,
+    addAtomIndices,
+    bondLineWidth,
+  };
+  if (monochrome) {
+    details.atomColourPalette = getMonochromePalette();
+  }
+
   let mol = null;
   try {
     // console.log('[RDKit] Attempting to render SMILES:', smiles);
@@ -38,12 +152,27 @@ export async function generateSVG(smiles, options = {}) {
       throw new Error(`Invalid molecule for SMILES: ${smiles}`);
     }
 
+    if (highlights.length > 0) {
+      const atomColors = {};
+      const bondColors = {};
+      highlights.forEach(({ atoms, bonds, color }) => {
+        const rgb = hexToRGB(color);
+        atoms.forEach((atom) => { atomColors[atom] = rgb; });
+        (bonds || getBondsBetween(mol, atoms)).forEach((bond) => { bondColors[bond] = rgb; });
+      });
+      details.atoms = Object.keys(atomColors).map(Number);
+      details.bonds = Object.keys(bondColors).map(Number);
+      details.highlightAtomColors = atomColors;
+      details.highlightBondColors = bondColors;
+    }
+
+    // Hydrogens are appended, so heavy atom and bond indices stay valid
+    if (explicitHydrogens) {
+      mol.add_hs_in_place();
+    }
+
     // Generate SVG
-    const svg = mol.get_svg_with_highlights(JSON.stringify({
-      width,
-      height,
-      addStereoAnnotation,
-    }));
+    const svg = mol.get_svg_with_highlights(JSON.stringify(details));
 
     // console.log('[RDKit] Successfully rendered SMILES:', smiles);
     return svg;
@@ -77,3 +206,103 @@ export async function isValidSMILES(smiles) {
     }
   }
 }
+
+/**
+ * Get the RDKit canonical SMILES for a molecule
+ * @param {string} smiles - SMILES string
+ * @returns {string|null} Canonical SMILES, or null if RDKit cannot parse it
+ */
+export async function getCanonicalSMILES(smiles) {
+  const rdkit = await initRDKit();
+
+  let mol = null;
+  try {
+    mol = rdkit.get_mol(smiles);
+    return mol && mol.is_valid() ? mol.get_smiles() : null;
+  } catch {
+    return null;
+  } finally {
+    if (mol) {
+      mol.delete();
+    }
+  }
+}
+
+/**
+ * Get canonical SMILES, InChI, InChIKey and MOL block for a SMILES string
+ * @param {string} smiles - SMILES string
+ * @returns {Promise<{canonicalSmiles: string, inchi: string|null, inchiKey: string|null,
+ *   molblock: string}|null>} null if the SMILES is invalid
+ */
+export async function getMolecularIdentifiers(smiles) {
+  const rdkit = await initRDKit();
+
+  let mol = null;
+  try {
+    mol = rdkit.get_mol(smiles);
+    if (!mol || !mol.is_valid()) {
+      return null;
+    }
+    // InChI is undefined for some inputs, such as bare wildcard atoms
+    const inchi = mol.get_inchi() || null;
+    return {
+      canonicalSmiles: mol.get_smiles(),
+      inchi,
+      inchiKey: inchi ? rdkit.get_inchikey_for_inchi(inchi) || null : null,
+      molblock: mol.get_molblock(),
+    };
+  } catch {
+    return null;
+  } finally {
+    if (mol) {
+      mol.delete();
+    }
+  }
+}
+
+/**
+ * Find the atoms and bonds matched by SMARTS patterns
+ * @param {string} smiles - SMILES string
+ * @param {Array<{smarts: string, color: string}>} patterns
+ * @returns {Array<{smarts: string, color: string, atoms: number[], bonds: number[],
+ *   matchCount: number, error: string|null}>} One entry per pattern, in order
+ */
+export async function findSubstructureHighlights(smiles, patterns) {
+  const rdkit = await initRDKit();
+
+  let mol = null;
+  try {
+    mol = rdkit.get_mol(smiles);
+    const validMol = mol && mol.is_valid();
+
+    return patterns.map(({ smarts, color }) => {
+      const highlight = {
+        smarts, color, atoms: [], bonds: [], matchCount: 0, error: null,
+      };
+
+      const qmol = rdkit.get_qmol(smarts);
+      if (!qmol || !qmol.is_valid()) {
+        highlight.error = `Invalid SMARTS: ${smarts}`;
+        return highlight;
+      }
+
+      try {
+        if (validMol) {
+          // A single match is returned as an object, no match as {}
+          const parsed = JSON.parse(mol.get_substruct_matches(qmol));
+          const matches = [].concat(parsed).filter((match) => match.atoms);
+          highlight.matchCount = matches.length;
+          highlight.atoms = [...new Set(matches.flatMap((match) => match.atoms))];
+          highlight.bonds = [...new Set(matches.flatMap((match) => match.bonds))];
+        }
+      } finally {
+        qmol.delete();
+      }
+      return highlight;
+    });
+  } finally {
+    if (mol) {
+      mol.delete();
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Reaction SMILES (reactants>agents>products): splitting into molecules and
+ * checking atom maps. Works on the text alone; see reactionValidation.js for
+ * the checks that need RDKit.
+ */
+
+// Bracket atoms with an atom map number, such as [CH3:1]
+const MAPPED_ATOM_PATTERN = /\[[^\]]*:(\d+)\]/g;
+
+/**
+ * Split a reaction SMILES into the molecules of each side
+ * @param {string} smiles
+ * @returns {{
+ *   reactants: Array<{smiles: string, start: number, end: number}>,
+ *   agents: Array<{smiles: string, start: number, end: number}>,
+ *   products: Array<{smiles: string, start: number, end: number}>,
+ * }|null} Molecules with their offsets in the reaction SMILES, or null if the
+ *   SMILES does not have exactly two `>` outside bracket atoms
+ */
+function splitReaction(smiles) {
+  // CXSMILES extensions follow the first space
+  const [text] = smiles.split(/\s/);
+  const sides = [[]];
+  let moleculeStart = 0;
+  let inBracket = false;
+
+  const endMolecule = (end) => {
+    if (end > moleculeStart) {
+      sides[sides.length - 1].push({
+        smiles: text.slice(moleculeStart, end), start: moleculeStart, end,
+      });
+    }
+    moleculeStart = end + 1;
+  };
+
+  Array.from(text).forEach((char, index) => {
+    if (char === '[' || char === ']') {
+      inBracket = char === '[';
+    } else if (!inBracket && (char === '.' || char === '>')) {
+      endMolecule(index);
+      if (char === '>') {
+        sides.push([]);
+      }
+    }
+  });
+  endMolecule(text.length);
+
+  if (sides.length !== 3) {
+    return null;
+  }
+  const [reactants, agents, products] = sides;
+  return { reactants, agents, products };
+}
+
+/**
+ * Whether a SMILES string is a reaction
+ * @param {string} smiles
+ * @returns {boolean}
+ */
+function isReactionSmiles(smiles) {
+  return splitReaction(smiles) !== null;
+}
+
+/**
+ * Find the mapped atoms of each side of a reaction. Map number 0 means unmapped.
+ * @param {string} smiles - Reaction SMILES
+ * @returns {{
+ *   reactants: Array<{map: number, start: number, end: number}>,
+ *   products: Array<{map: number, start: number, end: number}>,
+ * }} Offsets of the bracket atoms in the reaction SMILES
+ */
+function findAtomMaps(smiles) {
+  const reaction = splitReaction(smiles) || { reactants: [], products: [] };
+  const collect = (molecules) => molecules.flatMap(({ smiles: molecule, start }) => Array.from(
+    molecule.matchAll(MAPPED_ATOM_PATTERN),
+    (match) => ({
+      map: Number(match[1]),
+      start: start + match.index,
+      end: start + match.index + match[0].length,
+    }),
+  )).filter(({ map }) => map > 0);
+
+  return { reactants: collect(reaction.reactants), products: collect(reaction.products) };
+}
+
+/**
+ * Check the atom maps of a reaction: a map number is used once per side, and
+ * every mapped product atom comes from a reactant atom with the same number.
+ * Reactions without atom maps pass.
+ * @param {string} smiles - Reaction SMILES
+ * @returns {Array<{message: string, start: number, end: number}>} Problems with
+ *   offsets into the reaction SMILES
+ */
+function checkAtomMapping(smiles) {
+  const { reactants, products } = findAtomMaps(smiles);
+  const findDuplicates = (atoms, side) => atoms
+    .filter((atom, index) => atoms.findIndex(({ map }) => map === atom.map) !== index)
+    .map(({ map, start, end }) => ({
+      message: `Atom map :${map} is used more than once in the ${side}`, start, end,
+    }));
+
+  const reactantMaps = new Set(reactants.map(({ map }) => map));
+  const unmatched = products
+    .filter(({ map }) => !reactantMaps.has(map))
+    .map(({ map, start, end }) => ({
+      message: `Atom map :${map} of a product is not on any reactant atom`, start, end,
+    }));
+
+  return [
+    ...findDuplicates(reactants, 'reactants'),
+    ...findDuplicates(products, 'products'),
+    ...unmatched,
+  ];
+}
+
+export {
+  splitReaction, isReactionSmiles, findAtomMaps, checkAtomMapping,
+};
@@ -0,0 +1,178 @@
+/**
+ * Validation of reaction SMILES with RDKit: every molecule is sanitized, the
+ * atoms of each element are counted on both sides, and atom maps are checked.
+ */
+
+import { initRDKit } from './rdkitRenderer';
+import { validateSMILES } from './smilesValidation';
+import { splitReaction, checkAtomMapping } from './reactionSmiles';
+
+// Element symbols by atomic number; 0 is the * wildcard
+const ELEMENTS = [
+  '*', 'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr',
+  'Rb', 'Sr', 'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn', 'Sb', 'Te', 'I', 'Xe',
+  'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb', 'Lu',
+  'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn',
+  'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf', 'Es', 'Fm', 'Md', 'No', 'Lr',
+  'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds', 'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og',
+];
+
+/**
+ * Hill order: carbon, hydrogen, then the other elements alphabetically
+ */
+function compareElements(a, b) {
+  const rank = (element) => ['C', 'H'].indexOf(element);
+  if (rank(a) !== -1 || rank(b) !== -1) {
+    return (rank(a) === -1 ? 2 : rank(a)) - (rank(b) === -1 ? 2 : rank(b));
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Count the atoms of each element in a molecule, hydrogens included
+ * @param {string} smiles
+ * @returns {Promise<Object<string, number>|null>} null if RDKit cannot parse the SMILES
+ */
+async function countElements(smiles) {
+  const RDKit = await initRDKit();
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) {
+    return null;
+  }
+
+  try {
+    const { defaults, molecules: [molecule] } = JSON.parse(mol.get_json());
+    const counts = {};
+    const add = (element, count) => {
+      if (count > 0) {
+        counts[element] = (counts[element] || 0) + count;
+      }
+    };
+    molecule.atoms.forEach((written) => {
+      const atom = { ...defaults.atom, ...written };
+      add(ELEMENTS[atom.z] || `#${atom.z}`, 1);
+      add('H', atom.impHs);
+    });
+    return counts;
+  } finally {
+    mol.delete();
+  }
+}
+
+/**
+ * Write element counts as a formula in Hill order, such as C2H4O2
+ * @param {Object<string, number>} counts
+ * @returns {string}
+ */
+function formatFormula(counts) {
+  return Object.keys(counts)
+    .sort(compareElements)
+    .map((element) => (counts[element] === 1 ? element : `${element}${counts[element]}`))
+    .join('');
+}
+
+/**
+ * Count the atoms of each element on both sides of a reaction. Agents are
+ * not counted.
+ * @param {string} smiles - Reaction SMILES
+ * @returns {Promise<{
+ *   reactants: Object<string, number>,
+ *   products: Object<string, number>,
+ *   unbalanced: Array<{element: string, reactants: number, products: number}>,
+ * }|null>} null if the SMILES is not a reaction or RDKit cannot parse one of its molecules
+ */
+async function checkMassBalance(smiles) {
+  const reaction = splitReaction(smiles);
+  if (!reaction) {
+    return null;
+  }
+
+  const countSide = async (molecules) => {
+    const counts = await Promise.all(molecules.map((molecule) => countElements(molecule.smiles)));
+    if (counts.includes(null)) {
+      return null;
+    }
+    return counts.reduce((total, molecule) => {
+      Object.entries(molecule).forEach(([element, count]) => {
+        // eslint-disable-next-line no-param-reassign
+        total[element] = (total[element] || 0) + count;
+      });
+      return total;
+    }, {});
+  };
+
+  const reactants = await countSide(reaction.reactants);
+  const products = await countSide(reaction.products);
+  if (!reactants || !products) {
+    return null;
+  }
+
+  const unbalanced = Array.from(new Set([...Object.keys(reactants), ...Object.keys(products)]))
+    .sort(compareElements)
+    .map((element) => ({
+      element, reactants: reactants[element] || 0, products: products[element] || 0,
+    }))
+    .filter((count) => count.reactants !== count.products);
+  return { reactants, products, unbalanced };
+}
+
+/**
+ * Validate a reaction SMILES: sanitize each molecule, then check the mass
+ * balance and the atom maps
+ * @param {string} smiles - Reaction SMILES
+ * @returns {Promise<Array<{
+ *   check: string, message: string, atoms: number[], start: number, end: number,
+ * }>>} Problems in the format of validateSMILES, with offsets into the reaction
+ *   SMILES. Molecule problems have no atoms; massBalance and atomMapping are added
+ *   as checks.
+ */
+async function validateReaction(smiles) {
+  const reaction = splitReaction(smiles);
+  if (!reaction) {
+    return validateSMILES(smiles);
+  }
+
+  const molecules = [...reaction.reactants, ...reaction.agents, ...reaction.products];
+  const moleculeProblems = await molecules.reduce(async (previous, molecule) => {
+    const found = await previous;
+    const problems = await validateSMILES(molecule.smiles);
+    return found.concat(problems.map((problem) => ({
+      ...problem,
+      atoms: [],
+      start: molecule.start + problem.start,
+      end: molecule.start + problem.end,
+    })));
+  }, Promise.resolve([]));
+
+  // Element counts need every molecule
+  if (moleculeProblems.length > 0) {
+    return moleculeProblems;
+  }
+
+  const problems = [];
+  const balance = await checkMassBalance(smiles);
+  if (balance?.unbalanced.length > 0) {
+    const differences = balance.unbalanced
+      .map(({ element, reactants, products }) => `${element} ${reactants} → ${products}`)
+      .join(', ');
+    problems.push({
+      check: 'massBalance',
+      message: `Reaction is not mass balanced (reactants → products): ${differences}`,
+      atoms: [],
+      start: 0,
+      end: smiles.length,
+    });
+  }
+
+  checkAtomMapping(smiles).forEach(({ message, start, end }) => {
+    problems.push({
+      check: 'atomMapping', message, atoms: [], start, end,
+    });
+  });
+  return problems;
+}
+
+export {
+  countElements, formatFormula, checkMassBalance, validateReaction,
+};
@@ -1,48 +1,12 @@
 import * as vscode from 'vscode';
-import { pathToFileURL } from 'url';
-
-/**
- * Find the export name at a specific line
- * Returns { name, needsExport, constPosition } where:
- * - name: the variable name
- * - needsExport: true if 'export' keyword is missing
- * - constPosition: character position of 'const' keyword (for inserting 'export ')
- */
-function findExportAtLine(text, lineNumber) {
-  const lines = text.split('\n');
-  const line = lines[lineNumber];
-
-  if (!line) return null;
-
-  // Match: export const NAME = ...
-  const exportMatch = line.match(/export\s+const\s+(\w+)\s*=/);
-  if (exportMatch) {
-    return { name: exportMatch[1], needsExport: false, constPosition: null };
-  }
-
-  // Match: const NAME = ... (without export)
-  const constMatch = line.match(/^(\s*)const\s+(\w+)\s*=/);
-  if (constMatch) {
-    const leadingWhitespace = constMatch[1].length;
-    return { name: constMatch[2], needsExport: true, constPosition: leadingWhitespace };
-  }
-
-  return null;
-}
-
-/**
- * Extract which constructors are used in the generated code
- */
-function extractUsedConstructors(code) {
-  const constructors = ['Ring', 'Linear', 'FusedRing', 'Molecule'];
-  return constructors.filter((c) => code.includes(`${c}(`));
-}
+import { evaluateDocument, formatEvaluationError, findBindingAtLine } from './sandbox/evaluateDocument';
+import { findConstructorNames, findDeclarations } from './javascriptMolecules';
 
 /**
  * Find the position to insert import statement
  * Returns the line number after existing imports, or 0 if no imports exist
  */
-function findImportInsertPosition(text) {
+export function findImportInsertPosition(text) {
   const lines = text.split('\n');
   let lastImportLine = -1;
 
@@ -62,7 +26,7 @@ function findImportInsertPosition(text) {
 /**
  * Check if an import for specific constructors from smiles-js already exists
  */
-function getExistingImports(text) {
+export function getExistingImports(text) {
   const importRegex = /import\s*\{([^}]+)\}\s*from\s*['"]smiles-js['"]/g;
   const existing = new Set();
 
@@ -79,25 +43,12 @@ function getExistingImports(text) {
 /**
  * Generate the import statement for missing constructors
  */
-function generateImportStatement(needed, existing) {
+export function generateImportStatement(needed, existing) {
   const missing = needed.filter((c) => !existing.has(c));
   if (missing.length === 0) return null;
   return `import { ${missing.join(', ')} } from 'smiles-js';\n`;
 }
 
-/**
- * Load a module dynamically with cache busting
- */
-async function loadModule(filePath) {
-  try {
-    const fileUrl = pathToFileURL(filePath).href;
-    const module = await import(`${fileUrl}?t=${Date.now()}`);
-    return module;
-  } catch (err) {
-    return null;
-  }
-}
-
 /**
  * Refactor the molecule on the current line to constructor code
  */
@@ -115,61 +66,47 @@ export async function refactorMolecule() {
   }
 
   const lineNumber = editor.selection.active.line;
-  let text = document.getText();
-  const exportInfo = findExportAtLine(text, lineNumber);
-
-  if (!exportInfo) {
-    vscode.window.showErrorMessage('No const declaration found on the current line');
+  const text = document.getText();
+  const declarations = findDeclarations(text);
+
+  // Generate code for the names declared around this line; the declaration
+  // does not need to be exported
+  const codeFor = (declarations || [])
+    .filter(({ line, endLine }) => lineNumber >= line && lineNumber <= endLine)
+    .flatMap(({ names }) => names.map(({ name }) => name));
+  const { bindings, error } = await evaluateDocument(document, { codeFor });
+  if (error) {
+    vscode.window.showErrorMessage(`Could not evaluate file: ${formatEvaluationError(error)}`);
     return;
   }
 
-  const { name: exportName, needsExport, constPosition } = exportInfo;
-
-  // If export keyword is missing, add it first
-  if (needsExport) {
-    const insertPos = new vscode.Position(lineNumber, constPosition);
-    await editor.edit((editBuilder) => {
-      editBuilder.insert(insertPos, 'export ');
-    });
-    // Save and reload text after adding export
-    await document.save();
-    text = document.getText();
-  } else {
-    // Save the document first to ensure the module is up to date
-    await document.save();
-  }
-
-  // Load the module
-  const module = await loadModule(document.fileName);
-  if (!module || !module[exportName]) {
-    vscode.window.showErrorMessage(`Could not load export "${exportName}"`);
+  const fragment = findBindingAtLine(bindings, lineNumber, declarations);
+  if (!fragment) {
+    vscode.window.showErrorMessage('No molecule declaration found on the current line');
     return;
   }
+  const { name } = fragment;
 
-  const fragment = module[exportName];
-
-  // Check if fragment has toCode method
-  if (typeof fragment.toCode !== 'function') {
-    vscode.window.showErrorMessage(`Export "${exportName}" does not have a toCode() method`);
+  if (fragment.codeError) {
+    vscode.window.showErrorMessage(`Failed to generate code: ${fragment.codeError}`);
     return;
   }
 
-  // Generate the code
-  let code;
-  try {
-    code = fragment.toCode(exportName);
-  } catch (err) {
-    vscode.window.showErrorMessage(`Failed to generate code: ${err.message}`);
+  // Check if fragment has toCode method
+  const { code } = fragment;
+  if (!code) {
+    vscode.window.showErrorMessage(`"${name}" does not have a toCode() method`);
     return;
   }
 
   // Check which constructors are used and which need to be imported
-  const usedConstructors = extractUsedConstructors(code);
+  const usedConstructors = findConstructorNames(code);
   const existingImports = getExistingImports(text);
   const importStatement = generateImportStatement(usedConstructors, existingImports);
 
-  // Find positions for insertions
-  const codeInsertPosition = new vscode.Position(lineNumber + 1, 0);
+  // Find positions for insertions: the code goes after the whole declaration
+  // (endLine is 1-based), never inside a multi-line call
+  const codeInsertPosition = new vscode.Position(fragment.endLine, 0);
   const importInsertPosition = new vscode.Position(findImportInsertPosition(text), 0);
 
   // Insert the generated code and import statement
@@ -179,10 +116,10 @@ export async function refactorMolecule() {
       editBuilder.insert(importInsertPosition, importStatement);
     }
 
-    // Add the generated code after current line
-    const codeToInsert = `\n// Refactored from ${exportName}:\n${code}\n`;
+    // Add the generated code after the declaration
+    const codeToInsert = `\n// Refactored from ${name}:\n${code}\n`;
     editBuilder.insert(codeInsertPosition, codeToInsert);
   });
 
-  vscode.window.showInformationMessage(`Refactored "${exportName}" to constructor code`);
+  vscode.window.showInformationMessage(`Refactored "${name}" to constructor code`);
 }
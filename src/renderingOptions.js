@@ -0,0 +1,51 @@
+import * as vscode from 'vscode';
+
+/**
+ * Read the rendering settings
+ * @returns {{
+ *   engine: 'rdkit'|'smiles-drawer'|'compare',
+ *   showAtomIndices: boolean,
+ *   explicitHydrogens: boolean,
+ *   colorScheme: 'color'|'monochrome',
+ *   bondLineWidth: number,
+ *   showCIPLabels: boolean,
+ * }}
+ */
+function getRenderingOptions() {
+  const config = vscode.workspace.getConfiguration('smiles');
+  return {
+    engine: config.get('renderingEngine', 'rdkit'),
+    showAtomIndices: config.get('rendering.showAtomIndices', false),
+    explicitHydrogens: config.get('rendering.explicitHydrogens', false),
+    colorScheme: config.get('rendering.colorScheme', 'color'),
+    bondLineWidth: config.get('rendering.bondLineWidth', 2),
+    showCIPLabels: config.get('rendering.showCIPLabels', true),
+  };
+}
+
+/**
+ * Translate rendering settings into generateSVG options
+ * @param {ReturnType<typeof getRenderingOptions>} options
+ * @returns {object}
+ */
+function getRDKitDrawOptions(options) {
+  return {
+    addStereoAnnotation: options.showCIPLabels,
+    addAtomIndices: options.showAtomIndices,
+    explicitHydrogens: options.explicitHydrogens,
+    monochrome: options.colorScheme === 'monochrome',
+    bondLineWidth: options.bondLineWidth,
+  };
+}
+
+/**
+ * Check whether a configuration change affects how molecules are drawn
+ * @param {vscode.ConfigurationChangeEvent} event
+ * @returns {boolean}
+ */
+function affectsRendering(event) {
+  return event.affectsConfiguration('smiles.renderingEngine')
+    || event.affectsConfiguration('smiles.rendering');
+}
+
+export { getRenderingOptions, getRDKitDrawOptions, affectsRendering };
@@ -7,148 +7,89 @@
 
 import * as vscode from 'vscode';
 import { validateRoundTrip } from 'smiles-js';
+import { findSmilesLiterals } from './javascriptMolecules';
+import { isEmbeddedDocument, findDocumentSmiles } from './embeddedDocuments';
+import { isReactionSmiles } from './reactionSmiles';
 
 /**
- * Check if a line contains a SMILES string
- * @param {string} line - Line of text
- * @returns {boolean}
- */
-function looksLikeSMILES(line) {
-  // SMILES patterns: contains typical SMILES characters and structure
-  const smilesPattern = /[CNOPSFClBrI[\]()=@#\\/+-]/;
-  const hasRingNumbers = /\d/;
-  const hasBonds = /[=#]/;
-
-  return smilesPattern.test(line) && (hasRingNumbers.test(line) || hasBonds.test(line));
-}
-
-/**
- * Extract SMILES strings from a line
- * @param {string} line - Line of text
- * @param {number} lineNumber - Line number (0-indexed)
- * @returns {Array<{smiles: string, start: number, end: number, line: number}>}
+ * Find the SMILES a document holds: the literals of a .smiles.js file, or the
+ * SMILES embedded in a file matched by smiles.embedded.documents. Reactions are
+ * left out, since smiles-js only parses molecules.
+ * @param {vscode.TextDocument} document
+ * @returns {Array<{smiles: string, start: number, end: number, escaped: boolean}>}
  */
-function extractSMILESFromLine(line, lineNumber) {
-  const smilesList = [];
-
-  // Pattern 1: String literals ('...' or "...")
-  const stringLiteralPattern = /(['"])(.*?)\1/g;
-  let match = stringLiteralPattern.exec(line);
-
-  while (match !== null) {
-    const potentialSMILES = match[2];
-    if (looksLikeSMILES(potentialSMILES)) {
-      smilesList.push({
-        smiles: potentialSMILES,
-        start: match.index + 1, // +1 to skip quote
-        end: match.index + match[0].length - 1, // -1 to skip closing quote
-        line: lineNumber,
-      });
-    }
-    match = stringLiteralPattern.exec(line);
+function findRoundTripSmiles(document) {
+  let found = [];
+  if (document.fileName.endsWith('.smiles.js')) {
+    found = findSmilesLiterals(document.getText())
+      .map(({ smiles, start, end }) => ({
+        smiles, start, end, escaped: true,
+      }));
+  } else if (isEmbeddedDocument(document)) {
+    found = findDocumentSmiles(document);
   }
-
-  // Pattern 2: SELFIES "smiles" field
-  const smilesFieldPattern = /smiles\s*:\s*(['"])(.*?)\1/g;
-  let match2 = smilesFieldPattern.exec(line);
-  while (match2 !== null) {
-    const smiles = match2[2];
-    const start = match2.index + match2[0].indexOf(match2[1]) + 1;
-    smilesList.push({
-      smiles,
-      start,
-      end: start + smiles.length,
-      line: lineNumber,
-    });
-    match2 = smilesFieldPattern.exec(line);
-  }
-
-  return smilesList;
+  return found.filter(({ smiles }) => !isReactionSmiles(smiles));
 }
 
 /**
- * Create round-trip validation diagnostics for a document
+ * Create round-trip validation diagnostics for the SMILES of a document
  * @param {vscode.TextDocument} document
  * @returns {vscode.Diagnostic[]}
  */
 function createRoundTripDiagnostics(document) {
   const diagnostics = [];
 
-  // Only check .smiles.js files and .selfies files
-  const isSmilesJS = document.fileName.endsWith('.smiles.js');
-  const isSelfies = document.languageId === 'selfies';
-  if (!isSmilesJS && !isSelfies) {
-    return diagnostics;
-  }
-
-  const text = document.getText();
-  const lines = text.split('\n');
-
-  for (let lineNumber = 0; lineNumber < lines.length; lineNumber += 1) {
-    const line = lines[lineNumber];
-
-    // Extract SMILES strings from this line
-    const smilesList = extractSMILESFromLine(line, lineNumber);
-
-    smilesList.forEach((smilesInfo) => {
-      const {
-        smiles, start, end, line: lineNum,
-      } = smilesInfo;
-      try {
-        // Validate round-trip
-        const result = validateRoundTrip(smiles);
-
-        if (!result.perfect) {
-          const range = new vscode.Range(
-            new vscode.Position(lineNum, start),
-            new vscode.Position(lineNum, end),
-          );
-
-          let message;
-          let severity;
-          let code;
-
-          if (result.stabilizes) {
-            // Warning: SMILES stabilizes on second parse
-            message = `SMILES round-trip: Stabilizes to "${result.firstRoundTrip}" (${smiles.length - result.firstRoundTrip.length} char difference)`;
-            severity = vscode.DiagnosticSeverity.Warning;
-            code = 'smiles-stabilizes';
-          } else {
-            // Error: SMILES doesn't stabilize
-            message = 'SMILES round-trip: Unstable after 2 parses. Please file a bug report.';
-            severity = vscode.DiagnosticSeverity.Error;
-            code = 'smiles-unstable';
-          }
-
-          const diagnostic = new vscode.Diagnostic(
-            range,
-            message,
-            severity,
-          );
-
-          diagnostic.source = 'smiles-js';
-          diagnostic.code = code;
-
-          // Add code action for stabilized SMILES
-          if (result.stabilizes) {
-            diagnostic.tags = [vscode.DiagnosticTag.Unnecessary]; // Make it less prominent
-            diagnostic.relatedInformation = [
-              new vscode.DiagnosticRelatedInformation(
-                new vscode.Location(document.uri, range),
-                `Use normalized form: ${result.firstRoundTrip}`,
-              ),
-            ];
-          }
+  findRoundTripSmiles(document).forEach(({ smiles, start, end }) => {
+    try {
+      // Validate round-trip
+      const result = validateRoundTrip(smiles);
+
+      if (!result.perfect) {
+        const range = new vscode.Range(document.positionAt(start), document.positionAt(end));
+
+        let message;
+        let severity;
+        let code;
+
+        if (result.stabilizes) {
+          // Warning: SMILES stabilizes on second parse
+          message = `SMILES round-trip: Stabilizes to "${result.firstRoundTrip}" (${smiles.length - result.firstRoundTrip.length} char difference)`;
+          severity = vscode.DiagnosticSeverity.Warning;
+          code = 'smiles-stabilizes';
+        } else {
+          // Error: SMILES doesn't stabilize
+          message = 'SMILES round-trip: Unstable after 2 parses. Please file a bug report.';
+          severity = vscode.DiagnosticSeverity.Error;
+          code = 'smiles-unstable';
+        }
 
-          diagnostics.push(diagnostic);
+        const diagnostic = new vscode.Diagnostic(
+          range,
+          message,
+          severity,
+        );
+
+        diagnostic.source = 'smiles-js';
+        diagnostic.code = code;
+
+        // Add code action for stabilized SMILES
+        if (result.stabilizes) {
+          diagnostic.tags = [vscode.DiagnosticTag.Unnecessary]; // Make it less prominent
+          diagnostic.relatedInformation = [
+            new vscode.DiagnosticRelatedInformation(
+              new vscode.Location(document.uri, range),
+              `Use normalized form: ${result.firstRoundTrip}`,
+            ),
+          ];
         }
-      } catch (err) {
-        // If parsing fails, don't add round-trip diagnostic
-        // (syntax errors will be caught by the main diagnostics provider)
-        // Skip this SMILES string
+
+        diagnostics.push(diagnostic);
       }
-    });
-  }
+    } catch (err) {
+      // If parsing fails, don't add round-trip diagnostic
+      // (syntax errors will be caught by the main diagnostics provider)
+    }
+  });
 
   return diagnostics;
 }
@@ -185,12 +126,10 @@ function createRoundTripDiagnosticsProvider() {
   // Update all currently open documents
   vscode.workspace.textDocuments.forEach(updateDiagnostics);
 
-  // Register code action provider for quick fixes
+  // Register code action provider for quick fixes; diagnostics are only
+  // reported for supported documents, so every file is accepted
   const codeActionProvider = vscode.languages.registerCodeActionsProvider(
-    [
-      { language: 'selfies' },
-      { language: 'javascript', pattern: '**/*.smiles.js' },
-    ],
+    { scheme: '*' },
     {
       provideCodeActions(document, range, context) {
         const codeActions = [];
@@ -208,7 +147,12 @@ function createRoundTripDiagnosticsProvider() {
               );
 
               fix.edit = new vscode.WorkspaceEdit();
-              fix.edit.replace(document.uri, diagnostic.range, normalized);
+              // Backslashes are escaped in string literals
+              const offset = document.offsetAt(diagnostic.range.start);
+              const { escaped } = findRoundTripSmiles(document)
+                .find(({ start }) => start === offset) || {};
+              const text = escaped ? normalized.replace(/\\/g, '\\\\') : normalized;
+              fix.edit.replace(document.uri, diagnostic.range, text);
 
               fix.diagnostics = [diagnostic];
               codeActions.push(fix);
@@ -0,0 +1,65 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { evaluateSmilesModule } from './sandboxEvaluator';
+
+/**
+ * Evaluate the current (possibly unsaved) contents of a .smiles.js document
+ * in the sandbox. Unsaved changes in other open JavaScript documents are
+ * passed along so relative imports see what the user sees.
+ * @param {vscode.TextDocument} document
+ * @param {object} options - Forwarded to evaluateSmilesModule
+ * @param {string} [options.text] - Source evaluated in place of the document's contents
+ * @returns {Promise<{fragments: object[], bindings: object[], error: object|null}>}
+ */
+function evaluateDocument(document, options = {}) {
+  const { text = document.getText(), ...evaluateOptions } = options;
+  const sources = {};
+  vscode.workspace.textDocuments
+    .filter((doc) => doc !== document && doc.isDirty && /\.m?js$/.test(doc.fileName))
+    .forEach((doc) => {
+      sources[path.resolve(doc.uri.fsPath)] = doc.getText();
+    });
+
+  return evaluateSmilesModule(text, path.resolve(document.uri.fsPath), {
+    ...evaluateOptions,
+    sources,
+  });
+}
+
+/**
+ * Format a sandbox error for display, prefixed with its location
+ * @param {{message: string, line: number|null, column: number|null}} error
+ * @returns {string}
+ */
+function formatEvaluationError(error) {
+  return error.line ? `Line ${error.line}:${error.column}: ${error.message}` : error.message;
+}
+
+/**
+ * Find the declared fragment whose declaration spans a line
+ * The innermost declaration wins; for destructuring, a name bound on the line is preferred.
+ * @param {object[]} bindings - Bindings from evaluateDocument
+ * @param {number} line - Line number (0-based)
+ * @param {Array<{names: Array<{name: string, line: number}>}>|null} declarations - From
+ *   findDeclarations, null if the source does not parse
+ * @returns {object|null}
+ */
+function findBindingAtLine(bindings, line, declarations) {
+  const candidates = bindings
+    .filter((binding) => line + 1 >= binding.line && line + 1 <= binding.endLine)
+    .sort((a, b) => (a.endLine - a.line) - (b.endLine - b.line));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const innermost = candidates.filter((binding) => binding.line === candidates[0].line
+    && binding.endLine === candidates[0].endLine);
+  const namesOnLine = new Set((declarations || [])
+    .flatMap(({ names }) => names)
+    .filter((name) => name.line === line)
+    .map(({ name }) => name));
+  return innermost.find((binding) => namesOnLine.has(binding.name)) || innermost[0];
+}
+
+export { evaluateDocument, formatEvaluationError, findBindingAtLine };
@@ -0,0 +1,339 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * Worker thread entry point that evaluates a .smiles.js module.
+ *
+ * The module runs in a fresh vm context that only exposes the smiles-js API
+ * through `import`; there is no require, process or filesystem access.
+ * Relative imports of other modules are read by the worker (or taken from
+ * the unsaved buffers passed in) before anything runs, and evaluated in the
+ * same context.
+ *
+ * No object of the worker's realm is ever put into the context: from any of
+ * them, `.constructor.constructor` is the worker's Function and reaches
+ * `process`. The module loader and smiles-js are compiled inside the context,
+ * and only source text and JSON cross between the two realms.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import * as vm from 'vm';
+import * as fs from 'fs';
+import * as path from 'path';
+import { transformModule } from './moduleTransform';
+
+// smiles-js bundled as a script defining `__smilesJs__`, built next to this worker
+const SMILES_JS_BUNDLE = path.join(__dirname, 'smilesJsSandbox.js');
+
+const MODULE_PREFIX = 'function (__import__, __export__, __exportAll__, __bind__) {\n';
+const MODULE_SUFFIX = '\n}';
+
+/**
+ * Turn an error into { message, filePath, line, column } (1-based)
+ * @param {{message: string, stack?: string, loc?: object, filePath?: string}} err - Error
+ *   of this realm, or the message and stack of one thrown inside the sandbox
+ */
+function describeError(err, knownFiles) {
+  const message = err?.message || String(err);
+
+  // acorn syntax errors carry their location
+  if (err?.loc && err.filePath) {
+    return {
+      message, filePath: err.filePath, line: err.loc.line, column: err.loc.column + 1,
+    };
+  }
+
+  // Runtime errors: first stack frame inside one of the evaluated files
+  const stack = err?.stack || '';
+  const location = knownFiles
+    .map((filePath) => {
+      const escaped = filePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // Prefer a stack frame (file:line:column) over the bare file:line header
+      const match = stack.match(new RegExp(`${escaped}:(\\d+):(\\d+)`))
+        || stack.match(new RegExp(`${escaped}:(\\d+)`));
+      return match && {
+        index: match.index,
+        filePath,
+        line: parseInt(match[1], 10),
+        column: match[2] ? parseInt(match[2], 10) : 1,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)[0];
+
+  return location ? {
+    message, filePath: location.filePath, line: location.line, column: location.column,
+  } : {
+    message, filePath: null, line: null, column: null,
+  };
+}
+
+/**
+ * Read the message and stack of an error that may belong to the context. Only
+ * their text is kept, so no method of the error is ever passed an object of
+ * this realm.
+ * @returns {{message: string, stack: string}}
+ */
+function readError(err) {
+  try {
+    return { message: String(err?.message || err), stack: String(err?.stack || '') };
+  } catch {
+    return { message: 'Evaluation failed', stack: '' };
+  }
+}
+
+/**
+ * Install the module loader of the sandbox as `__sandbox__`. This function is
+ * compiled inside the vm context from its source text, so everything it
+ * creates belongs to the sandbox; it must not use anything from this module.
+ * @param {object} global - The context's global object
+ */
+function installSandboxRuntime(global) {
+  // Taken before user code runs, which may replace them
+  const { stringify } = JSON;
+  const { assign, entries, create } = Object;
+  const toString = String;
+
+  const modules = create(null);
+  const records = create(null);
+
+  const isFragment = (value) => Boolean(value) && typeof value.smiles === 'string';
+
+  // Copy the data of a fragment, optionally with its toCode() output
+  const summarizeFragment = (name, value, withCode) => {
+    const fragment = {
+      name,
+      smiles: value.smiles,
+      formula: value.formula === null || value.formula === undefined
+        ? null
+        : toString(value.formula),
+      molecularWeight: typeof value.molecularWeight === 'number' ? value.molecularWeight : null,
+      code: null,
+    };
+
+    if (withCode && typeof value.toCode === 'function') {
+      try {
+        fragment.code = toString(value.toCode(name));
+      } catch (err) {
+        fragment.codeError = toString(err && err.message);
+      }
+    }
+
+    return fragment;
+  };
+
+  const load = (modulePath) => {
+    if (records[modulePath]) {
+      // Circular import: hand out the partially populated exports
+      return records[modulePath].exports;
+    }
+
+    const module = modules[modulePath];
+    if (module.error) {
+      throw new Error(module.error);
+    }
+
+    const record = { exports: {}, bindings: [], bound: create(null) };
+    records[modulePath] = record;
+
+    const importModule = (specifier) => {
+      if (specifier === 'smiles-js') {
+        if (!global.__smilesJs__) {
+          throw new Error("Cannot import 'smiles-js': it is not available in the sandbox");
+        }
+        return global.__smilesJs__;
+      }
+      if (!specifier.startsWith('.')) {
+        throw new Error(`Cannot import '${specifier}': only 'smiles-js' and relative imports are available`);
+      }
+      return load(module.imports[specifier]);
+    };
+
+    module.factory(
+      importModule,
+      (values) => assign(record.exports, values),
+      (values) => assign(record.exports, values),
+      (line, endLine, values) => {
+        // Declarations run again in loops and repeated calls; the first value is kept
+        entries(values).forEach(([name, value]) => {
+          const key = `${name}@${line}:${endLine}`;
+          if (!record.bound[key]) {
+            record.bound[key] = true;
+            record.bindings.push({
+              name, line, endLine, value,
+            });
+          }
+        });
+      },
+    );
+
+    return record.exports;
+  };
+
+  const describe = (err) => {
+    try {
+      return { message: toString((err && err.message) || err), stack: toString((err && err.stack) || '') };
+    } catch {
+      return { message: 'Evaluation failed', stack: '' };
+    }
+  };
+
+  // eslint-disable-next-line no-param-reassign
+  global.__sandbox__ = {
+    define(modulePath, imports, factory) {
+      modules[modulePath] = { imports, factory };
+    },
+    fail(modulePath, message) {
+      modules[modulePath] = { error: message };
+    },
+    // Evaluate a module and return its fragments as JSON
+    run(filePath, codeFor) {
+      let result;
+      try {
+        load(filePath);
+        const { exports: exportsObject, bindings } = records[filePath];
+        result = {
+          fragments: entries(exportsObject)
+            .filter(([, value]) => isFragment(value))
+            .map(([name, value]) => summarizeFragment(name, value, codeFor.includes(name))),
+          bindings: bindings
+            .filter(({ value }) => isFragment(value))
+            .map(({
+              name, line, endLine, value,
+            }) => ({
+              ...summarizeFragment(name, value, codeFor.includes(name)),
+              line,
+              endLine,
+            })),
+          error: null,
+        };
+      } catch (err) {
+        result = { fragments: [], bindings: [], error: describe(err) };
+      }
+      return stringify(result);
+    },
+  };
+}
+
+/**
+ * Read and transform a module and, recursively, the modules it imports
+ * @returns {Map<string, {code: string, lines: Map<string, number>,
+ *   imports: Object<string, string>}|{error: string}>} Modules by path; imports maps
+ *   relative specifiers to paths. Files that cannot be read have the error to throw
+ *   when imported.
+ * @throws {SyntaxError} acorn syntax error, with the filePath of the module
+ */
+function loadModuleGraph(filePath, source, sources) {
+  const modules = new Map();
+
+  const visit = (modulePath, moduleSource) => {
+    let transformed;
+    try {
+      transformed = transformModule(moduleSource);
+    } catch (err) {
+      err.filePath = modulePath;
+      throw err;
+    }
+
+    const module = {
+      code: transformed.code,
+      lines: new Map(transformed.exports.map(({ name, line }) => [name, line])),
+      imports: {},
+      usesSmilesJs: transformed.imports.includes('smiles-js'),
+    };
+    modules.set(modulePath, module);
+
+    transformed.imports
+      .filter((specifier) => specifier.startsWith('.'))
+      .forEach((specifier) => {
+        const importedPath = path.resolve(path.dirname(modulePath), specifier);
+        module.imports[specifier] = importedPath;
+        if (modules.has(importedPath)) {
+          return;
+        }
+
+        let importedSource;
+        try {
+          importedSource = sources[importedPath] ?? fs.readFileSync(importedPath, 'utf-8');
+        } catch (err) {
+          modules.set(importedPath, { error: err.message });
+          return;
+        }
+        visit(importedPath, importedSource);
+      });
+  };
+
+  visit(filePath, source);
+  return modules;
+}
+
+function evaluate({
+  source, filePath, sources = {}, timeout, codeFor = [],
+}) {
+  const failure = (error) => ({ fragments: [], bindings: [], error });
+
+  let modules;
+  try {
+    modules = loadModuleGraph(filePath, source, sources);
+  } catch (err) {
+    return failure(describeError(err, []));
+  }
+  const knownFiles = Array.from(modules.keys());
+
+  // A context made from a plain object would expose this realm's Object through
+  // `globalThis.constructor`
+  const context = vm.createContext(Object.create(null));
+  let output;
+  try {
+    vm.runInContext(`(${installSandboxRuntime})(globalThis);
+globalThis.console = { log() {}, warn() {}, error() {} };`, context);
+
+    if (Array.from(modules.values()).some(({ usesSmilesJs }) => usesSmilesJs)
+      && fs.existsSync(SMILES_JS_BUNDLE)) {
+      new vm.Script(fs.readFileSync(SMILES_JS_BUNDLE, 'utf-8'), { filename: SMILES_JS_BUNDLE })
+        .runInContext(context);
+    }
+
+    modules.forEach((module, modulePath) => {
+      const target = JSON.stringify(modulePath);
+      if (module.error) {
+        vm.runInContext(`__sandbox__.fail(${target}, ${JSON.stringify(module.error)});`, context);
+        return;
+      }
+      const script = new vm.Script(
+        `__sandbox__.define(${target}, ${JSON.stringify(module.imports)}, ${MODULE_PREFIX}${module.code}${MODULE_SUFFIX});`,
+        { filename: modulePath, lineOffset: -1 },
+      );
+      script.runInContext(context);
+    });
+
+    output = vm.runInContext(
+      `__sandbox__.run(${JSON.stringify(filePath)}, ${JSON.stringify(codeFor)});`,
+      context,
+      { timeout },
+    );
+  } catch (err) {
+    // Timeouts, and errors that escaped the sandbox's own handling
+    return failure(describeError(readError(err), knownFiles));
+  }
+
+  // Whatever the sandbox returns is only trusted as text
+  const result = typeof output === 'string' ? JSON.parse(output) : null;
+  if (!result) {
+    return failure(describeError({ message: 'Evaluation returned no result' }, knownFiles));
+  }
+  if (result.error) {
+    return failure(describeError(result.error, knownFiles));
+  }
+
+  const { lines } = modules.get(filePath);
+  return {
+    // Exported fragments
+    fragments: result.fragments.map((fragment) => ({
+      ...fragment,
+      line: lines.get(fragment.name) ?? null,
+    })),
+    // Every declared fragment, exported or not, with its declaration lines
+    bindings: result.bindings,
+    error: null,
+  };
+}
+
+parentPort.postMessage(evaluate(workerData));
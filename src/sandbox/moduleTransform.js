@@ -0,0 +1,294 @@
+import { parse } from 'acorn';
+
+/**
+ * Replace every character except newlines with a space so that
+ * line and column numbers of the surrounding code are unchanged
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Pad a replacement with the newlines of the code it replaces
+ */
+function keepLines(replacement, original) {
+  return replacement + '\n'.repeat((original.match(/\n/g) || []).length);
+}
+
+/**
+ * Collect the identifier nodes bound by a declaration pattern
+ * e.g. `{ a, b: [c, ...d] }` binds a, c and d
+ * @param {object} pattern - acorn pattern node
+ * @param {object[]} identifiers - Accumulator
+ * @returns {object[]} Identifier nodes
+ */
+function collectPatternIdentifiers(pattern, identifiers = []) {
+  switch (pattern.type) {
+    case 'Identifier':
+      identifiers.push(pattern);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach((property) => collectPatternIdentifiers(
+        property.type === 'RestElement' ? property.argument : property.value,
+        identifiers,
+      ));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.filter(Boolean)
+        .forEach((element) => collectPatternIdentifiers(element, identifiers));
+      break;
+    case 'RestElement':
+      collectPatternIdentifiers(pattern.argument, identifiers);
+      break;
+    case 'AssignmentPattern':
+      collectPatternIdentifiers(pattern.left, identifiers);
+      break;
+    default:
+      break;
+  }
+  return identifiers;
+}
+
+/**
+ * Collect the names bound by a declaration pattern
+ * @param {object} pattern - acorn pattern node
+ * @returns {string[]}
+ */
+function collectPatternNames(pattern) {
+  return collectPatternIdentifiers(pattern).map(({ name }) => name);
+}
+
+/**
+ * Get the names declared by an exported declaration
+ */
+function getDeclaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.flatMap((declarator) => collectPatternNames(declarator.id));
+  }
+  return declaration.id ? [declaration.id.name] : [];
+}
+
+/**
+ * Get the name of an import/export specifier (identifier or string literal)
+ */
+function specifierName(node) {
+  return node.type === 'Literal' ? node.value : node.name;
+}
+
+const STATEMENT_LIST_PARENTS = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase']);
+
+/**
+ * Visit every node of an acorn AST together with its parent
+ * @param {object} node - AST node
+ * @param {(node: object, parent: object|null) => void} visitor
+ * @param {object|null} parent
+ */
+function walk(node, visitor, parent = null) {
+  visitor(node, parent);
+  Object.values(node).forEach((value) => {
+    if (Array.isArray(value)) {
+      value
+        .filter((child) => child && typeof child.type === 'string')
+        .forEach((child) => walk(child, visitor, node));
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visitor, node);
+    }
+  });
+}
+
+/**
+ * Build `;__bind__(line, endLine, { a, b })` calls placed after every
+ * variable declaration statement, at any nesting depth, so the sandbox can
+ * report the value of each binding without the file exporting it
+ */
+function createBindingEdits(ast) {
+  const edits = [];
+  walk(ast, (node, parent) => {
+    if (node.type !== 'VariableDeclaration') {
+      return;
+    }
+
+    // `export const a = ...` is a statement through its ExportNamedDeclaration
+    const statement = parent?.type === 'ExportNamedDeclaration' ? parent : node;
+    const container = parent?.type === 'ExportNamedDeclaration' ? 'Program' : parent?.type;
+    if (!STATEMENT_LIST_PARENTS.has(container)) {
+      return;
+    }
+
+    const names = node.declarations.flatMap((declarator) => collectPatternNames(declarator.id));
+    if (names.length === 0) {
+      return;
+    }
+
+    edits.push({
+      start: statement.end,
+      end: statement.end,
+      text: `;__bind__(${node.loc.start.line}, ${node.loc.end.line}, { ${names.join(', ')} });`,
+    });
+  });
+  return edits;
+}
+
+/**
+ * Build `const { a, b: c } = __import__('x');` for an import declaration
+ */
+function createImportReplacement(node) {
+  const source = JSON.stringify(node.source.value);
+  const namespace = node.specifiers.find((spec) => spec.type === 'ImportNamespaceSpecifier');
+  if (namespace) {
+    return `const ${namespace.local.name} = __import__(${source});`;
+  }
+
+  if (node.specifiers.length === 0) {
+    return `__import__(${source});`;
+  }
+
+  const bindings = node.specifiers.map((spec) => {
+    const imported = spec.type === 'ImportDefaultSpecifier' ? 'default' : specifierName(spec.imported);
+    return `${JSON.stringify(imported)}: ${spec.local.name}`;
+  });
+  return `const { ${bindings.join(', ')} } = __import__(${source});`;
+}
+
+/**
+ * Rewrite an ES module into a script body that runs inside a function
+ * receiving `__import__`, `__export__`, `__exportAll__` and `__bind__`.
+ *
+ * Line numbers are preserved exactly: import and export syntax is replaced
+ * in place (padded with newlines), binding reports are appended to the line
+ * their declaration ends on, and the export object is assembled in code
+ * appended after the last line.
+ *
+ * @param {string} source - ES module source
+ * @returns {{code: string, exports: Array<{name: string, line: number}>, imports: string[]}}
+ *   imports lists the module specifiers the code passes to `__import__`
+ * @throws {SyntaxError} acorn syntax error with `loc` ({ line, column })
+ */
+function transformModule(source) {
+  const ast = parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+
+  const edits = createBindingEdits(ast);
+  const exports = [];
+  const exportValues = [];
+  const imports = new Set();
+  let reexportCount = 0;
+  let hasDefault = false;
+
+  const addExport = (name, value, node) => {
+    exports.push({ name, line: node.loc.start.line });
+    exportValues.push(`${JSON.stringify(name)}: ${value}`);
+  };
+
+  ast.body.forEach((node) => {
+    const original = source.slice(node.start, node.end);
+    if (node.source) {
+      imports.add(node.source.value);
+    }
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+        edits.push({
+          start: node.start,
+          end: node.end,
+          text: keepLines(createImportReplacement(node), original),
+        });
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          // export const a = ... -> const a = ...
+          edits.push({
+            start: node.start,
+            end: node.declaration.start,
+            text: blank(source.slice(node.start, node.declaration.start)),
+          });
+          getDeclaredNames(node.declaration).forEach((name) => addExport(name, name, node));
+        } else if (node.source) {
+          // export { a, b as c } from './x'
+          reexportCount += 1;
+          const local = `__reexport${reexportCount}__`;
+          edits.push({
+            start: node.start,
+            end: node.end,
+            text: keepLines(`const ${local} = __import__(${JSON.stringify(node.source.value)});`, original),
+          });
+          node.specifiers.forEach((spec) => addExport(
+            specifierName(spec.exported),
+            `${local}[${JSON.stringify(specifierName(spec.local))}]`,
+            node,
+          ));
+        } else {
+          // export { a, b as c }
+          edits.push({ start: node.start, end: node.end, text: blank(original) });
+          node.specifiers.forEach((spec) => addExport(
+            specifierName(spec.exported),
+            specifierName(spec.local),
+            node,
+          ));
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        if (node.declaration.id) {
+          // export default function name() {} -> function name() {}
+          edits.push({
+            start: node.start,
+            end: node.declaration.start,
+            text: blank(source.slice(node.start, node.declaration.start)),
+          });
+          addExport('default', node.declaration.id.name, node);
+        } else {
+          // export default <expression> -> __default__ = <expression>
+          hasDefault = true;
+          edits.push({
+            start: node.start,
+            end: node.declaration.start,
+            text: '__default__ = '.padEnd(node.declaration.start - node.start),
+          });
+          addExport('default', '__default__', node);
+        }
+        break;
+
+      case 'ExportAllDeclaration': {
+        const imported = `__import__(${JSON.stringify(node.source.value)})`;
+        if (node.exported) {
+          // export * as ns from './x'
+          reexportCount += 1;
+          const local = `__reexport${reexportCount}__`;
+          edits.push({
+            start: node.start,
+            end: node.end,
+            text: keepLines(`const ${local} = ${imported};`, original),
+          });
+          addExport(specifierName(node.exported), local, node);
+        } else {
+          edits.push({
+            start: node.start,
+            end: node.end,
+            text: keepLines(`__exportAll__(${imported});`, original),
+          });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  let code = edits
+    // Apply from the end; an insertion must not be applied before a replacement starting there
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), source);
+
+  code += `\n;__export__({ ${exportValues.join(', ')} });`;
+  if (hasDefault) {
+    code += '\nvar __default__;';
+  }
+
+  return { code, exports, imports: Array.from(imports) };
+}
+
+export {
+  transformModule, collectPatternIdentifiers, collectPatternNames, walk,
+};
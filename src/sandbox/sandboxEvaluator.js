@@ -0,0 +1,86 @@
+import { Worker } from 'worker_threads';
+import * as path from 'path';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const MEMORY_LIMIT_MB = 128;
+
+/**
+ * Evaluate a .smiles.js module in an isolated worker thread
+ *
+ * The worker is killed if it runs longer than the timeout or exceeds the
+ * memory limit, so user code can never hang or crash the extension host.
+ *
+ * @param {string} source - Module source (may be unsaved buffer contents)
+ * @param {string} filePath - Absolute path, used for relative imports and error locations
+ * @param {object} options
+ * @param {Object<string, string>} options.sources - Unsaved sources of other modules by path
+ * @param {number} options.timeout - Time limit in milliseconds
+ * @param {string[]} options.codeFor - Binding names to also generate toCode() output for
+ * @param {AbortSignal} [options.signal] - Terminates the worker when aborted
+ * @returns {Promise<{fragments: object[], bindings: object[], error: object|null,
+ *   cancelled?: boolean}>}
+ *   fragments: exported fragments [{ name, line, smiles, formula, molecularWeight, code }]
+ *   bindings: every declared fragment at any depth, with `line` and `endLine` of its declaration
+ *   error: { message, filePath, line, column } with 1-based line/column, or null
+ *   cancelled: true if the signal aborted the evaluation, which then has no results
+ */
+function evaluateSmilesModule(source, filePath, options = {}) {
+  const {
+    sources = {},
+    timeout = DEFAULT_TIMEOUT_MS,
+    codeFor = [],
+    signal = null,
+  } = options;
+
+  const cancelled = {
+    fragments: [], bindings: [], error: null, cancelled: true,
+  };
+  if (signal?.aborted) {
+    return Promise.resolve(cancelled);
+  }
+
+  return new Promise((resolve) => {
+    const worker = new Worker(path.join(__dirname, 'evaluatorWorker.js'), {
+      workerData: {
+        source, filePath, sources, timeout, codeFor,
+      },
+      resourceLimits: { maxOldGenerationSizeMb: MEMORY_LIMIT_MB },
+      stdout: true,
+      stderr: true,
+    });
+
+    let settled = false;
+    let timer = null;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+
+    const fail = (message) => finish({
+      fragments: [],
+      bindings: [],
+      error: {
+        message, filePath, line: null, column: null,
+      },
+    });
+
+    // Backstop for code the vm timeout cannot interrupt (e.g. during startup)
+    timer = setTimeout(() => {
+      fail(`Evaluation timed out after ${timeout} ms`);
+    }, timeout * 2);
+
+    worker.once('message', finish);
+    worker.once('error', (err) => {
+      fail(err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Evaluation exceeded the ${MEMORY_LIMIT_MB} MB memory limit`
+        : err.message);
+    });
+    worker.once('exit', () => fail('Evaluation worker exited unexpectedly'));
+    signal?.addEventListener('abort', () => finish(cancelled), { once: true });
+  });
+}
+
+export { evaluateSmilesModule };
@@ -0,0 +1,85 @@
+/**
+ * Rewrite SMILES strings and SELFIES definition blocks for the document formatter
+ */
+
+import { initRDKit } from './rdkitRenderer';
+
+const DEFINITION_PATTERN = /^(\s*)(\[[^\]]+\])\s*=\s*(.*)$/;
+
+/**
+ * Whether a SMILES writes aromatic atoms in lowercase
+ */
+function hasAromaticAtoms(smiles) {
+  // Drop the lowercase letters of two-letter element symbols first
+  const atoms = smiles.replace(/Cl|Br/g, '').replace(/\[([A-Z][a-z]?)/g, '[');
+  return /[bcnops]/.test(atoms);
+}
+
+/**
+ * Rewrite a SMILES string
+ * @param {string} smiles
+ * @param {object} options
+ * @param {boolean} [options.canonical=true] - Reorder atoms into RDKit canonical order
+ * @param {'preserve'|'kekulized'|'aromatic'} [options.aromaticity='preserve']
+ * @param {'preserve'|'implicit'|'explicit'} [options.hydrogens='preserve']
+ * @returns {Promise<string>} The rewritten SMILES, or the input if RDKit cannot parse it
+ */
+async function formatSMILES(smiles, {
+  canonical = true,
+  aromaticity = 'preserve',
+  hydrogens = 'preserve',
+} = {}) {
+  if (!canonical && aromaticity === 'preserve' && hydrogens === 'preserve') {
+    return smiles;
+  }
+
+  const RDKit = await initRDKit();
+  const mol = hydrogens === 'preserve'
+    ? RDKit.get_mol(smiles, JSON.stringify({ removeHs: false }))
+    : RDKit.get_mol(smiles);
+  if (!mol) {
+    return smiles;
+  }
+
+  try {
+    if (hydrogens === 'explicit') {
+      mol.add_hs_in_place();
+    }
+    const kekulize = aromaticity === 'kekulized'
+      || (aromaticity === 'preserve' && !hasAromaticAtoms(smiles));
+    return mol.get_smiles(JSON.stringify({ canonical, doKekule: kekulize })) || smiles;
+  } finally {
+    mol.delete();
+  }
+}
+
+/**
+ * Align the "=" of consecutive SELFIES definition lines
+ * @param {string[]} lines
+ * @returns {string[]} Lines with each block's names padded to the longest name
+ */
+function alignDefinitions(lines) {
+  const matches = lines.map((line) => DEFINITION_PATTERN.exec(line));
+
+  return lines.map((line, index) => {
+    const match = matches[index];
+    if (!match) {
+      return line;
+    }
+
+    let first = index;
+    while (first > 0 && matches[first - 1]) {
+      first -= 1;
+    }
+    let last = index;
+    while (last < lines.length - 1 && matches[last + 1]) {
+      last += 1;
+    }
+    const width = Math.max(...matches.slice(first, last + 1).map((block) => block[2].length));
+
+    const [, indent, name, body] = match;
+    return `${indent}${name.padEnd(width)} = ${body}`;
+  });
+}
+
+export { formatSMILES, alignDefinitions };
@@ -0,0 +1,351 @@
+import * as vscode from 'vscode';
+import { findConstructorCallAt, findOpenConstructorCall } from './constructorCalls';
+import { evaluateConstructorCall, evaluateConstructorExpression } from './smilesJsHover';
+
+const SMILES_JS_SELECTOR = { language: 'javascript', pattern: '**/*.smiles.js' };
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 160;
+const POSITION_HIGHLIGHT = '#ff7f0e';
+const MAX_CACHED_EVALUATIONS = 100;
+
+const ATOMS = {
+  c: 'Aromatic carbon',
+  C: 'Carbon',
+  n: 'Aromatic nitrogen',
+  N: 'Nitrogen',
+  o: 'Aromatic oxygen',
+  O: 'Oxygen',
+  s: 'Aromatic sulfur',
+  S: 'Sulfur',
+};
+
+const BONDS = {
+  '-': 'Single bond',
+  '=': 'Double bond',
+  '#': 'Triple bond',
+};
+
+// Positions count from 1 at the first ring atom
+const RING_OPTIONS = [
+  {
+    name: 'atoms',
+    documentation: "Atom repeated around the ring, such as `'c'` for aromatic carbon",
+    values: 'atoms',
+  },
+  { name: 'size', documentation: 'Number of ring atoms', values: 'sizes' },
+  { name: 'ringNumber', documentation: 'Ring closure digit written in the SMILES' },
+  { name: 'offset', documentation: 'Position of the previous ring this one is fused at, in a `FusedRing`' },
+  {
+    name: 'substitutions',
+    documentation: "Atoms replacing ring atoms, by position: `{ 2: 'n' }`",
+    positions: true,
+  },
+  {
+    name: 'attachments',
+    documentation: 'Fragments attached to ring atoms, by position: `{ 1: [methyl] }`',
+    positions: true,
+  },
+];
+
+const SIGNATURES = {
+  Fragment: {
+    documentation: 'Fragment written as SMILES',
+    parameters: [{ label: 'smiles', documentation: "SMILES string, such as `'CC(=O)O'`" }],
+  },
+  Ring: {
+    documentation: 'Ring of `size` atoms. Positions count from 1 at the first atom.',
+    options: RING_OPTIONS,
+  },
+  Linear: {
+    documentation: 'Chain of atoms',
+    parameters: [
+      { label: 'atoms', documentation: "Atoms in order, such as `['C', 'C', 'O']`" },
+      { label: 'bonds', documentation: "Optional bonds between consecutive atoms: `'-'`, `'='` or `'#'`" },
+    ],
+  },
+  FusedRing: {
+    documentation: 'Rings sharing bonds',
+    parameters: [{ label: 'rings', documentation: 'Rings to fuse, each placed by its `offset`' }],
+  },
+  Molecule: {
+    documentation: 'Components joined in order',
+    parameters: [{ label: 'components', documentation: 'Fragments, rings and chains' }],
+  },
+};
+
+const CLOSING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Build the signature of a constructor. Ring takes an options object, so each
+ * option is shown as a parameter.
+ */
+function createSignature(name) {
+  const { documentation, options } = SIGNATURES[name];
+  const parameters = options
+    ? options.map((option) => ({ label: option.name, documentation: option.documentation }))
+    : SIGNATURES[name].parameters;
+  const names = parameters.map((parameter) => parameter.label).join(', ');
+  const label = options ? `${name}({ ${names} })` : `${name}(${names})`;
+
+  const signature = new vscode.SignatureInformation(
+    label,
+    new vscode.MarkdownString(documentation),
+  );
+  let searchFrom = name.length;
+  signature.parameters = parameters.map((parameter) => {
+    const start = label.indexOf(parameter.label, searchFrom);
+    searchFrom = start + parameter.label.length;
+    return new vscode.ParameterInformation(
+      [start, searchFrom],
+      new vscode.MarkdownString(parameter.documentation),
+    );
+  });
+  return signature;
+}
+
+/**
+ * The call as written so far: the whole call once it is closed, otherwise
+ * the text up to the cursor with its brackets closed
+ * @returns {{expression: string, end: number|null}} `end` of the call once it is closed
+ */
+function getPartialExpression(text, offset, call) {
+  const complete = findConstructorCallAt(text, offset);
+  if (complete && complete.start === call.start) {
+    return { expression: complete.text, end: complete.end };
+  }
+
+  // Drop a trailing comma or a property still waiting for its value
+  const written = text.slice(call.start, call.string ? call.string.start : offset)
+    .replace(/,?\s*(['"]?[\w$]+['"]?\s*:\s*)?$/, '');
+  const closing = call.nesting.map(({ bracket }) => CLOSING_BRACKETS[bracket]).reverse().join('');
+  return { expression: `${written}${closing})`, end: null };
+}
+
+/**
+ * Read the atoms and size of the ring being written
+ * @returns {{atoms: string, size: number}|null}
+ */
+function getRingShape(text, offset, call) {
+  const complete = findConstructorCallAt(text, offset);
+  const ringText = complete && complete.start === call.start
+    ? complete.text
+    : text.slice(call.start, offset);
+  const size = /\bsize\s*:\s*(\d+)/.exec(ringText);
+  const atoms = /\batoms\s*:\s*(['"])([A-Za-z]+)\1/.exec(ringText);
+  return size ? { atoms: atoms ? atoms[2] : 'C', size: Number(size[1]) } : null;
+}
+
+/**
+ * Suggest string values, quoted unless the cursor is already in a string
+ * @param {Record<string, string>} values - Descriptions by value
+ */
+function createStringItems(values, call) {
+  return Object.entries(values).map(([value, description]) => {
+    const item = new vscode.CompletionItem(value, vscode.CompletionItemKind.Value);
+    item.detail = description;
+    if (!call.string) {
+      item.insertText = `'${value}'`;
+    }
+    return item;
+  });
+}
+
+/**
+ * Suggest what can be written at the cursor inside a constructor call
+ * @returns {vscode.CompletionItem[]}
+ */
+function createCompletionItems(text, offset, call) {
+  const [options, positions] = call.nesting;
+  const depth = call.nesting.length;
+
+  if (call.name === 'Linear' && depth === 1 && options.bracket === '[') {
+    return createStringItems(call.argumentIndex === 0 ? ATOMS : BONDS, call);
+  }
+
+  if (call.name !== 'Ring' || call.argumentIndex !== 0 || options?.bracket !== '{') {
+    return [];
+  }
+
+  if (depth === 1 && options.key === null && !call.string) {
+    return RING_OPTIONS
+      .filter(({ name }) => !options.keys.includes(name))
+      .map(({ name, documentation }, index) => {
+        const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Property);
+        item.insertText = `${name}: `;
+        item.documentation = new vscode.MarkdownString(documentation);
+        item.sortText = String(index);
+        item.command = { command: 'editor.action.triggerSuggest', title: 'Suggest values' };
+        return item;
+      });
+  }
+
+  if (depth === 1) {
+    const option = RING_OPTIONS.find(({ name }) => name === options.key);
+    if (option?.values === 'atoms') {
+      return createStringItems(ATOMS, call);
+    }
+    if (option?.values === 'sizes' && !call.string) {
+      return ['3', '4', '5', '6', '7', '8'].map((size) => {
+        const item = new vscode.CompletionItem(size, vscode.CompletionItemKind.Constant);
+        item.detail = `${size}-membered ring`;
+        return item;
+      });
+    }
+    return [];
+  }
+
+  const positionsOption = RING_OPTIONS.find(({ name }) => name === positions.parentKey);
+  if (depth !== 2 || positions.bracket !== '{' || !positionsOption?.positions) {
+    return [];
+  }
+  if (positions.key !== null) {
+    return positions.parentKey === 'substitutions' ? createStringItems(ATOMS, call) : [];
+  }
+
+  const shape = getRingShape(text, offset, call);
+  if (!shape || call.string) {
+    return [];
+  }
+  return Array.from({ length: shape.size }, (_, index) => String(index + 1))
+    .filter((position) => !positions.keys.includes(position))
+    .map((position, index) => {
+      const item = new vscode.CompletionItem(position, vscode.CompletionItemKind.EnumMember);
+      item.insertText = `${position}: `;
+      item.detail = `Ring atom ${position} of ${shape.size}`;
+      item.sortText = String(index).padStart(2, '0');
+      item.ringPosition = { ...shape, position: Number(position) };
+      if (positions.parentKey === 'substitutions') {
+        item.command = { command: 'editor.action.triggerSuggest', title: 'Suggest atoms' };
+      }
+      return item;
+    });
+}
+
+/**
+ * Create completion and signature help for the option objects and arguments
+ * of smiles-js constructors, with drawings of the fragment being written and
+ * of the ring atom each position refers to
+ * @param {import('./thumbnails').ThumbnailCache} thumbnails
+ * @returns {vscode.Disposable}
+ */
+function createSmilesJsCompletionProvider(thumbnails) {
+  // Sandbox evaluations by expression, or by document version for calls
+  // evaluated in their module, so retyping does not re-evaluate
+  const evaluations = new Map();
+
+  const cached = (key, run) => {
+    if (!evaluations.has(key)) {
+      if (evaluations.size >= MAX_CACHED_EVALUATIONS) {
+        evaluations.clear();
+      }
+      evaluations.set(key, run().catch(() => null));
+    }
+    return evaluations.get(key);
+  };
+
+  const evaluate = (expression, filePath) => cached(
+    expression,
+    () => evaluateConstructorExpression(expression, filePath),
+  );
+
+  const evaluateInModule = (document, call) => cached(
+    `${document.uri.toString()}@${document.version}:${call.start}`,
+    () => evaluateConstructorCall(document, call),
+  );
+
+  const getThumbnail = async (expression, filePath, highlights) => {
+    const fragment = await evaluate(expression, filePath);
+    return fragment?.smiles
+      ? thumbnails.getImage(fragment.smiles, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, highlights)
+      : null;
+  };
+
+  const completionProvider = vscode.languages.registerCompletionItemProvider(SMILES_JS_SELECTOR, {
+    provideCompletionItems(document, position) {
+      const text = document.getText();
+      const offset = document.offsetAt(position);
+      const call = findOpenConstructorCall(text, offset);
+      if (!call) {
+        return undefined;
+      }
+      const items = createCompletionItems(text, offset, call);
+      items.forEach((item) => {
+        // eslint-disable-next-line no-param-reassign
+        item.filePath = document.uri.fsPath;
+      });
+      return items;
+    },
+
+    async resolveCompletionItem(item) {
+      if (!item.ringPosition) {
+        return item;
+      }
+
+      const { atoms, size, position } = item.ringPosition;
+      const image = await getThumbnail(
+        `Ring({ atoms: '${atoms}', size: ${size} })`,
+        item.filePath,
+        [{ atoms: [position - 1], color: POSITION_HIGHLIGHT }],
+      );
+      const markdown = new vscode.MarkdownString(`Position ${position} is highlighted`);
+      if (image) {
+        markdown.appendMarkdown(`\n\n![position ${position}](${image.toString()})`);
+      }
+      // eslint-disable-next-line no-param-reassign
+      item.documentation = markdown;
+      return item;
+    },
+  }, '{', ',', ':', '\'', '"', '[');
+
+  const signatureHelpProvider = vscode.languages.registerSignatureHelpProvider(
+    SMILES_JS_SELECTOR,
+    {
+      async provideSignatureHelp(document, position) {
+        const text = document.getText();
+        const offset = document.offsetAt(position);
+        const call = findOpenConstructorCall(text, offset);
+        if (!call) {
+          return null;
+        }
+
+        const signature = createSignature(call.name);
+        const { options } = SIGNATURES[call.name];
+        const [object] = call.nesting;
+        let activeParameter = call.argumentIndex;
+        if (options) {
+          const key = object?.bracket === '{' && call.argumentIndex === 0 ? object.key : null;
+          const index = options.findIndex(({ name }) => name === key);
+          activeParameter = index === -1 ? options.length : index;
+        }
+
+        // A closed call is evaluated in the module, where its local bindings exist
+        const { expression, end } = getPartialExpression(text, offset, call);
+        const fragment = end === null
+          ? await evaluate(expression, document.uri.fsPath)
+          : await evaluateInModule(document, { start: call.start, end });
+        const image = fragment?.smiles
+          ? await thumbnails.getImage(fragment.smiles, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, [])
+          : null;
+        if (image) {
+          signature.documentation.appendMarkdown(`\n\n![${call.name}](${image.toString()})`);
+        }
+
+        const help = new vscode.SignatureHelp();
+        help.signatures = [signature];
+        help.activeSignature = 0;
+        help.activeParameter = activeParameter;
+        return help;
+      },
+    },
+    { triggerCharacters: ['(', '{'], retriggerCharacters: [',', ':'] },
+  );
+
+  return {
+    dispose: () => {
+      completionProvider.dispose();
+      signatureHelpProvider.dispose();
+    },
+  };
+}
+
+export { createSmilesJsCompletionProvider };
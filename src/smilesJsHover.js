@@ -0,0 +1,145 @@
+import * as vscode from 'vscode';
+import { findConstructorCallAt } from './constructorCalls';
+import { generateSVG, getCanonicalSMILES } from './rdkitRenderer';
+import { evaluateSmilesModule } from './sandbox/sandboxEvaluator';
+import { evaluateDocument, formatEvaluationError } from './sandbox/evaluateDocument';
+import { getRenderingOptions, getRDKitDrawOptions } from './renderingOptions';
+
+// Name the evaluated call is reported under
+const HOVERED_BINDING = '__hovered__';
+
+/**
+ * Evaluate a single constructor expression in the sandbox
+ * @param {string} expression - e.g. "Ring({ atoms: 'c', size: 6 })"
+ * @param {string} filePath - File the expression comes from
+ * @returns {Promise<object>} The resulting fragment data
+ */
+async function evaluateConstructorExpression(expression, filePath) {
+  const source = [
+    "import * as smilesJs from 'smiles-js';",
+    'const { Fragment, Ring, Linear, FusedRing, Molecule } = smilesJs;',
+    `export const hovered = (${expression});`,
+  ].join('\n');
+
+  const { fragments, error } = await evaluateSmilesModule(source, filePath);
+  if (error) {
+    throw new Error(error.message);
+  }
+  return fragments[0];
+}
+
+/**
+ * Evaluate a constructor expression where a call stands in a document, so it
+ * sees the module's imports and local bindings. The call is replaced by the
+ * expression, wrapped to report its value, so lines above it keep their numbers.
+ * Calls the module never reaches are evaluated on their own.
+ * @param {vscode.TextDocument} document
+ * @param {{start: number, end: number}} call - Offsets of the call in the document
+ * @param {string} [expression] - Evaluated in place of the call, defaults to its text
+ * @returns {Promise<object>} The resulting fragment data
+ */
+async function evaluateConstructorCall(document, call, expression) {
+  const text = document.getText();
+  const capture = `((value) => (__bind__(0, 0, { ${HOVERED_BINDING}: value }), value))`;
+  const inScope = expression ?? text.slice(call.start, call.end);
+  const { bindings, error } = await evaluateDocument(document, {
+    text: `${text.slice(0, call.start)}${capture}(${inScope})${text.slice(call.end)}`,
+  });
+
+  const hovered = bindings.filter(({ name }) => name === HOVERED_BINDING).pop();
+  if (hovered) {
+    return hovered;
+  }
+
+  // Self-contained calls still preview when the rest of the module fails
+  try {
+    return await evaluateConstructorExpression(inScope, document.uri.fsPath);
+  } catch (err) {
+    if (error) {
+      throw new Error(formatEvaluationError(error));
+    }
+    throw err;
+  }
+}
+
+/**
+ * Build the hover card for a fragment
+ * @param {string} title - Shown in bold above the drawing
+ * @param {{smiles: string, formula?: string, molecularWeight?: number}} fragment
+ * @returns {Promise<vscode.MarkdownString>}
+ */
+async function createHoverContent(title, fragment) {
+  const markdown = new vscode.MarkdownString();
+  markdown.appendMarkdown(`**${title}**\n\n`);
+
+  try {
+    // Hovers can only show images, so thumbnails are always drawn by RDKit
+    const svg = await generateSVG(fragment.smiles, {
+      width: 240,
+      height: 160,
+      ...getRDKitDrawOptions(getRenderingOptions()),
+    });
+    const dataUri = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+    markdown.appendMarkdown(`![structure](${dataUri})\n\n`);
+  } catch {
+    // No thumbnail for molecules RDKit cannot render
+  }
+
+  if (fragment.formula) {
+    markdown.appendMarkdown(`Formula: ${fragment.formula}\n\n`);
+  }
+  if (fragment.molecularWeight !== null && fragment.molecularWeight !== undefined) {
+    markdown.appendMarkdown(`MW: ${fragment.molecularWeight.toFixed(2)} g/mol\n\n`);
+  }
+
+  const canonical = await getCanonicalSMILES(fragment.smiles);
+  markdown.appendMarkdown(`SMILES: \`${fragment.smiles}\``);
+  if (canonical && canonical !== fragment.smiles) {
+    markdown.appendMarkdown(`\n\nCanonical SMILES: \`${canonical}\``);
+  }
+
+  return markdown;
+}
+
+/**
+ * Create a hover provider showing structures for smiles-js constructor calls
+ * @returns {vscode.Disposable}
+ */
+function createSmilesJsHoverProvider() {
+  return vscode.languages.registerHoverProvider(
+    { language: 'javascript', pattern: '**/*.smiles.js' },
+    {
+      async provideHover(document, position) {
+        const call = findConstructorCallAt(document.getText(), document.offsetAt(position));
+        if (!call) {
+          return null;
+        }
+
+        const range = new vscode.Range(
+          document.positionAt(call.start),
+          document.positionAt(call.end),
+        );
+
+        let fragment;
+        try {
+          fragment = await evaluateConstructorCall(document, call);
+        } catch (err) {
+          return new vscode.Hover(`Cannot preview ${call.name}(...): ${err.message}`, range);
+        }
+
+        if (!fragment || !fragment.smiles) {
+          return null;
+        }
+
+        return new vscode.Hover(await createHoverContent(call.name, fragment), range);
+      },
+    },
+  );
+}
+
+export {
+  createSmilesJsHoverProvider,
+  createHoverContent,
+  evaluateConstructorExpression,
+  evaluateConstructorCall,
+};
@@ -0,0 +1,185 @@
+/**
+ * Chemistry validation of SMILES strings with RDKit sanitization.
+ *
+ * RDKit only says what went wrong in its log, so the log is captured while
+ * a molecule is built and its messages are classified into checks. Problems
+ * are then located in the SMILES text by scanning it.
+ */
+
+import { initRDKit } from './rdkitRenderer';
+
+// Organic subset atoms, aromatic atoms, wildcards and bracket atoms, in order of appearance
+const ATOM_PATTERN = /\[[^\]]*\]|Br|Cl|[BCNOPSFI]|[bcnops]|\*/g;
+
+let logCapture = null;
+
+/**
+ * Find the position of every atom in a SMILES string.
+ * RDKit numbers atoms in the order they are written.
+ * @param {string} smiles
+ * @returns {Array<{start: number, end: number}>}
+ */
+function getAtomOffsets(smiles) {
+  return Array.from(smiles.matchAll(ATOM_PATTERN), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Find ring bond labels that are opened but never closed
+ * @param {string} smiles
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findUnclosedRings(smiles) {
+  const open = new Map();
+  const pattern = /\[[^\]]*\]|%\d{2}|\d/g;
+  let match = pattern.exec(smiles);
+
+  while (match) {
+    const label = match[0];
+    if (!label.startsWith('[')) {
+      if (open.has(label)) {
+        open.delete(label);
+      } else {
+        open.set(label, { start: match.index, end: match.index + label.length });
+      }
+    }
+    match = pattern.exec(smiles);
+  }
+
+  return Array.from(open.values());
+}
+
+/**
+ * Find parentheses without a partner
+ * @param {string} smiles
+ * @returns {Array<{start: number, end: number, open: boolean}>}
+ */
+function findUnmatchedBranches(smiles) {
+  const unmatched = [];
+  const open = [];
+  let inBracket = false;
+
+  Array.from(smiles).forEach((char, index) => {
+    if (char === '[' || char === ']') {
+      inBracket = char === '[';
+    } else if (!inBracket && char === '(') {
+      open.push(index);
+    } else if (!inBracket && char === ')') {
+      if (open.length > 0) {
+        open.pop();
+      } else {
+        unmatched.push({ start: index, end: index + 1, open: false });
+      }
+    }
+  });
+
+  return unmatched.concat(open.map((index) => ({ start: index, end: index + 1, open: true })));
+}
+
+/**
+ * Span the given atoms of a SMILES string
+ * @returns {{start: number, end: number}}
+ */
+function spanAtoms(smiles, atoms) {
+  const offsets = getAtomOffsets(smiles);
+  const spans = atoms.map((atom) => offsets[atom]).filter(Boolean);
+  if (spans.length === 0) {
+    return { start: 0, end: smiles.length };
+  }
+  return {
+    start: Math.min(...spans.map(({ start }) => start)),
+    end: Math.max(...spans.map(({ end }) => end)),
+  };
+}
+
+/**
+ * Turn the RDKit log of a failed molecule into located problems
+ * @param {string} smiles
+ * @param {string} log - Captured RDKit log
+ * @returns {object[]} See validateSMILES
+ */
+function classifyLog(smiles, log) {
+  const valence = log.match(/valence for atom # (\d+) (\w+), (\d+), is greater than permitted/);
+  if (valence) {
+    const atoms = [parseInt(valence[1], 10)];
+    return [{
+      check: 'valence',
+      message: `Valence violation: ${valence[2]} atom has ${valence[3]} bonds, more than permitted`,
+      atoms,
+      ...spanAtoms(smiles, atoms),
+    }];
+  }
+
+  const kekulize = log.match(/Can't kekulize mol\.\s+Unkekulized atoms:([\d ]+)/);
+  if (kekulize) {
+    const atoms = kekulize[1].trim().split(/\s+/).map(Number);
+    return [{
+      check: 'kekulization',
+      message: `Cannot kekulize aromatic system: no valid alternation of single and double bonds for ${atoms.length} atoms`,
+      atoms,
+      ...spanAtoms(smiles, atoms),
+    }];
+  }
+
+  if (/unclosed ring/.test(log)) {
+    return findUnclosedRings(smiles).map((range) => ({
+      check: 'unclosedRing',
+      message: `Unclosed ring: ring bond ${smiles.slice(range.start, range.end)} is never closed`,
+      atoms: [],
+      ...range,
+    }));
+  }
+
+  if (/extra (open|close) parentheses/.test(log)) {
+    return findUnmatchedBranches(smiles).map(({ open, ...range }) => ({
+      check: 'unmatchedBranch',
+      message: open ? 'Unmatched branch: "(" is never closed' : 'Unmatched branch: ")" has no opening "("',
+      atoms: [],
+      ...range,
+    }));
+  }
+
+  // Any other parse error; RDKit gives a 1-based position for syntax errors
+  const reason = log.match(/SMILES Parse Error: (.+?)(?: while parsing| for input|\n|$)/);
+  const position = log.match(/around position (\d+)/);
+  const start = position ? parseInt(position[1], 10) - 1 : 0;
+  return [{
+    check: 'syntax',
+    message: `Invalid SMILES: ${reason ? reason[1] : 'RDKit could not parse the molecule'}`,
+    atoms: [],
+    start,
+    end: position ? start + 1 : smiles.length,
+  }];
+}
+
+/**
+ * Sanitize a SMILES string with RDKit and report what fails
+ * @param {string} smiles
+ * @returns {Promise<Array<{
+ *   check: 'valence'|'kekulization'|'unclosedRing'|'unmatchedBranch'|'syntax',
+ *   message: string,
+ *   atoms: number[],
+ *   start: number,
+ *   end: number,
+ * }>>} Problems with offsets into the SMILES string; empty if it is valid
+ */
+async function validateSMILES(smiles) {
+  const RDKit = await initRDKit();
+  if (!logCapture) {
+    logCapture = RDKit.set_log_capture('rdApp.*');
+  }
+
+  logCapture.clear_buffer();
+  const mol = RDKit.get_mol(smiles);
+  const log = logCapture.get_buffer();
+
+  if (mol) {
+    mol.delete();
+    return [];
+  }
+  return classifyLog(smiles, log);
+}
+
+export { validateSMILES, getAtomOffsets };
@@ -0,0 +1,344 @@
+/**
+ * Find undefined stereocenters and double bonds in SMILES strings and
+ * enumerate the stereoisomers they allow.
+ *
+ * MinimalLib cannot set stereo flags on a molecule, so configurations are
+ * written into the SMILES text and RDKit is asked which ones it recognizes.
+ */
+
+import { initRDKit } from './rdkitRenderer';
+import { getAtomOffsets } from './smilesValidation';
+
+// 2^n isomers for n undefined elements; beyond this the edit is not useful
+const MAX_ISOMERS = 64;
+
+const BRACKET_ATOM_PATTERN = /^\[(\d*)(\*|[A-Z][a-z]?|[a-z][a-z]?)(.*)\]$/;
+const RING_LABELS_PATTERN = /^(?:\d|%\d{2})*/;
+
+const bondKey = (first, second) => `${Math.min(first, second)}-${Math.max(first, second)}`;
+
+/**
+ * Read RDKit's CIP labels, undefined stereocenters are labelled "?"
+ * @returns {{atoms: Map<number, string>, bonds: Map<string, string>, canonical: string}|null}
+ */
+function readStereo(RDKit, smiles) {
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) {
+    return null;
+  }
+  try {
+    const { CIP_atoms: atoms = [], CIP_bonds: bonds = [] } = JSON.parse(mol.get_stereo_tags());
+    return {
+      atoms: new Map(atoms.map(([atom, label]) => [atom, label.slice(1, -1)])),
+      bonds: new Map(bonds.map(([begin, end, label]) => [bondKey(begin, end), label.slice(1, -1)])),
+      canonical: mol.get_smiles(),
+    };
+  } finally {
+    mol.delete();
+  }
+}
+
+/**
+ * Apply text edits to a SMILES string. Of several edits of the same span
+ * only the first is kept, so a single bond shared by two double bonds gets
+ * one direction. A bond inserted where an atom is rewritten goes before it.
+ * @param {Array<{index: number, length: number, text: string}>} edits
+ */
+function applyEdits(smiles, edits) {
+  const unique = edits.filter((edit, position) => edits
+    .findIndex(({ index, length }) => index === edit.index && length === edit.length) === position);
+  return unique
+    // Rewrite an atom before inserting in front of it
+    .sort((a, b) => b.index - a.index || b.length - a.length)
+    .reduce((text, { index, length, text: replacement }) => text.slice(0, index)
+      + replacement + text.slice(index + length), smiles);
+}
+
+/**
+ * Edit that writes a chiral tag on an atom
+ * @param {{start: number, end: number}} offsets - Atom text
+ * @param {'@'|'@@'} tag
+ * @param {number} hydrogens - Implicit hydrogens of an organic subset atom
+ */
+function chiralEdit(smiles, { start, end }, tag, hydrogens) {
+  const text = smiles.slice(start, end);
+  const bracket = BRACKET_ATOM_PATTERN.exec(text);
+  let replacement;
+  if (bracket) {
+    const [, isotope, symbol, rest] = bracket;
+    replacement = `[${isotope}${symbol}${tag}${rest}]`;
+  } else {
+    const hydrogenText = hydrogens > 1 ? `H${hydrogens}` : 'H';
+    replacement = `[${text}${tag}${hydrogens > 0 ? hydrogenText : ''}]`;
+  }
+  return { index: start, length: text.length, text: replacement };
+}
+
+/**
+ * Locate the single bond written directly before an atom
+ * @returns {{index: number, length: number, existing: string|null}|null}
+ */
+function findBondBefore(smiles, { start }) {
+  const previous = smiles[start - 1];
+  if (previous === '-') {
+    return { index: start - 1, length: 1, existing: null };
+  }
+  if (previous === '/' || previous === '\\') {
+    return { index: start - 1, length: 1, existing: previous };
+  }
+  if (previous === undefined || '=#$:.'.includes(previous)) {
+    return null;
+  }
+  return { index: start, length: 0, existing: null };
+}
+
+/**
+ * Read the single bond that starts at an index of a SMILES string
+ * @returns {{index: number, length: number, existing: string|null}|null}
+ */
+function readSingleBond(smiles, index) {
+  const next = smiles[index];
+  if (next === '-') {
+    return { index, length: 1, existing: null };
+  }
+  if (next === '/' || next === '\\') {
+    return { index, length: 1, existing: next };
+  }
+  if (next && /[A-Za-z[*]/.test(next)) {
+    return { index, length: 0, existing: null };
+  }
+  return null;
+}
+
+/**
+ * Index just after the branch opened at an index
+ */
+function skipBranch(smiles, index) {
+  let depth = 0;
+  let current = index;
+  do {
+    if (smiles[current] === '(') {
+      depth += 1;
+    } else if (smiles[current] === ')') {
+      depth -= 1;
+    }
+    current += 1;
+  } while (depth > 0 && current < smiles.length);
+  return current;
+}
+
+/**
+ * Locate the first single bond written after an atom, skipping its ring
+ * labels and branches that start with another bond, such as the double bond itself
+ * @returns {{index: number, length: number, existing: string|null}|null}
+ */
+function findBondAfter(smiles, { end }) {
+  let index = end + RING_LABELS_PATTERN.exec(smiles.slice(end))[0].length;
+  while (smiles[index] === '(') {
+    const bond = readSingleBond(smiles, index + 1);
+    if (bond) {
+      return bond;
+    }
+    index = skipBranch(smiles, index);
+  }
+  return readSingleBond(smiles, index);
+}
+
+/**
+ * Edits that give a double bond's neighbouring single bonds a direction
+ * @param {boolean} flipped - Write the other geometry
+ */
+function doubleBondEdits({ left, right }, flipped) {
+  const flipRight = right.existing === null;
+  const edits = [];
+  if (left.existing === null) {
+    edits.push({ index: left.index, length: left.length, text: flipped && !flipRight ? '\\' : '/' });
+  }
+  if (right.existing === null) {
+    edits.push({ index: right.index, length: right.length, text: flipped ? '\\' : '/' });
+  }
+  return edits;
+}
+
+/**
+ * Find the stereocenters and double bonds of a molecule whose configuration
+ * the SMILES leaves open
+ * @returns {{centers: object[], bonds: object[], offsets: object[], symbols: string[]}|null}
+ *   null if RDKit cannot parse the SMILES
+ */
+function findStereoSites(RDKit, smiles, doubleBonds) {
+  const mol = RDKit.get_mol(smiles);
+  if (!mol) {
+    return null;
+  }
+
+  let molecule;
+  let defaults;
+  try {
+    const json = JSON.parse(mol.get_json());
+    [molecule] = json.molecules;
+    defaults = json.defaults;
+  } finally {
+    mol.delete();
+  }
+
+  const stereo = readStereo(RDKit, smiles);
+  const offsets = getAtomOffsets(smiles);
+  const atoms = (molecule.atoms || []).map((atom) => ({ ...defaults.atom, ...atom }));
+
+  const centers = Array.from(stereo.atoms.entries())
+    .filter(([, label]) => label === '?')
+    .map(([atom]) => ({ atom, hydrogens: atoms[atom].impHs }));
+
+  const bonds = !doubleBonds ? [] : (molecule.bonds || [])
+    .filter(({ bo = defaults.bond.bo }) => bo === 2)
+    .map(({ atoms: [first, second] }) => [Math.min(first, second), Math.max(first, second)])
+    // Only double bonds written before an atom, not ring closures
+    .filter(([, second]) => smiles[offsets[second].start - 1] === '=')
+    .filter(([first, second]) => !stereo.bonds.has(bondKey(first, second)))
+    .map(([first, second]) => ({
+      atoms: [first, second],
+      // An atom written first has its other neighbour in a branch after it
+      left: findBondBefore(smiles, offsets[first]) || findBondAfter(smiles, offsets[first]),
+      right: findBondAfter(smiles, offsets[second]),
+    }))
+    .filter(({ left, right }) => left && right && !(left.existing && right.existing))
+    // RDKit only labels the directions of double bonds that can be E or Z
+    .filter((bond) => readStereo(RDKit, applyEdits(smiles, doubleBondEdits(bond, false)))
+      ?.bonds.has(bondKey(...bond.atoms)));
+
+  return {
+    centers,
+    bonds,
+    offsets,
+    symbols: atoms.map((atom, index) => smiles.slice(offsets[index].start, offsets[index].end)),
+  };
+}
+
+/**
+ * Find the stereocenters and double bonds left undefined by a SMILES string
+ * @param {string} smiles
+ * @param {object} [options]
+ * @param {boolean} [options.doubleBonds=true] - Also check double bond geometry
+ * @returns {Promise<Array<{
+ *   check: 'undefinedStereocenter'|'undefinedDoubleBond',
+ *   message: string,
+ *   atoms: number[],
+ *   start: number,
+ *   end: number,
+ * }>>} Problems in the format of validateSMILES; empty if RDKit cannot parse the SMILES
+ */
+async function findUndefinedStereo(smiles, { doubleBonds = true } = {}) {
+  const RDKit = await initRDKit();
+  const sites = findStereoSites(RDKit, smiles, doubleBonds);
+  if (!sites) {
+    return [];
+  }
+  const { offsets, symbols } = sites;
+
+  return [
+    ...sites.centers.map(({ atom }) => ({
+      check: 'undefinedStereocenter',
+      message: `Undefined stereocenter at atom ${atom + 1} (${symbols[atom]}): can be R or S`,
+      atoms: [atom],
+      start: offsets[atom].start,
+      end: offsets[atom].end,
+    })),
+    ...sites.bonds.map(({ atoms: [first, second] }) => ({
+      check: 'undefinedDoubleBond',
+      message: `Undefined double bond geometry between atoms ${first + 1} and ${second + 1}: can be E or Z`,
+      atoms: [first, second],
+      start: offsets[first].start,
+      end: offsets[second].end,
+    })),
+  ];
+}
+
+/**
+ * Enumerate the stereoisomers allowed by the undefined stereocenters and
+ * double bonds of a SMILES string. Configurations RDKit considers the same
+ * molecule, such as meso forms, are listed once.
+ * @param {string} smiles
+ * @param {object} [options]
+ * @param {boolean} [options.doubleBonds=true] - Also enumerate double bond geometry
+ * @returns {Promise<Array<{
+ *   smiles: string,
+ *   labels: string[],
+ *   centers: Array<{atom: number, tag: '@'|'@@', hydrogens: number}>,
+ * }>>} labels are the CIP labels of the enumerated centers and double bonds, in order;
+ *   empty if nothing is undefined
+ * @throws {Error} If there are more than MAX_ISOMERS combinations
+ */
+async function enumerateStereoisomers(smiles, { doubleBonds = true } = {}) {
+  const RDKit = await initRDKit();
+  const sites = findStereoSites(RDKit, smiles, doubleBonds);
+  const count = sites ? sites.centers.length + sites.bonds.length : 0;
+  if (count === 0) {
+    return [];
+  }
+  if (2 ** count > MAX_ISOMERS) {
+    throw new Error(`${2 ** count} combinations of ${count} undefined stereo elements, more than ${MAX_ISOMERS}`);
+  }
+
+  const isomers = [];
+  const seen = new Set();
+  Array.from({ length: 2 ** count }, (_, combination) => combination).forEach((combination) => {
+    const choice = (index) => Math.floor(combination / 2 ** index) % 2 === 1;
+    const centers = sites.centers.map((center, index) => ({
+      ...center,
+      tag: choice(index) ? '@@' : '@',
+    }));
+    const edits = [
+      ...centers.map(({ atom, tag, hydrogens }) => chiralEdit(
+        smiles,
+        sites.offsets[atom],
+        tag,
+        hydrogens,
+      )),
+      ...sites.bonds.flatMap((bond, index) => doubleBondEdits(
+        bond,
+        choice(sites.centers.length + index),
+      )),
+    ];
+
+    const isomer = applyEdits(smiles, edits);
+    const stereo = readStereo(RDKit, isomer);
+    if (!stereo || seen.has(stereo.canonical)) {
+      return;
+    }
+    seen.add(stereo.canonical);
+    isomers.push({
+      smiles: isomer,
+      labels: [
+        ...centers.map(({ atom }) => stereo.atoms.get(atom) || '?'),
+        ...sites.bonds.map(({ atoms }) => stereo.bonds.get(bondKey(...atoms)) || '?'),
+      ],
+      centers,
+    });
+  });
+
+  return isomers;
+}
+
+/**
+ * Read the CIP labels of a molecule for display
+ * @param {string} smiles
+ * @returns {Promise<{atoms: Array<{atom: number, label: string}>,
+ *   bonds: Array<{atoms: number[], label: string}>}|null>} "?" marks undefined stereocenters
+ */
+async function getStereoLabels(smiles) {
+  const RDKit = await initRDKit();
+  const stereo = readStereo(RDKit, smiles);
+  if (!stereo) {
+    return null;
+  }
+  return {
+    atoms: Array.from(stereo.atoms, ([atom, label]) => ({ atom, label })),
+    bonds: Array.from(stereo.bonds, ([key, label]) => ({
+      atoms: key.split('-').map(Number),
+      label,
+    })),
+  };
+}
+
+export { findUndefinedStereo, enumerateStereoisomers, getStereoLabels };
@@ -0,0 +1,182 @@
+import * as vscode from 'vscode';
+import { enumerateStereoisomers } from './stereochemistry';
+import { findSmilesLiterals, findDeclarations } from './javascriptMolecules';
+import { sanitizeName } from './importTable';
+import { getDeclaredNames } from './importMolecules';
+import { stripComment } from './language/selfiesSource';
+
+const STEREO_CHECKS = ['undefinedStereocenter', 'undefinedDoubleBond'];
+
+// SELFIES atom tokens that can carry a chiral tag, such as [C] or [N]
+const PLAIN_ATOM_PATTERN = /^[A-Z][a-z]?$/;
+
+/**
+ * Name each isomer after its CIP labels, e.g. ketorolac_S
+ * @returns {string[]}
+ */
+function nameIsomers(name, isomers, usedNames) {
+  return isomers.map(({ labels }, index) => sanitizeName(
+    labels.includes('?') ? `${name}_isomer${index + 1}` : `${name}_${labels.join('_')}`,
+    usedNames,
+  ));
+}
+
+/**
+ * Find the Fragment() declaration on a line of a smiles-js document
+ * @returns {{name: string, exported: boolean, smiles: string, line: number,
+ *   endLine: number}|null} 0-based lines of the declaration statement
+ */
+function findSmilesJsDefinition(document, line) {
+  const text = document.getText();
+  const declarations = findDeclarations(text) || [];
+  return findSmilesLiterals(text)
+    .filter(({ declaration }) => declaration)
+    .map(({ smiles, start, declaration }) => {
+      const literalLine = document.positionAt(start).line;
+      const statement = declarations.find((candidate) => literalLine >= candidate.line
+        && literalLine <= candidate.endLine
+        && candidate.names.some(({ name }) => name === declaration.name));
+      return {
+        ...declaration,
+        smiles,
+        line: statement ? statement.line : literalLine,
+        endLine: statement ? statement.endLine : literalLine,
+      };
+    })
+    .find((definition) => line >= definition.line && line <= definition.endLine) || null;
+}
+
+/**
+ * Build the declarations of the stereoisomers of a smiles-js definition
+ * @returns {Promise<{name: string, lines: string[], line: number}|null>} line is where
+ *   the declaration ends
+ */
+async function buildSmilesJsIsomers(document, line, selfiesWorkspace) {
+  const definition = findSmilesJsDefinition(document, line);
+  if (!definition) {
+    return null;
+  }
+
+  const isomers = await enumerateStereoisomers(definition.smiles);
+  const names = nameIsomers(
+    definition.name,
+    isomers,
+    getDeclaredNames(document, selfiesWorkspace),
+  );
+  const prefix = definition.exported ? 'export ' : '';
+  return {
+    name: definition.name,
+    line: definition.endLine,
+    lines: isomers.map(({ smiles }, index) => `${prefix}const ${names[index]} = Fragment('${smiles.replace(/\\/g, '\\\\')}');`),
+  };
+}
+
+/**
+ * Build the definitions of the stereoisomers of a SELFIES definition.
+ * Only stereocenters written as atom tokens of the definition itself can be
+ * tagged; centers coming from referenced definitions cannot.
+ * @returns {Promise<{name: string, lines: string[], line: number}|null>}
+ */
+async function buildSelfiesIsomers(document, line, selfiesWorkspace) {
+  const filePath = document.uri.fsPath;
+  const definitionToken = selfiesWorkspace.getAnalysis(filePath)?.tokens
+    .find((token) => token.kind === 'definition' && token.line === line);
+  if (!definitionToken) {
+    return null;
+  }
+
+  const { name } = definitionToken;
+  const { smiles } = selfiesWorkspace.describe(filePath, name);
+  if (!smiles) {
+    return null;
+  }
+
+  const isomers = await enumerateStereoisomers(smiles, { doubleBonds: false });
+  const traced = Array.from(selfiesWorkspace.traceDefinition(filePath, name, line).entries());
+  const findToken = (atom) => traced.find(([token, atoms]) => PLAIN_ATOM_PATTERN.test(token.name)
+    && atoms.length === 1 && atoms[0] === atom)?.[0];
+
+  const centers = isomers[0]?.centers || [];
+  if (centers.some(({ atom }) => !findToken(atom))) {
+    throw new Error('a stereocenter comes from a referenced definition');
+  }
+
+  const lineText = document.lineAt(line).text;
+  const bodyStart = lineText.indexOf('=', definitionToken.end) + 1;
+  const names = nameIsomers(name, isomers, getDeclaredNames(document, selfiesWorkspace));
+
+  return {
+    name,
+    line,
+    lines: isomers.map((isomer, index) => {
+      const body = isomer.centers
+        .map(({ atom, tag, hydrogens }) => ({
+          token: findToken(atom),
+          text: `[${findToken(atom).name}${tag}${hydrogens > 0 ? `H${hydrogens}` : ''}]`,
+        }))
+        .sort((a, b) => b.token.start - a.token.start)
+        .reduce((text, { token, text: replacement }) => text.slice(0, token.start)
+          + replacement + text.slice(token.end), lineText)
+        .slice(bodyStart);
+      return `[${names[index]}] = ${stripComment(body).trim()}`;
+    }),
+  };
+}
+
+/**
+ * Create a code action that writes every stereoisomer of the definition
+ * under the cursor as a new named definition below it
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createStereoisomerActionProvider(selfiesWorkspace) {
+  return vscode.languages.registerCodeActionsProvider(
+    [
+      { language: 'selfies' },
+      { language: 'javascript', pattern: '**/*.smiles.js' },
+    ],
+    {
+      async provideCodeActions(document, range, context) {
+        const diagnostics = context.diagnostics
+          .filter(({ source, code }) => source === 'rdkit' && STEREO_CHECKS.includes(code));
+        const kind = diagnostics.length > 0
+          ? vscode.CodeActionKind.QuickFix
+          : vscode.CodeActionKind.RefactorRewrite;
+        const build = document.languageId === 'selfies' ? buildSelfiesIsomers : buildSmilesJsIsomers;
+
+        let isomers;
+        try {
+          isomers = await build(document, range.start.line, selfiesWorkspace);
+        } catch (err) {
+          const action = new vscode.CodeAction('Enumerate stereoisomers', kind);
+          action.disabled = { reason: `Cannot enumerate stereoisomers: ${err.message}` };
+          return [action];
+        }
+        if (!isomers || isomers.lines.length < 2) {
+          return [];
+        }
+
+        const action = new vscode.CodeAction(
+          `Enumerate ${isomers.lines.length} stereoisomers of ${isomers.name}`,
+          kind,
+        );
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(
+          document.uri,
+          document.lineAt(isomers.line).range.end,
+          `\n${isomers.lines.join('\n')}`,
+        );
+        action.diagnostics = diagnostics;
+        return [action];
+      },
+    },
+    {
+      providedCodeActionKinds: [
+        vscode.CodeActionKind.QuickFix,
+        vscode.CodeActionKind.RefactorRewrite,
+      ],
+    },
+  );
+}
+
+export { createStereoisomerActionProvider };
@@ -0,0 +1,59 @@
+/**
+ * Identify molecules by structure so differently named definitions of the
+ * same molecule can be found
+ */
+
+import { getMolecularIdentifiers } from './rdkitRenderer';
+
+// Keys of recently seen SMILES; cleared when it grows past the limit
+const keyCache = new Map();
+const KEY_CACHE_LIMIT = 5000;
+
+/**
+ * Get the structure key of a molecule: its InChIKey, or its canonical SMILES
+ * when RDKit cannot compute an InChI
+ * @param {string} smiles
+ * @returns {Promise<string|null>} null if RDKit cannot parse the SMILES
+ */
+async function getStructureKey(smiles) {
+  if (keyCache.has(smiles)) {
+    return keyCache.get(smiles);
+  }
+
+  const identifiers = await getMolecularIdentifiers(smiles);
+  const key = identifiers ? identifiers.inchiKey || `smiles:${identifiers.canonicalSmiles}` : null;
+  if (keyCache.size >= KEY_CACHE_LIMIT) {
+    keyCache.clear();
+  }
+  keyCache.set(smiles, key);
+  return key;
+}
+
+/**
+ * Group entries that share a structure key
+ * @template {{key: string|null}} Entry
+ * @param {Entry[]} entries
+ * @returns {Map<Entry, Entry[]>} For each duplicated entry, the other entries with its
+ *   structure, in input order
+ */
+function findDuplicates(entries) {
+  const groups = new Map();
+  entries.filter(({ key }) => key).forEach((entry) => {
+    if (!groups.has(entry.key)) {
+      groups.set(entry.key, []);
+    }
+    groups.get(entry.key).push(entry);
+  });
+
+  const duplicates = new Map();
+  groups.forEach((group) => {
+    if (group.length > 1) {
+      group.forEach((entry) => {
+        duplicates.set(entry, group.filter((other) => other !== entry));
+      });
+    }
+  });
+  return duplicates;
+}
+
+export { getStructureKey, findDuplicates };
@@ -0,0 +1,57 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import { createHash } from 'crypto';
+import { generateSVG } from './rdkitRenderer';
+import { getRenderingOptions, getRDKitDrawOptions } from './renderingOptions';
+
+/**
+ * Draws molecules into SVG files in the extension's storage, so tree items,
+ * tooltips and completion details can show them by URI
+ */
+class ThumbnailCache {
+  /**
+   * @param {vscode.Uri} storageUri - Usually context.globalStorageUri
+   */
+  constructor(storageUri) {
+    this._directory = vscode.Uri.joinPath(storageUri, 'thumbnails');
+    this._images = new Map();
+
+    // Thumbnails of earlier sessions may have been drawn with other settings
+    const cleared = vscode.workspace.fs.delete(this._directory, { recursive: true });
+    this._storage = Promise.resolve(cleared)
+      .catch(() => {})
+      .then(() => vscode.workspace.fs.createDirectory(this._directory));
+  }
+
+  /**
+   * Draw a molecule, once per structure, size and rendering settings
+   * @param {string} smiles
+   * @param {number} width
+   * @param {number} height
+   * @param {Array<{atoms: number[], color: string}>} [highlights] - Atoms to highlight
+   * @returns {Promise<vscode.Uri|null>} null if RDKit cannot draw the molecule
+   */
+  async getImage(smiles, width, height, highlights = []) {
+    const options = {
+      ...getRDKitDrawOptions(getRenderingOptions()), width, height, highlights,
+    };
+    const name = createHash('sha1').update(JSON.stringify([smiles, options])).digest('hex');
+    const uri = vscode.Uri.joinPath(this._directory, `${name}.svg`);
+
+    if (!this._images.has(name)) {
+      this._images.set(name, (async () => {
+        await this._storage;
+        const svg = await generateSVG(smiles, options);
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(svg, 'utf-8'));
+      })());
+    }
+    try {
+      await this._images.get(name);
+      return uri;
+    } catch {
+      return null;
+    }
+  }
+}
+
+export { ThumbnailCache };
@@ -0,0 +1,303 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { analyzeUsage, getImportClosure } from './language/selfiesUsage';
+import { getNameRange } from './language/selfiesAnalysis';
+import { definitionId } from './language/selfiesSource';
+
+const FILE_PATTERN = '**/*.selfies';
+
+const DEFAULT_SEVERITIES = {
+  unusedDefinition: 'hint',
+  unusedImport: 'warning',
+  shadowedImport: 'warning',
+};
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+// Wait for typing to pause before re-analyzing a document
+const UPDATE_DELAY = 500;
+
+/**
+ * Read the configured severity of each usage check
+ * @returns {Record<string, vscode.DiagnosticSeverity|null>} null when turned off
+ */
+function getSeverities() {
+  const config = vscode.workspace.getConfiguration('smiles.validation');
+  return Object.fromEntries(Object.entries(DEFAULT_SEVERITIES).map(([check, fallback]) => [
+    check,
+    SEVERITIES[config.get(check, fallback)] ?? null,
+  ]));
+}
+
+/**
+ * Create a usage diagnostic
+ */
+function createDiagnostic(range, message, severity, code) {
+  const diagnostic = new vscode.Diagnostic(range, message, severity);
+  diagnostic.source = 'smiles';
+  diagnostic.code = code;
+  return diagnostic;
+}
+
+/**
+ * Report definitions of an imported file nothing uses, imports whose
+ * definitions are never used and wildcard imports hidden by local definitions
+ * in one file
+ * @param {string} filePath
+ * @param {Map<string, {usage: object, closure: string[]}>} files - Every analyzed file
+ * @param {Set<string>} used - Definitions referenced or imported by name anywhere
+ * @returns {vscode.Diagnostic[]}
+ */
+function buildFileDiagnostics(filePath, files, used, severities, selfiesWorkspace) {
+  const analysis = selfiesWorkspace.getAnalysis(filePath);
+  if (!analysis) {
+    return [];
+  }
+  const { usage } = files.get(filePath);
+  const lines = analysis.source.split('\n');
+  const diagnostics = [];
+
+  // As in the import graph, the definitions of a file nothing imports are
+  // its results, so only those of imported files can be unused
+  const imported = Array.from(files.keys())
+    .some((other) => other !== filePath && files.get(other).closure.includes(filePath));
+
+  if (severities.unusedDefinition !== null && imported) {
+    analysis.tokens
+      .filter((token) => token.kind === 'definition' && !used.has(definitionId(filePath, token.name)))
+      .forEach((token) => {
+        const { line, start, end } = getNameRange(token);
+        const diagnostic = createDiagnostic(
+          new vscode.Range(line, start, line, end),
+          `'${token.name}' is never used by another definition or file`,
+          severities.unusedDefinition,
+          'unused-definition',
+        );
+        diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+        diagnostics.push(diagnostic);
+      });
+  }
+
+  if (severities.unusedImport !== null) {
+    // Files importing this one see its imports too
+    const referenced = new Set([filePath, ...Array.from(files.keys())
+      .filter((other) => files.get(other).closure.includes(filePath))]
+      .flatMap((other) => Array.from(files.get(other).usage.references)));
+
+    usage.imports
+      .filter(({ provides }) => provides.size > 0)
+      .forEach(({ importSpec, provides }) => {
+        const unusedNames = Array.from(provides)
+          .filter(([, id]) => !referenced.has(id))
+          .map(([name]) => name);
+
+        let unused = [];
+        if (unusedNames.length === provides.size) {
+          const text = lines[importSpec.line];
+          const start = text.length - text.trimStart().length;
+          unused = [{
+            range: new vscode.Range(importSpec.line, start, importSpec.line, text.trimEnd().length),
+            message: `No definition imported from ${importSpec.originalPath} is used`,
+          }];
+        } else if (importSpec.names !== '*') {
+          unused = importSpec.nameRanges
+            .filter(({ name }) => unusedNames.includes(name))
+            .map(({ name, start, end }) => ({
+              range: new vscode.Range(importSpec.line, start, importSpec.line, end),
+              message: `'${name}' is imported but never used`,
+            }));
+        }
+
+        unused.forEach(({ range, message }) => {
+          const diagnostic = createDiagnostic(range, message, severities.unusedImport, 'unused-import');
+          diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+          diagnostics.push(diagnostic);
+        });
+      });
+  }
+
+  if (severities.shadowedImport !== null) {
+    usage.shadowed.forEach(({ importSpec, name, line }) => {
+      const { line: importLine, pathStart, pathEnd } = importSpec;
+      const token = analysis.tokens.find((candidate) => candidate.kind === 'definition'
+        && candidate.name === name && candidate.line === line);
+      const diagnostic = createDiagnostic(
+        new vscode.Range(importLine, pathStart, importLine, pathEnd),
+        `'${name}' from ${importSpec.originalPath} is shadowed by the local definition on line ${line + 1}`,
+        severities.shadowedImport,
+        'shadowed-import',
+      );
+      if (token) {
+        const range = getNameRange(token);
+        diagnostic.relatedInformation = [new vscode.DiagnosticRelatedInformation(
+          new vscode.Location(
+            vscode.Uri.file(filePath),
+            new vscode.Range(range.line, range.start, range.line, range.end),
+          ),
+          `Local definition of '${name}'`,
+        )];
+      }
+      diagnostics.push(diagnostic);
+    });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Create a quick fix that creates the missing file of an import
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createMissingImportActionProvider(selfiesWorkspace) {
+  return vscode.languages.registerCodeActionsProvider(
+    { language: 'selfies' },
+    {
+      provideCodeActions(document, range, context) {
+        const analysis = selfiesWorkspace.getAnalysis(document.uri.fsPath);
+        return context.diagnostics
+          .filter(({ source, code }) => source === 'smiles' && code === 'missing-import')
+          .map((diagnostic) => {
+            const importSpec = analysis?.imports
+              .find(({ line }) => line === diagnostic.range.start.line);
+            if (!importSpec) {
+              return null;
+            }
+
+            const uri = vscode.Uri.file(importSpec.filePath);
+            const header = `# Definitions imported by ${path.basename(document.fileName)}\n`;
+            const action = new vscode.CodeAction(
+              `Create ${importSpec.originalPath}`,
+              vscode.CodeActionKind.QuickFix,
+            );
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.createFile(uri, {
+              ignoreIfExists: true,
+              contents: Buffer.from(header, 'utf-8'),
+            });
+            action.command = { command: 'vscode.open', title: 'Open', arguments: [uri] };
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            return action;
+          })
+          .filter(Boolean);
+      },
+    },
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] },
+  );
+}
+
+/**
+ * Create a provider that analyzes every .selfies file in the workspace and
+ * reports unused definitions, unused imports and shadowed wildcard imports.
+ * Edited files are re-analyzed together with the files that import them.
+ * @param {import('./language/selfiesWorkspace').SelfiesWorkspace} selfiesWorkspace
+ * @returns {vscode.Disposable}
+ */
+function createUsageDiagnosticsProvider(selfiesWorkspace) {
+  const diagnosticCollection = vscode.languages.createDiagnosticCollection('smiles-usage');
+  // Usage and import closure of every analyzed file, keyed by path
+  const files = new Map();
+  const pendingUpdates = new Map();
+
+  const publish = () => {
+    const severities = getSeverities();
+    const used = new Set(Array.from(files.values())
+      .flatMap(({ usage }) => [...usage.references, ...usage.named]));
+
+    diagnosticCollection.clear();
+    files.forEach((entry, filePath) => {
+      diagnosticCollection.set(
+        vscode.Uri.file(filePath),
+        buildFileDiagnostics(filePath, files, used, severities, selfiesWorkspace),
+      );
+    });
+  };
+
+  const analyzeFile = (filePath) => {
+    if (!selfiesWorkspace.getAnalysis(filePath)) {
+      files.delete(filePath);
+      return;
+    }
+    files.set(filePath, {
+      usage: analyzeUsage(selfiesWorkspace, filePath),
+      closure: getImportClosure(selfiesWorkspace, filePath),
+    });
+  };
+
+  const updateFile = (filePath) => {
+    // Files importing this one resolve names through it
+    const dependents = Array.from(files.keys())
+      .filter((other) => files.get(other).closure.includes(filePath));
+    analyzeFile(filePath);
+    dependents.filter((other) => other !== filePath).forEach(analyzeFile);
+    publish();
+  };
+
+  const scheduleUpdate = (uri) => {
+    if (!uri.fsPath.endsWith('.selfies')) {
+      return;
+    }
+
+    const filePath = path.resolve(uri.fsPath);
+    clearTimeout(pendingUpdates.get(filePath));
+    pendingUpdates.set(filePath, setTimeout(() => {
+      pendingUpdates.delete(filePath);
+      updateFile(filePath);
+    }, UPDATE_DELAY));
+  };
+
+  const analyzeWorkspace = async () => {
+    const uris = await vscode.workspace.findFiles(FILE_PATTERN, '**/node_modules/**');
+    const filePaths = new Set(uris.map((uri) => path.resolve(uri.fsPath)));
+    vscode.workspace.textDocuments
+      .filter((document) => document.languageId === 'selfies' && document.uri.scheme === 'file')
+      .forEach((document) => filePaths.add(path.resolve(document.uri.fsPath)));
+
+    // Yield between files so a large workspace does not block the extension host
+    await Array.from(filePaths).reduce(async (previous, filePath) => {
+      await previous;
+      await new Promise((resolve) => { setTimeout(resolve, 0); });
+      analyzeFile(filePath);
+    }, Promise.resolve());
+    publish();
+  };
+
+  const documentChangeListener = vscode.workspace.onDidChangeTextDocument((event) => {
+    scheduleUpdate(event.document.uri);
+  });
+
+  // Follow files created, changed or deleted outside the editor
+  const watcher = vscode.workspace.createFileSystemWatcher(FILE_PATTERN);
+  watcher.onDidCreate(scheduleUpdate);
+  watcher.onDidChange(scheduleUpdate);
+  watcher.onDidDelete(scheduleUpdate);
+
+  const configurationChangeListener = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration('smiles.validation')) {
+      publish();
+    }
+  });
+
+  const codeActionProvider = createMissingImportActionProvider(selfiesWorkspace);
+
+  analyzeWorkspace();
+
+  return {
+    dispose: () => {
+      pendingUpdates.forEach((timer) => clearTimeout(timer));
+      diagnosticCollection.dispose();
+      documentChangeListener.dispose();
+      watcher.dispose();
+      configurationChangeListener.dispose();
+      codeActionProvider.dispose();
+    },
+  };
+}
+
+export { createUsageDiagnosticsProvider };
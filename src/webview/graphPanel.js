@@ -0,0 +1,180 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { buildDependencyGraph } from '../language/selfiesGraph';
+import { getLocalResourceRoots, getWebviewHtml } from './webviewHtml';
+
+const REFRESH_DELAY_MS = 500;
+
+/**
+ * Open a file of the graph at a position
+ */
+async function revealPosition(filePath, line, character = 0) {
+  let document;
+  try {
+    document = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+  } catch {
+    vscode.window.showErrorMessage(`Cannot open ${filePath}`);
+    return;
+  }
+
+  const position = new vscode.Position(line, character);
+  const visibleEditor = vscode.window.visibleTextEditors
+    .find((editor) => editor.document === document);
+  const editor = await vscode.window.showTextDocument(document, {
+    viewColumn: visibleEditor ? visibleEditor.viewColumn : vscode.ViewColumn.One,
+    selection: new vscode.Range(position, position),
+  });
+  editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+}
+
+/**
+ * Manages the webview panel showing the import and definition dependency
+ * graph of a .selfies file
+ */
+class ImportGraphPanel {
+  constructor(extensionUri, selfiesWorkspace) {
+    this._extensionUri = extensionUri;
+    this._selfiesWorkspace = selfiesWorkspace;
+    this._panel = null;
+    this._filePath = null;
+    this._refreshTimer = null;
+    this._disposables = [];
+
+    this._create();
+  }
+
+  /**
+     * Create the webview panel
+     */
+  _create() {
+    this._panel = vscode.window.createWebviewPanel(
+      'smilesImportGraph',
+      'SMILES: Import Graph',
+      vscode.ViewColumn.Beside,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: getLocalResourceRoots(this._extensionUri),
+      },
+    );
+
+    this._panel.webview.html = this._getHtmlContent();
+
+    this._panel.onDidDispose(() => {
+      this.dispose();
+    }, null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case 'reveal':
+            await revealPosition(message.filePath, message.line, message.character);
+            break;
+          case 'error':
+            vscode.window.showErrorMessage(message.text);
+            break;
+          default:
+            break;
+        }
+      },
+      null,
+      this._disposables,
+    );
+
+    // Redraw when a file of the graph, or one it could start importing, changes
+    const scheduleRefresh = (uri) => {
+      if (uri.fsPath.endsWith('.selfies')) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+      }
+    };
+    vscode.workspace.onDidChangeTextDocument(
+      (event) => scheduleRefresh(event.document.uri),
+      null,
+      this._disposables,
+    );
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*.selfies');
+    watcher.onDidCreate(scheduleRefresh, null, this._disposables);
+    watcher.onDidChange(scheduleRefresh, null, this._disposables);
+    watcher.onDidDelete(scheduleRefresh, null, this._disposables);
+    this._disposables.push(watcher);
+  }
+
+  /**
+     * Show the graph of a .selfies file
+     * @param {string} filePath
+     */
+  show(filePath) {
+    this._filePath = filePath;
+    this._panel.title = `Import Graph: ${path.basename(filePath)}`;
+    this.refresh();
+  }
+
+  /**
+     * Rebuild the graph of the current file
+     */
+  refresh() {
+    if (!this._panel || !this._filePath) {
+      return;
+    }
+
+    const graph = buildDependencyGraph(this._selfiesWorkspace, this._filePath);
+
+    this._panel.webview.postMessage({
+      command: 'update',
+      data: {
+        ...graph,
+        files: graph.files.map((file) => ({
+          ...file,
+          label: vscode.workspace.asRelativePath(file.filePath),
+        })),
+      },
+    });
+  }
+
+  /**
+     * Reveal the panel
+     */
+  reveal() {
+    if (this._panel) {
+      this._panel.reveal(vscode.ViewColumn.Beside);
+    }
+  }
+
+  /**
+     * Register a disposal callback
+     */
+  onDidDispose(callback) {
+    return this._panel.onDidDispose(callback);
+  }
+
+  /**
+     * Dispose the panel
+     */
+  dispose() {
+    clearTimeout(this._refreshTimer);
+
+    if (this._panel) {
+      const panel = this._panel;
+      this._panel = null;
+      panel.dispose();
+    }
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  /**
+     * Get the HTML content for the webview
+     */
+  _getHtmlContent() {
+    return getWebviewHtml(this._panel.webview, this._extensionUri, 'graph.html');
+  }
+}
+
+export { ImportGraphPanel };
@@ -0,0 +1,199 @@
+/* eslint-disable no-underscore-dangle */
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { generateSVG } from '../rdkitRenderer';
+import { collectDocumentMolecules } from '../documentMolecules';
+import { getRenderingOptions, getRDKitDrawOptions } from '../renderingOptions';
+import { getLocalResourceRoots, getWebviewHtml } from './webviewHtml';
+
+const TILE_WIDTH = 220;
+const TILE_HEIGHT = 160;
+const REFRESH_DELAY_MS = 500;
+
+/**
+ * Manages the webview panel showing every molecule of a file as a grid
+ */
+class MoleculeGridPanel {
+  constructor(extensionUri, selfiesWorkspace) {
+    this._extensionUri = extensionUri;
+    this._selfiesWorkspace = selfiesWorkspace;
+    this._panel = null;
+    this._document = null;
+    this._refreshTimer = null;
+    this._refreshCount = 0;
+    this._disposables = [];
+
+    this._create();
+  }
+
+  /**
+     * Create the webview panel
+     */
+  _create() {
+    this._panel = vscode.window.createWebviewPanel(
+      'smilesGrid',
+      'SMILES: All Molecules',
+      vscode.ViewColumn.Beside,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: getLocalResourceRoots(this._extensionUri),
+      },
+    );
+
+    this._panel.webview.html = this._getHtmlContent();
+
+    this._panel.onDidDispose(() => {
+      this.dispose();
+    }, null, this._disposables);
+
+    this._panel.webview.onDidReceiveMessage(
+      async (message) => {
+        switch (message.command) {
+          case 'revealLine':
+            await this._revealLine(message.line);
+            break;
+          case 'error':
+            vscode.window.showErrorMessage(message.text);
+            break;
+          default:
+            break;
+        }
+      },
+      null,
+      this._disposables,
+    );
+
+    // Keep the grid in sync with edits to the file it shows
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.document === this._document) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+      }
+    }, null, this._disposables);
+  }
+
+  /**
+     * Show the molecules of a document
+     * @param {vscode.TextDocument} document
+     */
+  async show(document) {
+    this._document = document;
+    this._panel.title = `Molecules: ${path.basename(document.fileName)}`;
+    await this.refresh();
+  }
+
+  /**
+     * Re-render the grid for the current document
+     */
+  async refresh() {
+    if (!this._panel || !this._document) {
+      return;
+    }
+
+    // Ignore results of refreshes that were overtaken by a newer one
+    this._refreshCount += 1;
+    const refreshId = this._refreshCount;
+
+    const { molecules, error } = await collectDocumentMolecules(
+      this._document,
+      this._selfiesWorkspace,
+    );
+
+    // Tiles are too small to compare renderers, so comparison mode uses RDKit
+    const rendering = getRenderingOptions();
+    const tiles = await Promise.all(molecules.map(async (molecule) => {
+      if (!molecule.smiles || rendering.engine === 'smiles-drawer') {
+        return molecule;
+      }
+      try {
+        const svg = await generateSVG(molecule.smiles, {
+          width: TILE_WIDTH,
+          height: TILE_HEIGHT,
+          ...getRDKitDrawOptions(rendering),
+        });
+        return { ...molecule, svg };
+      } catch {
+        // The webview falls back to smiles-drawer
+        return molecule;
+      }
+    }));
+
+    if (!this._panel || refreshId !== this._refreshCount) {
+      return;
+    }
+
+    this._panel.webview.postMessage({
+      command: 'update',
+      data: {
+        fileName: path.basename(this._document.fileName),
+        molecules: tiles,
+        error,
+      },
+      rendering,
+    });
+  }
+
+  /**
+     * Move the editor showing the document to a line
+     */
+  async _revealLine(line) {
+    if (!this._document) {
+      return;
+    }
+
+    const visibleEditor = vscode.window.visibleTextEditors
+      .find((editor) => editor.document === this._document);
+    const position = new vscode.Position(line, 0);
+    const editor = await vscode.window.showTextDocument(this._document, {
+      viewColumn: visibleEditor ? visibleEditor.viewColumn : vscode.ViewColumn.One,
+      selection: new vscode.Range(position, position),
+    });
+    editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+  }
+
+  /**
+     * Reveal the panel
+     */
+  reveal() {
+    if (this._panel) {
+      this._panel.reveal(vscode.ViewColumn.Beside);
+    }
+  }
+
+  /**
+     * Register a disposal callback
+     */
+  onDidDispose(callback) {
+    return this._panel.onDidDispose(callback);
+  }
+
+  /**
+     * Dispose the panel
+     */
+  dispose() {
+    clearTimeout(this._refreshTimer);
+
+    if (this._panel) {
+      const panel = this._panel;
+      this._panel = null;
+      panel.dispose();
+    }
+
+    while (this._disposables.length) {
+      const disposable = this._disposables.pop();
+      if (disposable) {
+        disposable.dispose();
+      }
+    }
+  }
+
+  /**
+     * Get the HTML content for the webview
+     */
+  _getHtmlContent() {
+    return getWebviewHtml(this._panel.webview, this._extensionUri, 'grid.html');
+  }
+}
+
+export { MoleculeGridPanel };
@@ -1,8 +1,20 @@
 /* eslint-disable no-underscore-dangle, no-param-reassign, class-methods-use-this */
 import * as vscode from 'vscode';
-import * as path from 'path';
-import * as fs from 'fs';
-import { generateSVG } from '../rdkitRenderer';
+import { generateSVG, findSubstructureHighlights } from '../rdkitRenderer';
+import { getRenderingOptions, getRDKitDrawOptions } from '../renderingOptions';
+import { computeDescriptors } from '../descriptors';
+import { getStereoLabels } from '../stereochemistry';
+import { isReactionSmiles, findAtomMaps, checkAtomMapping } from '../reactionSmiles';
+import { checkMassBalance, formatFormula } from '../reactionValidation';
+import { getLocalResourceRoots, getWebviewHtml } from './webviewHtml';
+
+// Distinct colors for highlighted SMARTS patterns, assigned in order
+const HIGHLIGHT_COLORS = [
+  '#ff6b6b', '#4dabf7', '#51cf66', '#fcc419', '#cc5de8', '#ff922b', '#20c997', '#f06595',
+];
+
+// Color of the atoms contributed by the SELFIES token under the cursor
+const FOCUS_COLOR = '#ffd43b';
 
 /**
  * Manages the webview panel for molecular structure visualization
@@ -11,6 +23,8 @@ class PreviewPanel {
   constructor(extensionUri) {
     this._extensionUri = extensionUri;
     this._panel = null;
+    this._lastLineInfo = undefined;
+    this._customHighlights = [];
     this._disposables = [];
 
     this._create();
@@ -27,9 +41,7 @@ class PreviewPanel {
       {
         enableScripts: true,
         retainContextWhenHidden: true,
-        localResourceRoots: [
-          vscode.Uri.joinPath(this._extensionUri, 'resources'),
-        ],
+        localResourceRoots: getLocalResourceRoots(this._extensionUri),
       },
     );
 
@@ -56,6 +68,20 @@ class PreviewPanel {
           case 'savePNG':
             await this._savePNG(message.pngData, message.fileName);
             break;
+          case 'addHighlight':
+            this._addHighlight(message.smarts);
+            break;
+          case 'removeHighlight':
+            this._removeHighlight(message.smarts);
+            break;
+          case 'setCIPLabels':
+            // The configuration listener redraws the preview
+            await vscode.workspace.getConfiguration('smiles').update(
+              'rendering.showCIPLabels',
+              message.enabled,
+              vscode.ConfigurationTarget.Global,
+            );
+            break;
           default:
             // Unknown command
             break;
@@ -74,53 +100,168 @@ class PreviewPanel {
       return;
     }
 
-    // Generate SVG using RDKit if we have SMILES
-    if (lineInfo && lineInfo.smiles && !lineInfo.error) {
+    // Keep the original so a settings change can redraw it
+    this._lastLineInfo = lineInfo;
+    const rendering = getRenderingOptions();
+    const info = lineInfo ? { ...lineInfo } : lineInfo;
+    const isReaction = Boolean(info?.smiles) && isReactionSmiles(info.smiles);
+    const highlights = await this._findHighlights(info, isReaction);
+
+    // Generate SVG using RDKit if we have SMILES and RDKit is selected.
+    // Only RDKit draws reaction schemes.
+    if (info && info.smiles && !info.error && (rendering.engine !== 'smiles-drawer' || isReaction)) {
       // console.log('[Panel] Rendering molecule:', {
-      //     name: lineInfo.name,
-      //     smiles: lineInfo.smiles,
-      //     formula: lineInfo.formula,
-      //     molecularWeight: lineInfo.molecularWeight
+      //     name: info.name,
+      //     smiles: info.smiles,
+      //     formula: info.formula,
+      //     molecularWeight: info.molecularWeight
       // });
 
       try {
-        const svg = await generateSVG(lineInfo.smiles, {
-          width: 500,
-          height: 300,
-          addStereoAnnotation: true,
+        info.svg = await generateSVG(info.smiles, {
+          width: isReaction ? 700 : 500,
+          height: isReaction ? 250 : 300,
+          ...getRDKitDrawOptions(rendering),
+          highlights: highlights.filter((highlight) => !highlight.error),
         });
-        lineInfo.svg = svg;
         // console.log('[Panel] Successfully rendered with RDKit');
       } catch (err) {
         // RDKit rendering failed
-        lineInfo.rdkitError = err.message;
-
-        // Check if it's a multi-substituted ring issue
-        const isMultiSubstitutedRing = lineInfo.smiles.includes('c1ccccc1')
-                                               && (lineInfo.smiles.match(/\)\(/g) || []).length > 0;
-
-        if (isMultiSubstitutedRing) {
-          // console.warn('[Panel] This appears to be a multi-substituted aromatic ring. ' +
-          //             'RDKit requires explicit position numbering for multiple substituents. ' +
-          //             'The SMILES generated by smiles-js may not be compatible with RDKit.');
-          vscode.window.showWarningMessage(
-            `RDKit cannot render "${lineInfo.name}": Multi-substituted aromatic rings need explicit position numbers. `
-                        + `Using smiles-drawer fallback. SMILES: ${lineInfo.smiles}`,
-          );
-        } else {
-          vscode.window.showWarningMessage(
-            `RDKit failed to render "${lineInfo.name}": ${err.message}. Falling back to smiles-drawer.`,
-          );
+        info.rdkitError = err.message;
+
+        // Comparison mode shows the error next to the smiles-drawer rendering instead,
+        // and reactions have no fallback
+        if (rendering.engine !== 'compare' && !isReaction) {
+          // Check if it's a multi-substituted ring issue
+          const isMultiSubstitutedRing = info.smiles.includes('c1ccccc1')
+            && (info.smiles.match(/\)\(/g) || []).length > 0;
+
+          if (isMultiSubstitutedRing) {
+            // console.warn('[Panel] This appears to be a multi-substituted aromatic ring. ' +
+            //   'RDKit requires explicit position numbering for multiple substituents. ' +
+            //   'The SMILES generated by smiles-js may not be compatible with RDKit.');
+            vscode.window.showWarningMessage(
+              `RDKit cannot render "${info.name}": Multi-substituted aromatic rings need explicit position numbers. `
+              + `Using smiles-drawer fallback. SMILES: ${info.smiles}`,
+            );
+          } else {
+            vscode.window.showWarningMessage(
+              `RDKit failed to render "${info.name}": ${err.message}. Falling back to smiles-drawer.`,
+            );
+          }
         }
       }
     }
 
+    if (info && info.smiles && !info.error && isReaction) {
+      info.reaction = await this._describeReaction(info.smiles);
+    } else if (info && info.smiles && !info.error) {
+      info.descriptors = await computeDescriptors(info.smiles).catch(() => null);
+      info.stereo = await getStereoLabels(info.smiles).catch(() => null);
+    }
+
     this._panel.webview.postMessage({
       command: 'update',
-      data: lineInfo,
+      data: info,
+      rendering,
+      highlights: highlights.map(({
+        smarts, color, source, atoms, matchCount, error,
+      }) => ({
+        smarts, color, source, atomCount: atoms.length, matchCount, error,
+      })),
     });
   }
 
+  /**
+     * Count the atoms of each element on both sides of a reaction and check its atom maps
+     * @returns {Promise<{reactantFormula: string|null, productFormula: string|null,
+     *   unbalanced: object[]|null, mappedAtoms: number, mappingProblems: string[]}>}
+     */
+  async _describeReaction(smiles) {
+    const balance = await checkMassBalance(smiles).catch(() => null);
+    return {
+      reactantFormula: balance && formatFormula(balance.reactants),
+      productFormula: balance && formatFormula(balance.products),
+      unbalanced: balance && balance.unbalanced,
+      mappedAtoms: findAtomMaps(smiles).reactants.length,
+      mappingProblems: checkAtomMapping(smiles).map(({ message }) => message),
+    };
+  }
+
+  /**
+     * Match the annotation and user-entered SMARTS patterns against a molecule,
+     * followed by the atoms of the focused SELFIES token so they are drawn on top.
+     * Patterns are not matched against reactions.
+     * @returns {Promise<object[]>} [{ smarts, color, source, atoms, bonds, matchCount, error }]
+     */
+  async _findHighlights(info, isReaction) {
+    const annotationPatterns = info?.highlights || [];
+    const patterns = [
+      ...annotationPatterns.map((smarts) => ({ smarts, source: 'annotation' })),
+      ...this._customHighlights
+        .filter((smarts) => !annotationPatterns.includes(smarts))
+        .map((smarts) => ({ smarts, source: 'custom' })),
+    ].map((pattern, index) => ({
+      ...pattern,
+      color: HIGHLIGHT_COLORS[index % HIGHLIGHT_COLORS.length],
+    }));
+
+    if (!info || !info.smiles || info.error || isReaction) {
+      return patterns.map((pattern) => ({
+        ...pattern, atoms: [], bonds: [], matchCount: null, error: null,
+      }));
+    }
+
+    const found = patterns.length > 0
+      ? await findSubstructureHighlights(info.smiles, patterns)
+      : [];
+    const highlights = found.map((highlight, index) => ({
+      ...highlight,
+      source: patterns[index].source,
+    }));
+
+    if (info.focus?.atoms.length > 0) {
+      // No bonds given: generateSVG highlights the bonds between the atoms
+      highlights.push({
+        smarts: info.focus.token,
+        color: FOCUS_COLOR,
+        source: 'focus',
+        atoms: info.focus.atoms,
+        matchCount: null,
+        error: null,
+      });
+    }
+    return highlights;
+  }
+
+  /**
+     * Highlight a SMARTS pattern in every molecule shown
+     */
+  _addHighlight(smarts) {
+    const pattern = (smarts || '').trim();
+    if (pattern && !this._customHighlights.includes(pattern)) {
+      this._customHighlights.push(pattern);
+      this.refresh();
+    }
+  }
+
+  /**
+     * Stop highlighting a user-entered SMARTS pattern
+     */
+  _removeHighlight(smarts) {
+    this._customHighlights = this._customHighlights.filter((pattern) => pattern !== smarts);
+    this.refresh();
+  }
+
+  /**
+     * Redraw the last molecule, e.g. after the rendering settings changed
+     */
+  refresh() {
+    if (this._lastLineInfo !== undefined) {
+      this.update(this._lastLineInfo);
+    }
+  }
+
   /**
      * Reveal the panel
      */
@@ -157,14 +298,7 @@ class PreviewPanel {
      * Get the HTML content for the webview
      */
   _getHtmlContent() {
-    const rendererPath = path.join(
-      this._extensionUri.fsPath,
-      'resources',
-      'renderer.html',
-    );
-
-    const html = fs.readFileSync(rendererPath, 'utf-8');
-    return html;
+    return getWebviewHtml(this._panel.webview, this._extensionUri, 'renderer.html');
   }
 
   /**
@@ -0,0 +1,46 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import * as fs from 'fs';
+import { randomBytes } from 'crypto';
+
+/**
+ * Folders a webview may load files from: its HTML templates and the
+ * bundled smiles-drawer script copied to dist/ by esbuild.js
+ * @param {vscode.Uri} extensionUri
+ * @returns {vscode.Uri[]}
+ */
+function getLocalResourceRoots(extensionUri) {
+  return [
+    vscode.Uri.joinPath(extensionUri, 'resources'),
+    vscode.Uri.joinPath(extensionUri, 'dist'),
+  ];
+}
+
+/**
+ * Load an HTML template from resources/ and fill in its placeholders:
+ * - `{{cspSource}}`: origin of local webview resources, for the CSP
+ * - `{{nonce}}`: fresh nonce that every `<script>` tag must carry
+ * - `{{smilesDrawerUri}}`: webview URI of the bundled smiles-drawer script
+ * @param {vscode.Webview} webview
+ * @param {vscode.Uri} extensionUri
+ * @param {string} fileName - Template file name in resources/
+ * @returns {string}
+ */
+function getWebviewHtml(webview, extensionUri, fileName) {
+  const templatePath = path.join(extensionUri.fsPath, 'resources', fileName);
+  const smilesDrawerUri = webview.asWebviewUri(
+    vscode.Uri.joinPath(extensionUri, 'dist', 'smiles-drawer.min.js'),
+  );
+  const nonce = randomBytes(16).toString('base64');
+
+  const values = {
+    cspSource: webview.cspSource,
+    nonce,
+    smilesDrawerUri: smilesDrawerUri.toString(),
+  };
+
+  return fs.readFileSync(templatePath, 'utf-8')
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+export { getLocalResourceRoots, getWebviewHtml };
@@ -12,7 +12,32 @@ import {
   parse, loadWithImports, loadFile, resolve,
 } from 'selfies-js';
 import { Fragment } from 'smiles-js';
-import { generateSVG, isValidSMILES } from '../../../src/rdkitRenderer.js';
+import { generateSVG, isValidSMILES, findSubstructureHighlights } from '../../../src/rdkitRenderer.js';
+import { getAnnotationsAbove, getHighlightPatterns, isStereoPure } from '../../../src/annotations.js';
+import { findUndefinedStereo, enumerateStereoisomers } from '../../../src/stereochemistry.js';
+import { getStructureKey, findDuplicates } from '../../../src/structureIndex.js';
+import { findSmilesJsImports, getRootFiles } from '../../../src/importGraph.js';
+import { validateSMILES } from '../../../src/smilesValidation.js';
+import { computeDescriptors } from '../../../src/descriptors.js';
+import { buildExportEntry, formatExport } from '../../../src/exportTable.js';
+import { parseSDF, parseCSV, sanitizeName, convertRecords } from '../../../src/importTable.js';
+import { SelfiesWorkspace } from '../../../src/language/selfiesWorkspace.js';
+import { analyzeSelfiesSource, findAt } from '../../../src/language/selfiesAnalysis.js';
+import { buildDependencyGraph } from '../../../src/language/selfiesGraph.js';
+import { analyzeUsage, getImportClosure } from '../../../src/language/selfiesUsage.js';
+import { describeSelfiesSymbol, listSelfiesSymbols } from '../../../src/language/selfiesAlphabet.js';
+import { stripComment } from '../../../src/language/selfiesSource.js';
+import { findConstructorCalls, findConstructorCallAt, findOpenConstructorCall } from '../../../src/constructorCalls.js';
+import {
+  findSmilesLiterals, findDeclarations, findExportedNames, findConstructorNames,
+} from '../../../src/javascriptMolecules.js';
+import { formatSMILES, alignDefinitions } from '../../../src/smilesFormatting.js';
+import { transformModule } from '../../../src/sandbox/moduleTransform.js';
+import { evaluateSmilesModule } from '../../../src/sandbox/sandboxEvaluator.js';
+import { findLegacyApiUsages, applyMigration } from '../../../src/apiMigration.js';
+import { findEmbeddedSmiles } from '../../../src/embeddedSmiles.js';
+import { splitReaction, checkAtomMapping } from '../../../src/reactionSmiles.js';
+import { checkMassBalance } from '../../../src/reactionValidation.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROGRAMS_DIR = __dirname;
@@ -609,6 +634,483 @@ describe('VSCode Extension Fixture Programs', () => {
     });
   });
 
+  describe('SELFIES Language Workspace', () => {
+    const withImportsPath = join(PROGRAMS_DIR, 'line-numbers-with-imports.selfies');
+    const basePath = join(PROGRAMS_DIR, 'fragments-base.selfies');
+
+    test('should merge imports like loadFile', () => {
+      const workspace = new SelfiesWorkspace();
+      const program = workspace.getProgram(withImportsPath);
+      const expected = loadFile(withImportsPath);
+
+      expect(program.errors).toEqual([]);
+      for (const name of expected.definitions.keys()) {
+        expect(resolve(program, name)).toBe(resolve(expected, name));
+      }
+      expect(program.definitions.get('base_frag1').sourceFile).toBe(basePath);
+      expect(program.definitions.get('compound1').sourceFile).toBe(withImportsPath);
+    });
+
+    test('should locate definition names and references', () => {
+      const analysis = analyzeSelfiesSource(readProgram('line-numbers-with-imports.selfies'), withImportsPath);
+
+      // Line 12 (0-based 11): [compound3] = [base_frag1][base_frag2]
+      const definition = findAt(analysis, 11, 2).token;
+      expect(definition.kind).toBe('definition');
+      expect(definition.name).toBe('compound3');
+
+      const reference = findAt(analysis, 11, 16).token;
+      expect(reference.kind).toBe('reference');
+      expect(reference.name).toBe('base_frag1');
+      expect(reference.definition).toBe('compound3');
+
+      // Import path on line 4 (0-based 3)
+      const { importSpec } = findAt(analysis, 3, 10);
+      expect(importSpec.filePath).toBe(basePath);
+    });
+
+    test('should resolve definitions across imported files', () => {
+      const workspace = new SelfiesWorkspace();
+      const target = workspace.resolveDefinition(withImportsPath, 'base_frag2');
+
+      expect(target.filePath).toBe(basePath);
+      expect(target.token.line).toBe(2);
+    });
+
+    test('should find references across files', () => {
+      const workspace = new SelfiesWorkspace();
+      const references = workspace.findReferences(
+        { filePath: basePath, name: 'base_frag1' },
+        [withImportsPath, basePath],
+      );
+
+      const locations = references.map(({ filePath, token }) => `${filePath === basePath ? 'base' : 'main'}:${token.line}:${token.kind}`);
+      expect(locations.sort()).toEqual(['base:1:definition', 'main:11:reference', 'main:6:reference']);
+    });
+
+    test('should report missing imports on the import line', () => {
+      const sources = { '/virtual/main.selfies': 'import "./missing.selfies"\n[a] = [C]' };
+      const workspace = new SelfiesWorkspace((filePath) => sources[filePath] ?? null);
+      const program = workspace.getProgram('/virtual/main.selfies');
+
+      expect(program.errors.length).toBe(1);
+      expect(program.errors[0].message).toContain('Import file not found: ./missing.selfies');
+      expect(program.errors[0].line).toBe(1);
+      expect(program.errors[0].column).toBe(9);
+    });
+
+    test('should graph definition references across imported files', () => {
+      const workspace = new SelfiesWorkspace();
+      const graph = buildDependencyGraph(workspace, withImportsPath);
+
+      expect(graph.files.map(({ filePath }) => filePath)).toEqual([withImportsPath, basePath]);
+      expect(graph.references.map(({ from, to }) => `${from.split('#')[1]}->${to.split('#')[1]}`))
+        .toEqual(['compound1->base_frag1', 'compound2->base_frag2', 'compound3->base_frag1', 'compound3->base_frag2']);
+      expect(graph.definitions.filter(({ unused }) => unused).map(({ name }) => name))
+        .toEqual(['base_hydroxyl']);
+    });
+
+    test('should mark cycles and unresolved references in the graph', () => {
+      const sources = {
+        '/virtual/main.selfies': 'import "./base.selfies"\n[a] = [C][b]\n[b] = [a]\n[c] = [C@@H1][phenyl][=O]',
+        '/virtual/base.selfies': 'import "./main.selfies"\n[d] = [C]',
+      };
+      const workspace = new SelfiesWorkspace((filePath) => sources[filePath] ?? null);
+      const graph = buildDependencyGraph(workspace, '/virtual/main.selfies');
+
+      expect(graph.imports.every(({ cycle }) => cycle)).toBe(true);
+      expect(graph.definitions.filter(({ cycle }) => cycle).map(({ name }) => name)).toEqual(['a', 'b']);
+      expect(graph.unresolved.map(({ name, line }) => `${name}:${line}`)).toEqual(['phenyl:3']);
+    });
+
+    test('should find what a file uses of its imports', () => {
+      const sources = {
+        '/virtual/main.selfies': 'import "./base.selfies"\nimport [b] from "./other.selfies"\n[a] = [C][methyl]\n[ethyl] = [C][C]',
+        '/virtual/base.selfies': 'import "./core.selfies"\n[methyl] = [C]\n[ethyl] = [C][C]',
+        '/virtual/core.selfies': '[hydroxyl] = [O]',
+        '/virtual/other.selfies': '[b] = [N]',
+      };
+      const workspace = new SelfiesWorkspace((filePath) => sources[filePath] ?? null);
+      const usage = analyzeUsage(workspace, '/virtual/main.selfies');
+
+      expect(Array.from(usage.references)).toEqual(['/virtual/base.selfies#methyl']);
+      expect(Array.from(usage.named)).toEqual(['/virtual/other.selfies#b']);
+      expect(Array.from(usage.imports[0].provides.keys())).toEqual(['methyl', 'ethyl', 'hydroxyl']);
+      expect(usage.shadowed.map(({ name, line }) => `${name}:${line}`)).toEqual(['ethyl:3']);
+      expect(getImportClosure(workspace, '/virtual/main.selfies'))
+        .toEqual(['/virtual/base.selfies', '/virtual/core.selfies', '/virtual/other.selfies']);
+    });
+
+    test('should describe resolved definitions', () => {
+      const workspace = new SelfiesWorkspace();
+      const info = workspace.describe(withImportsPath, 'compound1');
+
+      expect(info.selfies).toBe('[C][C][O]');
+      expect(info.smiles).toBe('CCO');
+      expect(info.formula).toBe('C2H6O');
+      expect(info.error).toBeNull();
+    });
+
+    test('should trace the atoms contributed by a body token', () => {
+      const chain = '[chain] = [hydroxyl]repeat([C][methyl], 2)[C][Branch1][C][O][N]';
+      const sources = {
+        '/virtual/main.selfies': `[methyl] = [C]\n[hydroxyl] = [O]\n${chain}`,
+      };
+      const workspace = new SelfiesWorkspace((filePath) => sources[filePath] ?? null);
+      const atomsAt = (token) => workspace.traceAtomsAt('/virtual/main.selfies', 2, chain.indexOf(token) + 1)?.atoms;
+
+      expect(atomsAt('[hydroxyl]')).toEqual([0]);
+      expect(atomsAt('[methyl]')).toEqual([2, 4]);
+      expect(atomsAt('[O]')).toEqual([6]);
+      expect(atomsAt('[N]')).toEqual([7]);
+      expect(workspace.traceAtomsAt('/virtual/main.selfies', 2, 2)).toBeNull();
+    });
+  });
+
+  describe('Chemistry validation', () => {
+    test('should accept sanitizable SMILES', async () => {
+      expect(await validateSMILES('CC(=O)Oc1ccccc1C(=O)O')).toEqual([]);
+    });
+
+    test('should classify and locate sanitization failures', async () => {
+      const checks = async (smiles) => (await validateSMILES(smiles))
+        .map(({ check, start, end }) => [check, smiles.slice(start, end)]);
+
+      expect(await checks('CC[N](C)(C)(C)C')).toEqual([['valence', '[N]']]);
+      expect(await checks('Cc1cccc1')).toEqual([['kekulization', 'c1cccc']]);
+      expect(await checks('C1CC2CC2')).toEqual([['unclosedRing', '1']]);
+      expect(await checks('CC)C(C')).toEqual([['unmatchedBranch', ')'], ['unmatchedBranch', '(']]);
+      expect(await checks('C[Xx]C')).toEqual([['syntax', 'X']]);
+    });
+  });
+
+  describe('Drug-likeness descriptors', () => {
+    test('should compute descriptors, QED and rule badges', async () => {
+      const ibuprofen = await computeDescriptors('CC(C)Cc1ccc(cc1)C(C)C(=O)O');
+
+      expect(ibuprofen.hbd).toBe(1);
+      expect(ibuprofen.rings).toBe(1);
+      expect(ibuprofen.tpsa).toBeCloseTo(37.3, 1);
+      expect(ibuprofen.qed).toBeGreaterThan(0.7);
+      expect(ibuprofen.rules.lipinski.pass).toBe(true);
+      expect(ibuprofen.rules.veber.pass).toBe(true);
+
+      const caffeine = await computeDescriptors('Cn1cnc2c1c(=O)n(C)c(=O)n2C');
+      expect(caffeine.rules.ghose.violations).toEqual(['cLogP outside -0.4-5.6']);
+      expect(await computeDescriptors('C1CC')).toBeNull();
+    });
+
+    test('should match the QED of RDKit', async () => {
+      expect((await computeDescriptors('CC(=O)Oc1ccccc1C(=O)O')).qed).toBeCloseTo(0.550, 3);
+      expect((await computeDescriptors('CC(=O)Nc1ccc(O)cc1')).qed).toBeCloseTo(0.595, 3);
+      expect((await computeDescriptors('CC(C)Cc1ccc(cc1)C(C)C(=O)O')).qed).toBeCloseTo(0.822, 3);
+    });
+  });
+
+  describe('Definition export', () => {
+    test('should export identifiers and descriptors as CSV and SDF', async () => {
+      const entries = [
+        await buildExportEntry({ name: 'ethanol', line: 0, selfies: '[C][C][O]', smiles: 'CCO', formula: 'C2H6O', molecularWeight: 46.07, error: null }, 'alcohols.selfies'),
+        await buildExportEntry({ name: 'broken, "x"', line: 4, selfies: null, smiles: null, formula: null, molecularWeight: null, error: 'Undefined reference' }, 'alcohols.selfies'),
+      ];
+
+      expect(entries[0].record.inchiKey).toBe('LFQSCWFLJHTTHZ-UHFFFAOYSA-N');
+      expect(entries[0].record.line).toBe(1);
+      expect(entries[0].record.lipinski).toBe(true);
+
+      const csv = formatExport('csv', entries).text.split('\n');
+      expect(csv[0].startsWith('name,file,line,selfies,smiles,canonicalSmiles,inchi,inchiKey')).toBe(true);
+      expect(csv[1]).toContain('"InChI=1S/C2H6O/c1-2-3/h3H,2H2,1H3"');
+      expect(csv[2].startsWith('"broken, ""x""",alcohols.selfies,5,')).toBe(true);
+
+      const sdf = formatExport('sdf', entries);
+      expect(sdf.skipped).toBe(1);
+      expect(sdf.text.startsWith('ethanol\n')).toBe(true);
+      expect(sdf.text).toContain('> <inchiKey>\nLFQSCWFLJHTTHZ-UHFFFAOYSA-N\n');
+      expect(sdf.text.trimEnd().endsWith('$$$$')).toBe(true);
+    });
+  });
+
+  describe('Molecule import', () => {
+    test('should read SDF records and CSV rows', () => {
+      const sdf = 'ethanol\n  RDKit\n\n  3  2  0  0  0  0  0  0  0  0999 V2000\nM  END\n> <ID>\nX-1\n\n$$$$\n\n  RDKit\n\n  0  0  0  0  0  0  0  0  0  0999 V2000\nM  END\n> <Name>\nwater\n\n$$$$\n';
+      expect(parseSDF(sdf).map(({ name, fields }) => [name, fields])).toEqual([
+        ['ethanol', { ID: 'X-1' }],
+        ['water', { Name: 'water' }],
+      ]);
+
+      const { headers, rows } = parseCSV('id,smiles,name\r\n1,CCO,"ethyl ""alcohol"", 95%"\n\n2,C,methane\n');
+      expect(headers).toEqual(['id', 'smiles', 'name']);
+      expect(rows).toEqual([['1', 'CCO', 'ethyl "alcohol", 95%'], ['2', 'C', 'methane']]);
+    });
+
+    test('should generate definitions with unique identifiers and report failures', async () => {
+      const used = new Set(['ethanol']);
+      expect(['ethanol', '2-propanol', 'class', 'C'].map((name) => sanitizeName(name, used)))
+        .toEqual(['ethanol_2', '_2_propanol', '_class', 'C_']);
+      expect(['NH3', 'OH', 'Ring1', 'Branch2', 'CH4x'].map((name) => sanitizeName(name, used)))
+        .toEqual(['NH3_', 'OH_', 'Ring1_', 'Branch2_', 'CH4x']);
+
+      const records = [
+        { name: 'ethanol', source: 'row 2', smiles: 'OCC' },
+        { name: 'alanine', source: 'row 3', smiles: 'C[C@H](N)C(=O)O' },
+        { name: 'broken', source: 'row 4', smiles: 'C1CC' },
+      ];
+      const selfies = await convertRecords(records, 'selfies', new Set());
+      expect(selfies.lines[0]).toBe('[ethanol] = [C][C][O]');
+      expect(selfies.warnings.map(({ name }) => name)).toEqual(['alanine']);
+      expect(selfies.failures.map(({ source }) => source)).toEqual(['row 4']);
+
+      const smilesJs = await convertRecords(records, 'smiles-js', new Set(['ethanol']));
+      expect(smilesJs.lines.slice(0, 2)).toEqual([
+        "export const ethanol_2 = Fragment('CCO');",
+        "export const alanine = Fragment('C[C@H](N)C(=O)O');",
+      ]);
+    });
+  });
+
+  describe('Formatting', () => {
+    test('should rewrite SMILES to the requested form', async () => {
+      expect(await formatSMILES('OC1=CC=CC=C1')).toBe('OC1=CC=CC=C1');
+      expect(await formatSMILES('OC1=CC=CC=C1', { aromaticity: 'aromatic' })).toBe('Oc1ccccc1');
+      expect(await formatSMILES('c1ccccc1O', { canonical: false, aromaticity: 'kekulized' }))
+        .toBe('C1=CC=CC=C1O');
+      expect(await formatSMILES('[H]OC([H])C', { hydrogens: 'implicit' })).toBe('CCO');
+      expect(await formatSMILES('OC', { hydrogens: 'explicit' })).toBe('[H]OC([H])([H])[H]');
+      expect(await formatSMILES('C1CC')).toBe('C1CC');
+    });
+
+    test('should align definition blocks and find Fragment literals', () => {
+      expect(alignDefinitions(['[a] = [C]', '[long_name]=[O]  # x', '', '[b]   =   [N]']))
+        .toEqual(['[a]         = [C]', '[long_name] = [O]  # x', '', '[b] = [N]']);
+
+      const source = "const a = Fragment('F/C=C\\\\F');\nconst b = Ring({ atoms: 'c' });";
+      const [literal] = findSmilesLiterals(source);
+      expect(literal.smiles).toBe('F/C=C\\F');
+      expect(source.slice(literal.start, literal.end)).toBe('F/C=C\\\\F');
+    });
+  });
+
+  describe('Stereochemistry', () => {
+    test('should find undefined stereocenters and double bonds', async () => {
+      const smiles = 'CC(O)C=CC';
+      const problems = await findUndefinedStereo(smiles);
+      expect(problems.map(({ check, start, end }) => [check, smiles.slice(start, end)])).toEqual([
+        ['undefinedStereocenter', 'C'],
+        ['undefinedDoubleBond', 'C=C'],
+      ]);
+      expect(await findUndefinedStereo(smiles, { doubleBonds: false })).toHaveLength(1);
+      expect(await findUndefinedStereo('C[C@H](O)/C=C/C')).toEqual([]);
+      expect(await findUndefinedStereo('CC(C)=CC')).toEqual([]);
+
+      // The double bond opens a branch of its first atom
+      const branched = await findUndefinedStereo('C(=CC)C(N)O');
+      expect(branched.map(({ check }) => check)).toEqual(['undefinedStereocenter', 'undefinedDoubleBond']);
+      expect(await enumerateStereoisomers('C(=CC)C(N)O')).toHaveLength(4);
+    });
+
+    test('should enumerate stereoisomers once per distinct molecule', async () => {
+      const ketorolac = await enumerateStereoisomers('OC(=O)C1CCn2c1ccc2C(=O)c1ccccc1');
+      expect(ketorolac.map(({ labels }) => labels)).toEqual([['S'], ['R']]);
+
+      // meso-2,3-butanediol is listed once
+      expect(await enumerateStereoisomers('CC(O)C(O)C')).toHaveLength(3);
+      const dienes = await enumerateStereoisomers('CC=CC=CC');
+      expect(dienes.map(({ labels }) => labels.join(''))).toEqual(['EE', 'ZZ', 'EZ']);
+
+      // A double bond directly followed by a stereocenter
+      const adjacent = await enumerateStereoisomers('FC(Cl)C=CC(F)Cl');
+      expect(adjacent).toHaveLength(6);
+      expect(adjacent.every(({ labels }) => !labels.includes('?'))).toBe(true);
+    });
+
+    test('should read stereo-pure annotations', () => {
+      const lines = ['# stereo: pure', '[a] = [C]', '[b] = [C]'];
+      expect(isStereoPure(lines, 1)).toBe(true);
+      expect(isStereoPure(lines, 2)).toBe(false);
+    });
+  });
+
+  describe('Duplicate structures', () => {
+    test('should key molecules by structure regardless of how they are written', async () => {
+      const ethanol = await getStructureKey('CCO');
+      expect(ethanol).toBe('LFQSCWFLJHTTHZ-UHFFFAOYSA-N');
+      expect(await getStructureKey('OCC')).toBe(ethanol);
+      expect(await getStructureKey('C1CC')).toBeNull();
+    });
+
+    test('should pair every entry with the others of its structure', () => {
+      const entries = [
+        { name: 'ethanol', key: 'A' },
+        { name: 'methanol', key: 'B' },
+        { name: 'ethyl_alcohol', key: 'A' },
+        { name: 'broken', key: null },
+      ];
+      const duplicates = findDuplicates(entries);
+      expect(Array.from(duplicates.keys()).map(({ name }) => name)).toEqual(['ethanol', 'ethyl_alcohol']);
+      expect(duplicates.get(entries[0])).toEqual([entries[2]]);
+    });
+  });
+
+  describe('Import graph', () => {
+    test('should resolve the relative imports of a smiles-js module', () => {
+      const text = [
+        "import { Fragment } from 'smiles-js';",
+        "import { benzene } from './rings.smiles.js';",
+        "export { methyl } from '../shared/alkyls.smiles.js';",
+        "import './rings.smiles.js';",
+      ].join('\n');
+      expect(findSmilesJsImports(text, '/lib/drugs/nsaids.smiles.js')).toEqual([
+        '/lib/drugs/rings.smiles.js',
+        '/lib/shared/alkyls.smiles.js',
+      ]);
+    });
+
+    test('should start the tree at files nothing imports and break cycles', () => {
+      const graph = new Map([
+        ['/a', ['/b']],
+        ['/b', []],
+        ['/c', ['/d']],
+        ['/d', ['/c']],
+      ]);
+      expect(getRootFiles(graph)).toEqual(['/a', '/c']);
+    });
+  });
+
+  describe('SELFIES alphabet', () => {
+    test('should explain atoms, branches and rings', () => {
+      expect(describeSelfiesSymbol('[=O]')).toEqual({
+        kind: 'atom',
+        description: 'Oxygen atom, bonded to the previous atom with a double bond.',
+      });
+      expect(describeSelfiesSymbol('[Branch1]').kind).toBe('branch');
+      expect(describeSelfiesSymbol('[Ring2]').description).toContain('next 2 symbols');
+      expect(describeSelfiesSymbol('[methyl]')).toBeNull();
+    });
+
+    test('should list every symbol once, atoms first', () => {
+      const symbols = listSelfiesSymbols().map(({ symbol }) => symbol);
+      expect(new Set(symbols).size).toBe(symbols.length);
+      expect(symbols).toContain('[C@@H1]');
+      expect(symbols).toContain('[#Branch1]');
+      expect(symbols.indexOf('[C]')).toBeLessThan(symbols.indexOf('[Branch1]'));
+      expect(symbols.indexOf('[Branch1]')).toBeLessThan(symbols.indexOf('[Ring1]'));
+    });
+
+    test('should only start comments outside tokens', () => {
+      expect(stripComment('[a] = [C][#C] # alkyne [x]')).toBe('[a] = [C][#C] ');
+      expect(stripComment('[a] = [C]#[C]')).toBe('[a] = [C]');
+      expect(stripComment('[a] = [#')).toBe('[a] = [#');
+      expect(stripComment('[a] = [N]')).toBe('[a] = [N]');
+    });
+  });
+
+  describe('Highlight annotations', () => {
+    test('should read annotations from the comment block above a definition', () => {
+      const lines = [
+        '[unrelated] = [C]',
+        '# highlight: C(=O)[OX2H1]',
+        '# an ordinary comment',
+        '# highlight: c1ccccc1 [OX2]',
+        '[aspirin] = [C][C]',
+      ];
+
+      expect(getAnnotationsAbove(lines, 4).map(({ key, line }) => [key, line])).toEqual([
+        ['highlight', 1],
+        ['highlight', 3],
+      ]);
+      expect(getHighlightPatterns(lines, 4)).toEqual(['C(=O)[OX2H1]', 'c1ccccc1', '[OX2]']);
+      expect(getHighlightPatterns(lines, 1)).toEqual([]);
+      expect(getHighlightPatterns(['// highlight: N', 'export const x = 1;'], 1)).toEqual(['N']);
+    });
+
+    test('should find substructure matches for each SMARTS pattern', async () => {
+      const [acid, ring, invalid] = await findSubstructureHighlights('CC(=O)Oc1ccccc1C(=O)O', [
+        { smarts: 'C(=O)[OX2H1]', color: '#ff0000' },
+        { smarts: 'c1ccccc1', color: '#00ff00' },
+        { smarts: 'C((', color: '#0000ff' },
+      ]);
+
+      expect(acid.matchCount).toBe(1);
+      expect(acid.atoms).toHaveLength(3);
+      expect(ring.atoms).toHaveLength(6);
+      expect(invalid.error).toContain('Invalid SMARTS');
+    });
+  });
+
+  describe('Embedded SMILES', () => {
+    const rules = [
+      { languages: ['python'], pattern: '\\bMolFromSmiles\\(\\s*([\'"])(?<smiles>[^\'"\\n]+)\\1', unescape: true },
+      { languages: ['yaml'], pattern: '^\\s*smiles:\\s*(\\S+)' },
+      { languages: ['python'], pattern: '(' },
+      { languages: ['markdown'], fence: 'smiles' },
+    ];
+
+    test('should find SMILES with the pattern rules of a language', () => {
+      const source = 'a = Chem.MolFromSmiles("CCO")\nb = Chem.MolFromSmiles(\'F\\\\C=C/F\')\n';
+      const found = findEmbeddedSmiles(source, 'python', rules);
+
+      expect(found.map(({ smiles }) => smiles)).toEqual(['CCO', 'F\\C=C/F']);
+      expect(source.slice(found[0].start, found[0].end)).toBe('CCO');
+      expect(found[1].end - found[1].start).toBe(8);
+      expect(findEmbeddedSmiles('smiles: c1ccccc1', 'yaml', rules)[0].escaped).toBe(false);
+      expect(findEmbeddedSmiles(source, 'javascript', rules)).toEqual([]);
+    });
+
+    test('should read one SMILES per line of fenced blocks', () => {
+      const source = ['```smiles', 'CCO', '', '  c1ccccc1', '```', '```', 'CCN', '```'].join('\n');
+      expect(findEmbeddedSmiles(source, 'markdown', rules).map(({ smiles, start }) => [smiles, start]))
+        .toEqual([['CCO', 10], ['c1ccccc1', 17]]);
+    });
+  });
+
+  describe('Reactions', () => {
+    test('should split reaction SMILES into the molecules of each side', () => {
+      const reaction = splitReaction('CC(=O)O.OCC>[H+]>CC(=O)OCC.O');
+
+      expect(reaction.reactants.map(({ smiles }) => smiles)).toEqual(['CC(=O)O', 'OCC']);
+      expect(reaction.agents.map(({ smiles }) => smiles)).toEqual(['[H+]']);
+      expect(reaction.products[1]).toEqual({ smiles: 'O', start: 27, end: 28 });
+      expect(splitReaction('CCO')).toBeNull();
+      expect(splitReaction('C[N+](C)(C)C')).toBeNull();
+    });
+
+    test('should report reused and unmatched atom maps', () => {
+      expect(checkAtomMapping('[CH3:1][OH:2]>>[CH3:1][Cl]')).toEqual([]);
+      expect(checkAtomMapping('[CH3:1][OH:1]>>[CH3:3]Cl').map(({ message }) => message)).toEqual([
+        'Atom map :1 is used more than once in the reactants',
+        'Atom map :3 of a product is not on any reactant atom',
+      ]);
+    });
+
+    test('should count atoms of each element on both sides', async () => {
+      expect((await checkMassBalance('CC(=O)O.OCC>>CC(=O)OCC.O')).unbalanced).toEqual([]);
+      expect((await checkMassBalance('CC(=O)O.OCC>>CC(=O)OCC')).unbalanced).toEqual([
+        { element: 'H', reactants: 10, products: 8 },
+        { element: 'O', reactants: 3, products: 2 },
+      ]);
+    });
+
+    test('should decode SELFIES reactions with counts', () => {
+      const sources = {
+        '/main.selfies': [
+          '[methane] = [C]',
+          '[oxygen] = [O][=O]',
+          '[water] = [O]',
+          '[carbon_dioxide] = [O][=C][=O]',
+          '[combustion] = [methane] + 2 [oxygen] >> [carbon_dioxide] + 2 [water]  # burns',
+        ].join('\n'),
+      };
+      const workspace = new SelfiesWorkspace((filePath) => sources[filePath] ?? null);
+      const info = workspace.describeReaction('/main.selfies', 'combustion');
+
+      expect(workspace.getProgram('/main.selfies').errors).toEqual([]);
+      expect(info.error).toBeNull();
+      expect(info.smiles).toBe('C.O=O.O=O>>O=C=O.O.O');
+      expect(info.molecules[1].molecule.count).toBe(2);
+    });
+  });
+
   describe('SMILES-JS Support', () => {
     describe('example.smiles.js', () => {
       test('should load module and extract exports', async () => {
@@ -670,6 +1172,188 @@ describe('VSCode Extension Fixture Programs', () => {
         }
       });
 
+      test('should locate constructor calls for hover', () => {
+        const source = readProgram('example.smiles.js');
+        const calls = findConstructorCalls(source);
+
+        expect(calls.length).toBe(11);
+        expect(calls[0].text).toBe("Fragment('C')");
+
+        const aspirinOffset = source.indexOf('c1c(C(=O)O)cccc1OC(=O)C');
+        expect(findConstructorCallAt(source, aspirinOffset).text).toBe("Fragment('c1c(C(=O)O)cccc1OC(=O)C')");
+        expect(findConstructorCallAt(source, source.indexOf('Simple fragments'))).toBeNull();
+      });
+
+      test('should pick the innermost constructor call', () => {
+        const source = "const x = Molecule([Ring({ atoms: 'c', size: 6 }), Fragment('C)')]); // Ring(";
+        const ringCall = findConstructorCallAt(source, source.indexOf('atoms'));
+        const fragmentCall = findConstructorCallAt(source, source.indexOf("'C)'"));
+
+        expect(ringCall.text).toBe("Ring({ atoms: 'c', size: 6 })");
+        expect(fragmentCall.text).toBe("Fragment('C)')");
+        expect(findConstructorCallAt(source, source.indexOf('[')).name).toBe('Molecule');
+      });
+
+      test('should find the constructor call being written', () => {
+        const source = "const r = Ring({ atoms: 'c', size: 6, substitutions: { 2: 'n', ";
+        const call = findOpenConstructorCall(source, source.length);
+
+        expect(call.name).toBe('Ring');
+        expect(call.start).toBe(source.indexOf('Ring'));
+        expect(call.nesting.map(({ keys }) => keys)).toEqual([['atoms', 'size', 'substitutions'], ['2']]);
+        expect(call.nesting[1]).toMatchObject({ parentKey: 'substitutions', key: null });
+
+        const inString = "Linear(['C', 'O'], ['";
+        expect(findOpenConstructorCall(inString, inString.length)).toMatchObject({
+          name: 'Linear', argumentIndex: 1, string: { quote: "'" },
+        });
+        expect(findOpenConstructorCall('// Ring({ ', 10)).toBeNull();
+      });
+
+      test('should find SMILES literals and declarations in the syntax tree', () => {
+        const source = [
+          "export const aspirin = Fragment(",
+          "  `CC(=O)Oc1ccccc1C(=O)O`,",
+          ');',
+          "const library = { phenol: /* smiles */ 'Oc1ccccc1', label: 'A=1' };",
+          "const { ring, chain } = build(); // 'C=C'",
+        ].join('\n');
+
+        expect(findSmilesLiterals(source).map(({ smiles, declaration }) => [smiles, declaration])).toEqual([
+          ['CC(=O)Oc1ccccc1C(=O)O', { name: 'aspirin', exported: true }],
+          ['Oc1ccccc1', null],
+        ]);
+        expect(findDeclarations(source).map(({ line, endLine, names }) => [line, endLine, names])).toEqual([
+          [0, 2, [{ name: 'aspirin', line: 0 }]],
+          [3, 3, [{ name: 'library', line: 3 }]],
+          [4, 4, [{ name: 'ring', line: 4 }, { name: 'chain', line: 4 }]],
+        ]);
+        expect(findConstructorNames("Ring({ atoms: 'c', size: 6 }).attach(1, Linear(['C']))")).toEqual(['Ring', 'Linear']);
+      });
+
+      test('should find declarator values and names exported as themselves', () => {
+        const source = [
+          "const a = Fragment('CCO'), b = Fragment('CCN');",
+          "export const [c] = [Fragment('C')];",
+          'export { a as d, b };',
+        ].join('\n');
+        const [{ initializers }] = findDeclarations(source);
+
+        expect(initializers.map(({ name, start, end }) => [name, source.slice(start, end)])).toEqual([
+          ['a', "Fragment('CCO')"],
+          ['b', "Fragment('CCN')"],
+        ]);
+        expect(Array.from(findExportedNames(source))).toEqual(['c', 'b']);
+      });
+
+      test('should migrate the old smiles-js API across lines', () => {
+        const source = [
+          "import { Ring, Fragment } from '../src/fragment.js';",
+          'const toluene = Ring(',
+          "  'c',",
+          '  6,',
+          ").attachAt(1, Fragment('C'));",
+        ].join('\n');
+        const usages = findLegacyApiUsages(source);
+
+        expect(usages.map(({ code }) => code)).toEqual(['deprecated-import', 'deprecated-api', 'deprecated-method']);
+        expect(applyMigration(source, usages)).toBe([
+          "import { Ring, Fragment } from 'smiles-js';",
+          'const toluene = Ring(',
+          "  { atoms: 'c', size: 6 },",
+          ").attach(1, Fragment('C'));",
+        ].join('\n'));
+        expect(findLegacyApiUsages("Ring({ atoms: 'c', size: 6 }).attach(1, x);")).toEqual([]);
+        expect(findLegacyApiUsages([
+          "import { benzene } from './fragments.smiles.js';",
+          "import { methyl } from './fragment-library.js';",
+        ].join('\n'))).toEqual([]);
+        expect(findLegacyApiUsages('const (')).toBeNull();
+      });
+
+      test('should transform modules for the sandbox preserving line numbers', () => {
+        const source = readProgram('example.smiles.js');
+        const { code, exports } = transformModule(source);
+
+        const sourceLines = source.split('\n');
+        const codeLines = code.split('\n');
+        expect(codeLines[5]).toBe("const { \"Fragment\": Fragment } = __import__(\"smiles-js\");");
+        expect(codeLines[8]).toBe(`${sourceLines[8].replace('export', '      ')};__bind__(9, 9, { methane });`);
+
+        const exportLines = Object.fromEntries(exports.map(({ name, line }) => [name, line]));
+        expect(exportLines).toEqual({
+          methane: 9,
+          ethane: 10,
+          propane: 11,
+          water: 14,
+          ammonia: 15,
+          benzene: 18,
+          toluene: 19,
+          ethanol: 22,
+          aceticAcid: 23,
+          aspirin: 26,
+          ibuprofen: 29,
+        });
+      });
+
+      test('should transform export lists, re-exports and default exports', () => {
+        const source = [
+          "import * as smiles from 'smiles-js';",
+          'const { a, b: [c] } = smiles;',
+          'export { a, c as d };',
+          "export { e } from './other.smiles.js';",
+          'export default a;',
+        ].join('\n');
+        const { code, exports } = transformModule(source);
+
+        expect(exports.map(({ name }) => name)).toEqual(['a', 'd', 'e', 'default']);
+        expect(code).toContain('__export__({ "a": a, "d": c, "e": __reexport1__["e"], "default": __default__ });');
+        expect(code.split('\n')[4]).toBe('__default__ =  a;');
+      });
+
+      test('should report nested, destructured and multi-line bindings', () => {
+        const source = [
+          'function build() {',
+          "  let ring = Ring({ atoms: 'c', size: 6 });",
+          '  return ring;',
+          '}',
+          'const { a, b: [c] } = parts,',
+          '  d = build();',
+          'for (const x of []) {}',
+        ].join('\n');
+        const codeLines = transformModule(source).code.split('\n');
+
+        expect(codeLines[1]).toEndWith(';__bind__(2, 2, { ring });');
+        expect(codeLines[5]).toEndWith(';__bind__(5, 6, { a, c, d });');
+        expect(codeLines[6]).not.toContain('__bind__');
+      });
+
+      test('should not let evaluated code reach the host process', async () => {
+        const source = [
+          'const escape = (value) => {',
+          "  try { return typeof value.constructor.constructor('return process')(); } catch { return 'blocked'; }",
+          '};',
+          'const reachable = [__import__, __export__, __bind__, console.log, globalThis, this];',
+          "export const leak = { smiles: reachable.map(escape).join(' ') };",
+        ].join('\n');
+        const { fragments, error } = await evaluateSmilesModule(source, join(PROGRAMS_DIR, 'escape.smiles.js'));
+
+        expect(error).toBeNull();
+        expect(fragments[0].smiles).toBe(Array(6).fill('blocked').join(' '));
+      });
+
+      test('should report a binding declared in a loop once', async () => {
+        const source = [
+          "for (const atom of ['C', 'N', 'O']) {",
+          '  const chain = { smiles: atom.repeat(2) };',
+          '}',
+        ].join('\n');
+        const { bindings, error } = await evaluateSmilesModule(source, join(PROGRAMS_DIR, 'loop.smiles.js'));
+
+        expect(error).toBeNull();
+        expect(bindings.map(({ name, smiles }) => `${name}=${smiles}`)).toEqual(['chain=CC']);
+      });
+
       test('should validate SMILES with RDKit', async () => {
         const modulePath = join(PROGRAMS_DIR, 'example.smiles.js');
         const { pathToFileURL } = await import('url');
@@ -704,6 +1388,16 @@ describe('VSCode Extension Fixture Programs', () => {
           await expect(generateSVG(fragment.smiles)).resolves.toBeTruthy();
         }
       });
+
+      test('should apply RDKit drawing options', async () => {
+        const countBonds = (svg) => (svg.match(/class='bond-\d+/g) || []).length;
+        const plain = await generateSVG('OC(=O)c1ccccc1');
+        const styled = await generateSVG('OC(=O)c1ccccc1', { explicitHydrogens: true, monochrome: true });
+
+        expect(countBonds(styled)).toBeGreaterThan(countBonds(plain));
+        expect(plain).toContain('#FF0000');
+        expect(styled).not.toContain('#FF0000');
+      });
     });
   });
 });